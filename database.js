@@ -1,11 +1,13 @@
 // database.js
-const sqlite3 = require('sqlite3').verbose();
-const db = new sqlite3.Database('./bookings.db');
+import sqlite3 from 'sqlite3';
 
-// Create tables if they don’t exist
-db.serialize(() => {
-  // Bookings table
-  db.run(`
+// On Railway point this at a mounted volume so data survives redeploys
+const DB_PATH = process.env.DATABASE_PATH || './bookings.db';
+const db = new sqlite3.Database(DB_PATH);
+
+// Base tables (kept exactly as originally defined)
+const baseSchema = [
+  `
     CREATE TABLE IF NOT EXISTS bookings (
       id INTEGER PRIMARY KEY AUTOINCREMENT,
       program TEXT,
@@ -18,10 +20,8 @@ db.serialize(() => {
       specialRequirements TEXT,
       createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP
     )
-  `);
-
-  // Contacts table
-  db.run(`
+  `,
+  `
     CREATE TABLE IF NOT EXISTS contacts (
       id INTEGER PRIMARY KEY AUTOINCREMENT,
       name TEXT NOT NULL,
@@ -30,7 +30,333 @@ db.serialize(() => {
       message TEXT NOT NULL,
       createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP
     )
-  `);
-});
+  `
+];
+
+// Schema changes, applied in order and tracked with PRAGMA user_version.
+// Only ever append to this list - never edit an entry that has shipped.
+const migrations = [
+  // 1: outbox for webhook/email deliveries
+  `
+    CREATE TABLE outbox (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      kind TEXT NOT NULL,
+      payload TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'pending',
+      attempts INTEGER NOT NULL DEFAULT 0,
+      maxAttempts INTEGER NOT NULL DEFAULT 8,
+      nextAttemptAt TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+      lastError TEXT,
+      createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      deliveredAt TEXT
+    );
+    CREATE INDEX idx_outbox_due ON outbox (status, nextAttemptAt)
+  `,
+  // 2: server-computed pricing on bookings
+  `
+    ALTER TABLE bookings ADD COLUMN totalPrice REAL;
+    ALTER TABLE bookings ADD COLUMN currency TEXT
+  `,
+  // 3: per-date session overrides (closures, capacity changes)
+  `
+    CREATE TABLE program_sessions (
+      program TEXT NOT NULL,
+      date TEXT NOT NULL,
+      capacity INTEGER,
+      closed INTEGER NOT NULL DEFAULT 0,
+      note TEXT,
+      updatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (program, date)
+    );
+    CREATE INDEX idx_bookings_program_date ON bookings (program, date)
+  `,
+  // 4: booking lifecycle - public reference and status. Older bookings get
+  // their reference from assignMissingReferences() in lib/bookings.js.
+  `
+    ALTER TABLE bookings ADD COLUMN reference TEXT;
+    ALTER TABLE bookings ADD COLUMN status TEXT NOT NULL DEFAULT 'pending';
+    ALTER TABLE bookings ADD COLUMN updatedAt TEXT;
+    ALTER TABLE bookings ADD COLUMN cancelledAt TEXT;
+    ALTER TABLE bookings ADD COLUMN cancellationReason TEXT;
+    ALTER TABLE bookings ADD COLUMN refundPercent INTEGER;
+    CREATE UNIQUE INDEX idx_bookings_reference ON bookings (reference)
+  `,
+  // 5: payments against bookings (one row per attempt)
+  `
+    CREATE TABLE payments (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      bookingId INTEGER NOT NULL REFERENCES bookings (id),
+      provider TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'pending',
+      amount REAL NOT NULL,
+      currency TEXT NOT NULL,
+      phone TEXT,
+      providerRef TEXT,
+      merchantRequestId TEXT,
+      receipt TEXT,
+      resultCode TEXT,
+      resultDesc TEXT,
+      raw TEXT,
+      createdAt TEXT NOT NULL,
+      updatedAt TEXT NOT NULL
+    );
+    CREATE UNIQUE INDEX idx_payments_provider_ref ON payments (provider, providerRef);
+    CREATE INDEX idx_payments_booking ON payments (bookingId)
+  `,
+  // 6: provider webhook events already handled (dedupes redeliveries)
+  `
+    CREATE TABLE payment_events (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      provider TEXT NOT NULL,
+      eventId TEXT NOT NULL,
+      type TEXT,
+      paymentId INTEGER,
+      receivedAt TEXT NOT NULL
+    );
+    CREATE UNIQUE INDEX idx_payment_events_event ON payment_events (provider, eventId)
+  `,
+  // 7: itemized pricing (children count + the quote the total came from)
+  `
+    ALTER TABLE bookings ADD COLUMN children INTEGER NOT NULL DEFAULT 0;
+    ALTER TABLE bookings ADD COLUMN priceBreakdown TEXT
+  `,
+  // 8: promo codes and gift vouchers
+  `
+    CREATE TABLE promo_codes (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      code TEXT NOT NULL UNIQUE,
+      kind TEXT NOT NULL DEFAULT 'promo',
+      discountType TEXT NOT NULL,
+      value REAL NOT NULL,
+      currency TEXT,
+      programs TEXT,
+      description TEXT,
+      startsAt TEXT,
+      expiresAt TEXT,
+      maxUses INTEGER,
+      maxUsesPerEmail INTEGER,
+      usesCount INTEGER NOT NULL DEFAULT 0,
+      active INTEGER NOT NULL DEFAULT 1,
+      purchaserEmail TEXT,
+      recipientName TEXT,
+      createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+    CREATE TABLE promo_redemptions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      promoId INTEGER NOT NULL REFERENCES promo_codes (id),
+      bookingId INTEGER REFERENCES bookings (id),
+      email TEXT NOT NULL,
+      amount REAL NOT NULL,
+      currency TEXT NOT NULL,
+      createdAt TEXT NOT NULL
+    );
+    CREATE INDEX idx_promo_redemptions_promo_email ON promo_redemptions (promoId, email);
+    ALTER TABLE bookings ADD COLUMN promoCode TEXT
+  `,
+  // 9: staff logins, sessions and internal booking notes
+  `
+    CREATE TABLE staff_users (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      email TEXT NOT NULL UNIQUE COLLATE NOCASE,
+      name TEXT NOT NULL,
+      role TEXT NOT NULL DEFAULT 'staff',
+      passwordHash TEXT NOT NULL,
+      active INTEGER NOT NULL DEFAULT 1,
+      lastLoginAt TEXT,
+      createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+    CREATE TABLE staff_sessions (
+      tokenHash TEXT PRIMARY KEY,
+      userId INTEGER NOT NULL REFERENCES staff_users (id),
+      expiresAt TEXT NOT NULL,
+      createdAt TEXT NOT NULL
+    );
+    CREATE TABLE booking_notes (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      bookingId INTEGER NOT NULL REFERENCES bookings (id),
+      authorId INTEGER REFERENCES staff_users (id),
+      authorName TEXT NOT NULL,
+      body TEXT NOT NULL,
+      createdAt TEXT NOT NULL
+    );
+    CREATE INDEX idx_booking_notes_booking ON booking_notes (bookingId)
+  `,
+  // 10: reminders, follow-ups and payment nudges (one row per booking and kind)
+  `
+    CREATE TABLE scheduled_messages (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      bookingId INTEGER NOT NULL REFERENCES bookings (id),
+      kind TEXT NOT NULL,
+      sendAt TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'scheduled',
+      claimedAt TEXT,
+      outboxId INTEGER,
+      skipReason TEXT,
+      createdAt TEXT NOT NULL,
+      UNIQUE (bookingId, kind)
+    );
+    CREATE INDEX idx_scheduled_messages_due ON scheduled_messages (status, sendAt)
+  `,
+  // 11: SMS / WhatsApp opt-ins, one row per customer email
+  `
+    CREATE TABLE customer_preferences (
+      email TEXT PRIMARY KEY COLLATE NOCASE,
+      phone TEXT,
+      channels TEXT NOT NULL DEFAULT '[]',
+      updatedAt TEXT NOT NULL
+    )
+  `,
+  // 12: contact messages held back as likely spam
+  `
+    ALTER TABLE contacts ADD COLUMN status TEXT NOT NULL DEFAULT 'received';
+    ALTER TABLE contacts ADD COLUMN spamScore INTEGER;
+    ALTER TABLE contacts ADD COLUMN spamReasons TEXT;
+    CREATE INDEX idx_contacts_status ON contacts (status)
+  `,
+  // 13: responses to form submissions, replayed for retries and duplicates
+  `
+    CREATE TABLE idempotency_keys (
+      scope TEXT NOT NULL,
+      key TEXT NOT NULL,
+      requestHash TEXT,
+      status TEXT NOT NULL DEFAULT 'pending',
+      responseStatus INTEGER,
+      responseBody TEXT,
+      expiresAt TEXT NOT NULL,
+      createdAt TEXT NOT NULL,
+      PRIMARY KEY (scope, key)
+    );
+    CREATE INDEX idx_idempotency_keys_expires ON idempotency_keys (expiresAt)
+  `,
+  // 14: contact messages as tickets - routing, assignee and the reply thread
+  `
+    ALTER TABLE contacts ADD COLUMN assigneeId INTEGER REFERENCES staff_users (id);
+    ALTER TABLE contacts ADD COLUMN routedTo TEXT;
+    ALTER TABLE contacts ADD COLUMN threadId TEXT;
+    ALTER TABLE contacts ADD COLUMN updatedAt TEXT;
+    UPDATE contacts SET threadId = '<contact-' || id || '.' || lower(hex(randomblob(8))) || '@bestie.co.ke>' WHERE threadId IS NULL;
+    CREATE INDEX idx_contacts_assignee ON contacts (assigneeId);
+    CREATE TABLE contact_messages (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      contactId INTEGER NOT NULL REFERENCES contacts (id),
+      direction TEXT NOT NULL,
+      authorId INTEGER REFERENCES staff_users (id),
+      authorName TEXT NOT NULL,
+      body TEXT NOT NULL,
+      messageId TEXT,
+      inReplyTo TEXT,
+      outboxId INTEGER,
+      createdAt TEXT NOT NULL
+    );
+    CREATE INDEX idx_contact_messages_contact ON contact_messages (contactId);
+    CREATE UNIQUE INDEX idx_contact_messages_message_id ON contact_messages (messageId)
+  `,
+  // 15: tickets opened by a customer replying to a booking email
+  `
+    ALTER TABLE contacts ADD COLUMN bookingId INTEGER REFERENCES bookings (id);
+    CREATE INDEX idx_contacts_booking ON contacts (bookingId);
+    CREATE INDEX idx_contacts_thread ON contacts (threadId)
+  `,
+  // 16: customer accounts - profile, sign-in sessions and used sign-in links
+  `
+    CREATE TABLE customers (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      email TEXT NOT NULL UNIQUE COLLATE NOCASE,
+      firstName TEXT,
+      lastName TEXT,
+      phone TEXT,
+      specialRequirements TEXT,
+      lastLoginAt TEXT,
+      createdAt TEXT NOT NULL,
+      updatedAt TEXT NOT NULL
+    );
+    CREATE TABLE customer_sessions (
+      tokenHash TEXT PRIMARY KEY,
+      customerId INTEGER NOT NULL REFERENCES customers (id),
+      expiresAt TEXT NOT NULL,
+      createdAt TEXT NOT NULL
+    );
+    CREATE TABLE customer_login_links (
+      nonce TEXT PRIMARY KEY,
+      email TEXT NOT NULL,
+      expiresAt TEXT NOT NULL,
+      usedAt TEXT NOT NULL
+    );
+    CREATE INDEX idx_bookings_email ON bookings (email COLLATE NOCASE)
+  `,
+  // 17: consent records, data export / erasure requests and anonymized rows
+  `
+    CREATE TABLE consents (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      email TEXT COLLATE NOCASE,
+      bookingId INTEGER REFERENCES bookings (id),
+      contactId INTEGER REFERENCES contacts (id),
+      purpose TEXT NOT NULL,
+      noticeVersion TEXT NOT NULL,
+      source TEXT NOT NULL,
+      createdAt TEXT NOT NULL
+    );
+    CREATE INDEX idx_consents_email ON consents (email);
+    CREATE TABLE privacy_requests (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      emailHash TEXT NOT NULL,
+      kind TEXT NOT NULL,
+      status TEXT NOT NULL,
+      detail TEXT,
+      createdAt TEXT NOT NULL,
+      completedAt TEXT
+    );
+    ALTER TABLE bookings ADD COLUMN anonymizedAt TEXT;
+    ALTER TABLE contacts ADD COLUMN anonymizedAt TEXT
+  `,
+  // 18: calendar invite revision (iCalendar SEQUENCE), bumped when the dates change
+  `
+    ALTER TABLE bookings ADD COLUMN inviteSequence INTEGER NOT NULL DEFAULT 0
+  `
+];
+
+// ===== PROMISE HELPERS =====
+export function run(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function (err) {
+      if (err) return reject(err);
+      resolve({ id: this.lastID, changes: this.changes });
+    });
+  });
+}
+
+export function get(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+  });
+}
+
+export function all(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+  });
+}
+
+export function exec(sql) {
+  return new Promise((resolve, reject) => {
+    db.exec(sql, (err) => (err ? reject(err) : resolve()));
+  });
+}
+
+// Create tables and bring the schema up to date. Call once before listening.
+export async function initDatabase() {
+  for (const sql of baseSchema) await run(sql);
+
+  const { user_version: version } = await get('PRAGMA user_version');
+  for (let i = version; i < migrations.length; i++) {
+    try {
+      await exec(`BEGIN; ${migrations[i]}; PRAGMA user_version = ${i + 1}; COMMIT;`);
+    } catch (err) {
+      await exec('ROLLBACK').catch(() => {});
+      throw new Error(`Migration ${i + 1} failed: ${err.message}`);
+    }
+  }
+  return db;
+}
 
-module.exports = db;
+export default db;
@@ -0,0 +1,143 @@
+/* ===== OFF MIND INITIATIVE - MY ACCOUNT ===== */
+
+document.addEventListener('DOMContentLoaded', function () {
+    const loginForm = document.getElementById('login-form');
+    const details = document.getElementById('account-details');
+    const profileForm = document.getElementById('profile-form');
+    const bookingList = document.getElementById('my-bookings');
+
+    if (!loginForm) return;
+
+    const statusLabels = {
+        pending: '⏳ Pending',
+        confirmed: '✅ Confirmed',
+        paid: '💳 Paid',
+        cancelled: '✖ Cancelled',
+        completed: '🌿 Completed'
+    };
+
+    loginForm.addEventListener('submit', async function (e) {
+        e.preventDefault();
+        const button = loginForm.querySelector('button[type="submit"]');
+        button.disabled = true;
+        const result = await sendRequest(Api.requestLoginLink(new FormData(loginForm).get('email')), loginForm);
+        button.disabled = false;
+        if (result) document.getElementById('login-sent').classList.remove('hidden');
+    });
+
+    profileForm.addEventListener('submit', async function (e) {
+        e.preventDefault();
+        const profile = Object.fromEntries(new FormData(profileForm).entries());
+        if (window.Schemas) {
+            const { errors } = Schemas.validateProfile(profile);
+            if (errors) return showFieldErrors(profileForm, errors);
+        }
+
+        const result = await sendRequest(Api.saveProfile(profile), profileForm);
+        if (result) {
+            showAlert('Your details have been saved.', 'success');
+            renderProfile(result.customer);
+        }
+    });
+
+    document.getElementById('logout').addEventListener('click', async function () {
+        await sendRequest(Api.logout());
+        details.classList.add('hidden');
+        loginForm.classList.remove('hidden');
+    });
+
+    // Saved as a file the customer can keep
+    document.getElementById('export-data').addEventListener('click', async function () {
+        const data = await sendRequest(Api.exportMyData());
+        if (!data) return;
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }));
+        link.download = `bestie-my-data-${new Date().toISOString().slice(0, 10)}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(link.href);
+    });
+
+    document.getElementById('erase-data').addEventListener('click', async function () {
+        if (!window.confirm('Erase your details, booking history and messages, and close your account? This can\'t be undone.')) return;
+        const result = await sendRequest(Api.eraseMyData());
+        if (!result) return;
+        showAlert('Your data has been erased and your account closed.', 'success');
+        details.classList.add('hidden');
+        loginForm.classList.remove('hidden');
+    });
+
+    // Wait for an Api call; on failure show why and resolve to null
+    async function sendRequest(request, form) {
+        try {
+            return await request;
+        } catch (err) {
+            console.error('Account error:', err);
+            if (err.errors && form) showFieldErrors(form, err.errors);
+            showAlert(err instanceof ApiError ? err.message : 'Something went wrong. Please try again later.', 'error');
+            return null;
+        }
+    }
+
+    async function showAccount(customer) {
+        setText('account-email', customer.email);
+        renderProfile(customer);
+        loginForm.classList.add('hidden');
+        details.classList.remove('hidden');
+
+        const result = await sendRequest(Api.listMyBookings());
+        if (result) renderBookings(result.bookings);
+    }
+
+    function renderProfile(customer) {
+        ['firstName', 'lastName', 'phone', 'specialRequirements'].forEach(name => {
+            profileForm.elements[name].value = customer[name] || '';
+        });
+    }
+
+    function renderBookings(bookings) {
+        bookingList.innerHTML = '';
+        document.getElementById('no-bookings').classList.toggle('hidden', bookings.length > 0);
+
+        bookings.forEach(({ booking, policy, programName }) => {
+            const item = document.createElement('li');
+            const heading = document.createElement('strong');
+            heading.textContent = `${programName} · ${booking.reference}`;
+
+            const date = new Date(`${booking.date}T00:00:00`).toLocaleDateString('en-US', { weekday: 'short', year: 'numeric', month: 'long', day: 'numeric' });
+            const summary = document.createElement('span');
+            summary.textContent = [date, `${booking.participants} participant(s)`, booking.totalFormatted, statusLabels[booking.status] || booking.status].filter(Boolean).join(' · ');
+
+            const link = document.createElement('a');
+            link.href = `manage.html?${new URLSearchParams({ ref: booking.reference, email: booking.email })}`;
+            link.className = 'btn btn-outline';
+            link.textContent = policy.canModify || policy.canCancel ? 'Manage' : 'View';
+
+            item.append(heading, summary, link);
+            bookingList.appendChild(item);
+        });
+    }
+
+    function setText(id, value) {
+        const element = document.getElementById(id);
+        if (element) element.textContent = value;
+    }
+
+    // Arriving from the emailed link: trade its token for a session, then drop
+    // it from the address bar so it isn't bookmarked or shared
+    async function start() {
+        const token = new URLSearchParams(window.location.hash.slice(1)).get('token');
+        if (token) {
+            history.replaceState(null, '', window.location.pathname);
+            const result = await sendRequest(Api.verifyLogin(token));
+            if (result) return showAccount(result.customer);
+        }
+
+        const account = await sendRequest(Api.getAccount());
+        if (account && account.customer) return showAccount(account.customer);
+        loginForm.classList.remove('hidden');
+    }
+
+    start();
+});
@@ -0,0 +1,508 @@
+/* ===== OFF MIND INITIATIVE - STAFF DASHBOARD ===== */
+
+document.addEventListener('DOMContentLoaded', function () {
+    const loginForm = document.getElementById('login-form');
+    const dashboard = document.getElementById('dashboard');
+    const bookingFilters = document.getElementById('booking-filters');
+    const contactFilters = document.getElementById('contact-filters');
+    const detail = document.getElementById('booking-detail');
+    const noteForm = document.getElementById('note-form');
+    const contactDetail = document.getElementById('contact-detail');
+    const replyForm = document.getElementById('reply-form');
+    const staffForm = document.getElementById('staff-form');
+    const reportFilters = document.getElementById('report-filters');
+
+    if (!loginForm) return;
+
+    // Signed-in staff member, current results page and the booking / ticket being viewed
+    let user = null;
+    let bookingsPage = 1;
+    let bookingsTotal = 0;
+    const pageSize = 50;
+    let selected = null;
+    let selectedContact = null;
+    let contactTopics = {};
+    let reportDescriptions = {};
+
+    const roleRank = { viewer: 0, staff: 1, admin: 2 };
+    const can = role => user && roleRank[user.role] >= roleRank[role];
+
+    const statusLabels = {
+        pending: '⏳ Pending',
+        confirmed: '✅ Confirmed',
+        paid: '💳 Paid',
+        cancelled: '✖ Cancelled',
+        completed: '🌿 Completed'
+    };
+
+    const ticketLabels = {
+        received: '🆕 New',
+        open: '📂 In progress',
+        waiting: '⏳ Waiting on customer',
+        closed: '✔ Closed',
+        quarantined: '⚠️ Quarantined'
+    };
+
+    const channelLabels = { sms: 'SMS', whatsapp: 'WhatsApp' };
+
+    loginForm.addEventListener('submit', async function (e) {
+        e.preventDefault();
+        const formData = new FormData(loginForm);
+        const result = await api('POST', '/api/admin/login', { email: formData.get('email'), password: formData.get('password') });
+        if (result) {
+            loginForm.reset();
+            start(result.user);
+        }
+    });
+
+    document.getElementById('logout').addEventListener('click', async function () {
+        await api('POST', '/api/admin/logout');
+        user = null;
+        dashboard.classList.add('hidden');
+        document.getElementById('admin-user').classList.add('hidden');
+        loginForm.classList.remove('hidden');
+    });
+
+    document.querySelectorAll('.admin-tab').forEach(tab => {
+        tab.addEventListener('click', function () {
+            document.querySelectorAll('.admin-tab').forEach(t => t.classList.toggle('active', t === tab));
+            document.querySelectorAll('.admin-panel').forEach(panel => panel.classList.toggle('hidden', panel.id !== `tab-${tab.dataset.tab}`));
+            if (tab.dataset.tab === 'contacts') loadContacts();
+            if (tab.dataset.tab === 'reports') loadReport();
+            if (tab.dataset.tab === 'staff') loadStaff();
+        });
+    });
+
+    bookingFilters.addEventListener('submit', function (e) {
+        e.preventDefault();
+        bookingsPage = 1;
+        loadBookings();
+    });
+
+    document.getElementById('bookings-prev').addEventListener('click', function () {
+        if (bookingsPage > 1) {
+            bookingsPage--;
+            loadBookings();
+        }
+    });
+
+    document.getElementById('bookings-next').addEventListener('click', function () {
+        if (bookingsPage * pageSize < bookingsTotal) {
+            bookingsPage++;
+            loadBookings();
+        }
+    });
+
+    reportFilters.addEventListener('submit', function (e) {
+        e.preventDefault();
+        loadReport();
+    });
+
+    contactFilters.addEventListener('submit', function (e) {
+        e.preventDefault();
+        loadContacts();
+    });
+
+    document.querySelectorAll('#detail-actions [data-status]').forEach(button => {
+        button.addEventListener('click', async function () {
+            if (!selected) return;
+            const status = button.dataset.status;
+            const body = { status };
+
+            if (status === 'cancelled') {
+                const reason = window.prompt(`Cancel ${selected.reference}? Reason (shown in the notes):`);
+                if (reason === null) return;
+                const refund = window.prompt('Refund percent due to the guest:', String(selected.policy.refundPercent));
+                if (refund === null) return;
+                body.reason = reason;
+                body.refundPercent = Number(refund);
+            }
+
+            const result = await api('POST', `/api/admin/bookings/${selected.id}/status`, body);
+            if (result) {
+                showAlert(`Booking ${selected.reference} is now ${status}.`, 'success');
+                await openBooking(selected.id);
+                loadBookings();
+            }
+        });
+    });
+
+    noteForm.addEventListener('submit', async function (e) {
+        e.preventDefault();
+        if (!selected) return;
+        const result = await api('POST', `/api/admin/bookings/${selected.id}/notes`, { body: document.getElementById('note-body').value });
+        if (result) {
+            noteForm.reset();
+            openBooking(selected.id);
+        }
+    });
+
+    document.getElementById('contact-status').addEventListener('change', function () {
+        updateTicket({ status: this.value });
+    });
+
+    document.getElementById('contact-assignee').addEventListener('change', function () {
+        updateTicket({ assigneeId: this.value ? Number(this.value) : null });
+    });
+
+    // "Send and Close" carries the status to leave the ticket in
+    replyForm.addEventListener('submit', async function (e) {
+        e.preventDefault();
+        if (!selectedContact) return;
+        const body = { body: document.getElementById('reply-body').value };
+        if (e.submitter && e.submitter.dataset.status) body.status = e.submitter.dataset.status;
+
+        const buttons = replyForm.querySelectorAll('button');
+        buttons.forEach(button => { button.disabled = true; });
+        const result = await api('POST', `/api/admin/contacts/${selectedContact.id}/replies`, body);
+        buttons.forEach(button => { button.disabled = false; });
+        if (result) {
+            showAlert(`Reply sent to ${selectedContact.email}.`, 'success');
+            replyForm.reset();
+            openContact(selectedContact.id);
+            loadContacts();
+        }
+    });
+
+    staffForm.addEventListener('submit', async function (e) {
+        e.preventDefault();
+        const result = await api('POST', '/api/admin/staff', Object.fromEntries(new FormData(staffForm).entries()));
+        if (result) {
+            showAlert(`Added ${result.user.name}.`, 'success');
+            staffForm.reset();
+            loadStaff();
+        }
+    });
+
+    // Requests carry the session cookie; a 401 means the session ran out.
+    // `quiet` skips the error alert (used for the signed-in check on load).
+    async function api(method, path, body, quiet) {
+        try {
+            return await Api.request(method, path, { body, credentials: 'include' });
+        } catch (err) {
+            if (err.status === 401 && user) {
+                showAlert('Your session has expired. Please sign in again.', 'error');
+                user = null;
+                dashboard.classList.add('hidden');
+                loginForm.classList.remove('hidden');
+                return null;
+            }
+            console.error('Dashboard error:', err);
+            if (!quiet) showAlert(err instanceof ApiError ? err.message : 'Something went wrong. Please try again.', 'error');
+            return null;
+        }
+    }
+
+    function start(staff) {
+        user = staff;
+        setText('admin-user-name', `${user.name} (${user.role})`);
+        document.getElementById('admin-user').classList.remove('hidden');
+        loginForm.classList.add('hidden');
+        dashboard.classList.remove('hidden');
+
+        // Hide what this role can't use (the server enforces it regardless)
+        document.querySelectorAll('[data-role]').forEach(element => element.classList.toggle('hidden', !can(element.dataset.role)));
+
+        loadBookings();
+    }
+
+    async function loadBookings() {
+        const params = new URLSearchParams();
+        new FormData(bookingFilters).forEach((value, key) => { if (value) params.set(key, value); });
+        params.set('page', bookingsPage);
+        params.set('limit', pageSize);
+
+        const result = await api('GET', `/api/admin/bookings?${params}`);
+        if (!result) return;
+        bookingsTotal = result.total;
+
+        const body = document.getElementById('bookings-body');
+        body.innerHTML = '';
+        result.bookings.forEach(booking => {
+            const row = document.createElement('tr');
+            row.className = `admin-row status-${booking.status}`;
+            [
+                booking.reference,
+                programName(booking.program),
+                booking.date,
+                `${booking.firstName} ${booking.lastName}`,
+                booking.participants,
+                booking.totalFormatted || '-',
+                statusLabels[booking.status] || booking.status
+            ].forEach(value => {
+                const cell = document.createElement('td');
+                cell.textContent = value;
+                row.appendChild(cell);
+            });
+            row.addEventListener('click', () => openBooking(booking.id));
+            body.appendChild(row);
+        });
+
+        const first = result.total ? (result.page - 1) * result.limit + 1 : 0;
+        setText('bookings-count', `Showing ${first}-${(result.page - 1) * result.limit + result.bookings.length} of ${result.total} bookings`);
+    }
+
+    async function openBooking(id) {
+        const result = await api('GET', `/api/admin/bookings/${id}`);
+        if (!result) return;
+        const { booking, policy, notes, payments, messages, preferences } = result;
+        selected = { ...booking, policy };
+
+        setText('detail-title', `Booking ${booking.reference}`);
+        const fields = document.getElementById('detail-fields');
+        fields.innerHTML = '';
+        [
+            ['Status', statusLabels[booking.status] || booking.status],
+            ['Program', programName(booking.program)],
+            ['Date', booking.date],
+            ['Participants', booking.children ? `${booking.participants} (${booking.children} children)` : booking.participants],
+            ['Guest', `${booking.firstName} ${booking.lastName}`],
+            ['Email', booking.email],
+            ['Phone', booking.phone],
+            ['Updates by', ['Email', ...preferences.channels.map(channel => channelLabels[channel] || channel)].join(', ')],
+            ['Special requirements', booking.specialRequirements],
+            ['Total', booking.totalFormatted || '-'],
+            ['Promo code', booking.promoCode || '-'],
+            ['Booked', booking.createdAt],
+            ['Cancellation', booking.status === 'cancelled' ? `${booking.cancellationReason || 'No reason given'} (refund ${booking.refundPercent || 0}%)` : null]
+        ].filter(([, value]) => value != null).forEach(([label, value]) => {
+            fields.appendChild(summaryRow(label, value));
+        });
+
+        // Only offer the status changes the server allows from here
+        const next = { pending: ['confirmed', 'cancelled'], confirmed: ['completed', 'cancelled'], paid: ['completed', 'cancelled'] }[booking.status] || [];
+        document.querySelectorAll('#detail-actions [data-status]').forEach(button => {
+            button.classList.toggle('hidden', !next.includes(button.dataset.status));
+        });
+
+        const preview = `${API_BASE_URL}/api/admin/emails/booking-confirmation/preview?bookingId=${booking.id}`;
+        document.getElementById('detail-email-preview').href = preview;
+        document.getElementById('detail-invite').href = `${preview}&format=ics`;
+
+        renderList('detail-payments', payments, payment => `${payment.provider.toUpperCase()} · ${payment.amount} ${payment.currency} · ${payment.status}${payment.receipt ? ` · ${payment.receipt}` : ''} · ${payment.createdAt}`, 'No payments yet.');
+        renderList('detail-messages', messages, message => `${message.kind} · ${message.sendAt.slice(0, 16).replace('T', ' ')} UTC · ${message.status}${message.skipReason ? ` (${message.skipReason})` : ''}`, 'No reminders scheduled.');
+        renderList('detail-notes', notes, note => `${note.createdAt.slice(0, 16).replace('T', ' ')} · ${note.authorName}: ${note.body}`, 'No notes yet.');
+
+        detail.classList.remove('hidden');
+        detail.scrollIntoView({ behavior: 'smooth' });
+    }
+
+    async function loadContacts() {
+        const params = new URLSearchParams();
+        new FormData(contactFilters).forEach((value, key) => { if (value) params.set(key, value); });
+        const result = await api('GET', `/api/admin/contacts?${params}`);
+        if (!result) return;
+
+        if (!Object.keys(contactTopics).length) {
+            contactTopics = result.topics;
+            const select = document.getElementById('filter-topic');
+            Object.entries(contactTopics).forEach(([slug, label]) => select.appendChild(new Option(label, slug)));
+        }
+
+        setText('contacts-count', `${result.total} messages`);
+        const list = document.getElementById('contacts-list');
+        list.innerHTML = '';
+        result.contacts.forEach(contact => {
+            const item = messageItem(
+                `#${contact.id} ${contactTopics[contact.subject] || contact.subject} - ${contact.name} <${contact.email}>`,
+                [contact.createdAt, ticketLabels[contact.status] || contact.status, contact.assigneeName || 'Unassigned', contact.replies ? `${contact.replies} in thread` : null].filter(Boolean).join(' · '),
+                contact.message
+            );
+            item.classList.add('admin-row');
+            item.addEventListener('click', function (e) {
+                if (!e.target.closest('button')) openContact(contact.id);
+            });
+            if (contact.status === 'quarantined') item.appendChild(quarantineActions(contact));
+            list.appendChild(item);
+        });
+    }
+
+    async function openContact(id) {
+        const result = await api('GET', `/api/admin/contacts/${id}`);
+        if (!result) return;
+        const { contact, messages, staff } = result;
+        selectedContact = contact;
+
+        setText('contact-title', `Ticket #${contact.id}: ${contact.topic}`);
+        const fields = document.getElementById('contact-fields');
+        fields.innerHTML = '';
+        [
+            ['Status', ticketLabels[contact.status] || contact.status],
+            ['From', `${contact.name} <${contact.email}>`],
+            ['Topic', contact.topic],
+            ['Booking', contact.bookingReference],
+            ['Routed to', contact.routedTo],
+            ['Assigned to', contact.assigneeName || 'Nobody'],
+            ['Received', contact.createdAt],
+            ['Updated', contact.updatedAt]
+        ].filter(([, value]) => value != null).forEach(([label, value]) => {
+            fields.appendChild(summaryRow(label, value));
+        });
+
+        // Quarantined messages have to be released before anyone works on them
+        const workable = can('staff') && contact.status !== 'quarantined';
+        document.getElementById('contact-controls').classList.toggle('hidden', !workable);
+        replyForm.classList.toggle('hidden', !workable);
+        document.getElementById('contact-status').value = contact.status;
+        const assignee = document.getElementById('contact-assignee');
+        assignee.length = 1;
+        staff.forEach(member => assignee.appendChild(new Option(member.name, member.id)));
+        assignee.value = contact.assigneeId || '';
+
+        // The original message opens the thread
+        const thread = document.getElementById('contact-thread');
+        thread.innerHTML = '';
+        [{ direction: 'in', authorName: contact.name, body: contact.message, createdAt: contact.createdAt }, ...messages].forEach(message => {
+            const item = messageItem(
+                message.direction === 'out' ? `↩ ${message.authorName} replied` : `${message.authorName} wrote`,
+                message.createdAt.slice(0, 16).replace('T', ' '),
+                message.body
+            );
+            item.classList.add(`thread-${message.direction}`);
+            thread.appendChild(item);
+        });
+
+        contactDetail.classList.remove('hidden');
+        contactDetail.scrollIntoView({ behavior: 'smooth' });
+    }
+
+    async function updateTicket(changes) {
+        if (!selectedContact) return;
+        const result = await api('PATCH', `/api/admin/contacts/${selectedContact.id}`, changes);
+        if (result) showAlert(`Ticket #${selectedContact.id} updated.`, 'success');
+        openContact(selectedContact.id);
+        loadContacts();
+    }
+
+    function messageItem(headingText, metaText, bodyText) {
+        const item = document.createElement('li');
+        item.className = 'admin-message';
+        const heading = document.createElement('strong');
+        heading.textContent = headingText;
+        const meta = document.createElement('span');
+        meta.className = 'form-hint';
+        meta.textContent = ` ${metaText}`;
+        const body = document.createElement('p');
+        body.textContent = bodyText;
+        item.append(heading, meta, body);
+        return item;
+    }
+
+    // Why it was held back, and a way to deliver it after all
+    function quarantineActions(contact) {
+        const wrap = document.createElement('p');
+        wrap.className = 'form-hint error';
+        const reasons = contact.spamReasons ? JSON.parse(contact.spamReasons).join(', ') : 'unknown';
+        wrap.textContent = `⚠️ Quarantined as likely spam (score ${contact.spamScore}: ${reasons}) `;
+        if (can('staff')) {
+            const release = document.createElement('button');
+            release.type = 'button';
+            release.className = 'btn btn-outline';
+            release.textContent = 'Not spam - deliver it';
+            release.addEventListener('click', async function () {
+                const result = await api('POST', `/api/admin/contacts/${contact.id}/release`);
+                if (result) {
+                    showAlert('Message delivered to the inbox.', 'success');
+                    loadContacts();
+                }
+            });
+            wrap.appendChild(release);
+        }
+        return wrap;
+    }
+
+    // The report list comes with the first visit to the tab. Empty dates mean
+    // the server's default (the last 12 months); downloads use the same filters.
+    async function loadReport() {
+        const select = document.getElementById('report-name');
+        if (!select.options.length) {
+            const list = await api('GET', '/api/admin/reports');
+            if (!list) return;
+            reportDescriptions = Object.fromEntries(list.reports.map(report => [report.name, report.description]));
+            list.reports.forEach(report => select.appendChild(new Option(report.title, report.name)));
+        }
+
+        const params = new URLSearchParams();
+        new FormData(reportFilters).forEach((value, key) => { if (value && key !== 'report') params.set(key, value); });
+        const path = `/api/admin/reports/${encodeURIComponent(select.value)}`;
+        document.getElementById('report-csv').href = `${API_BASE_URL}${path}?${params}&format=csv`;
+        document.getElementById('report-xlsx').href = `${API_BASE_URL}${path}?${params}&format=xlsx`;
+
+        const report = await api('GET', `${path}?${params}`);
+        if (!report) return;
+        setText('report-description', `${reportDescriptions[report.name]} · ${report.from} to ${report.to} · ${report.rows.length} row(s)`);
+
+        const head = document.getElementById('report-head');
+        head.innerHTML = '';
+        report.columns.forEach(column => {
+            const cell = document.createElement('th');
+            cell.textContent = column.label;
+            head.appendChild(cell);
+        });
+        const body = document.getElementById('report-body');
+        body.innerHTML = '';
+        report.rows.forEach(row => {
+            const tr = document.createElement('tr');
+            report.columns.forEach(column => {
+                const cell = document.createElement('td');
+                const value = row[column.key];
+                cell.textContent = value == null ? '-' : column.type === 'number' ? value.toLocaleString() : value;
+                tr.appendChild(cell);
+            });
+            body.appendChild(tr);
+        });
+    }
+
+    async function loadStaff() {
+        const result = await api('GET', '/api/admin/staff');
+        if (!result) return;
+        renderList('staff-list', result.users, staff => `${staff.name} <${staff.email}> · ${staff.role}${staff.active ? '' : ' · deactivated'} · last sign-in ${staff.lastLoginAt || 'never'}`, 'No staff accounts yet.');
+    }
+
+    function renderList(id, items, format, emptyText) {
+        const list = document.getElementById(id);
+        list.innerHTML = '';
+        if (items.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'form-hint';
+            empty.textContent = emptyText;
+            list.appendChild(empty);
+        }
+        items.forEach(item => {
+            const li = document.createElement('li');
+            li.textContent = format(item);
+            list.appendChild(li);
+        });
+    }
+
+    function summaryRow(label, value) {
+        const row = document.createElement('div');
+        row.className = 'summary-row';
+        const labelEl = document.createElement('span');
+        labelEl.className = 'summary-label';
+        labelEl.textContent = label;
+        const valueEl = document.createElement('span');
+        valueEl.className = 'summary-value';
+        valueEl.textContent = value;
+        row.append(labelEl, valueEl);
+        return row;
+    }
+
+    function programName(slug) {
+        return programCatalog[slug] ? programCatalog[slug].name : slug;
+    }
+
+    function setText(id, value) {
+        const element = document.getElementById(id);
+        if (element) element.textContent = value;
+    }
+
+    // Program names for the filter, then pick up an existing session if there is one
+    loadProgramCatalog().then(function (programs) {
+        const select = document.getElementById('filter-program');
+        (programs || []).forEach(program => select.appendChild(new Option(program.name, program.slug)));
+        return api('GET', '/api/admin/me', undefined, true);
+    }).then(function (result) {
+        if (result) start(result.user);
+    });
+});
@@ -0,0 +1,113 @@
+/* ===== OFF MIND INITIATIVE - API CLIENT ===== */
+// Every call the pages make to the server goes through here. The base URL comes
+// from the server-injected config (/config.js sets window.OMI_CONFIG), then a
+// <meta name="api-base-url"> tag, and otherwise the page's own origin - so local
+// dev, staging and production each talk to their own server.
+// Load after /config.js and before main.js.
+
+const API_BASE_URL = resolveApiBaseUrl();
+const API_TIMEOUT_MS = 15000;
+
+function resolveApiBaseUrl() {
+    const configured = window.OMI_CONFIG?.apiBaseUrl
+        || document.querySelector('meta[name="api-base-url"]')?.content
+        || '';
+    return configured.replace(/\/+$/, '');
+}
+
+// A failed request. `status` is 0 when the server was never reached; `code` is
+// the server's machine-readable reason (or 'timeout' / 'network'); `errors` holds
+// field-level messages (see js/shared/schemas.js); `data` is the whole body.
+class ApiError extends Error {
+    constructor(message, { status = 0, code = null, errors = null, data = {} } = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.code = code;
+        this.errors = errors;
+        this.data = data;
+    }
+}
+
+// -> the parsed JSON body on success; throws ApiError otherwise.
+// Options: body (sent as JSON), idempotencyKey, credentials, timeoutMs.
+async function apiRequest(method, path, { body, idempotencyKey, credentials, timeoutMs = API_TIMEOUT_MS } = {}) {
+    const headers = {};
+    if (body !== undefined) headers['Content-Type'] = 'application/json';
+    if (idempotencyKey) headers['Idempotency-Key'] = idempotencyKey;
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    let res;
+    try {
+        res = await fetch(`${API_BASE_URL}${path}`, {
+            method,
+            headers,
+            credentials,
+            body: body !== undefined ? JSON.stringify(body) : undefined,
+            signal: controller.signal
+        });
+    } catch (err) {
+        if (err.name === 'AbortError') throw new ApiError('The server is taking too long to respond. Please try again.', { code: 'timeout' });
+        throw new ApiError('Couldn\'t reach the server. Please check your connection and try again.', { code: 'network' });
+    } finally {
+        clearTimeout(timer);
+    }
+
+    const data = await parseBody(res);
+    if (!res.ok || data.success === false) {
+        throw new ApiError(data.error || data.message || `Server error (${res.status})`, { status: res.status, code: data.code, errors: data.errors, data });
+    }
+    return data;
+}
+
+// Proxies and crashed servers answer with HTML or nothing at all
+async function parseBody(res) {
+    const text = await res.text();
+    if (!(res.headers.get('content-type') || '').includes('application/json')) return { raw: text };
+    try {
+        return JSON.parse(text);
+    } catch (err) {
+        return { raw: text };
+    }
+}
+
+const apiQuery = (params) => new URLSearchParams(Object.entries(params).filter(([, value]) => value != null && value !== '')).toString();
+
+// One helper per endpoint the public pages use
+const Api = {
+    request: apiRequest,
+
+    // Catalog and pricing
+    listPrograms: (currency) => apiRequest('GET', `/api/programs?${apiQuery({ currency })}`),
+    getAvailability: (program, month) => apiRequest('GET', `/api/programs/${encodeURIComponent(program)}/availability?${apiQuery({ month })}`),
+    getQuote: (booking) => apiRequest('POST', '/api/quote', { body: booking }),
+    validatePromo: (details) => apiRequest('POST', '/api/promo/validate', { body: details }),
+
+    // Forms
+    getFormToken: (form) => apiRequest('GET', `/api/forms/${encodeURIComponent(form)}/token`),
+    sendContact: (message, { idempotencyKey } = {}) => apiRequest('POST', '/api/contact', { body: message, idempotencyKey }),
+    createBooking: (booking, { idempotencyKey } = {}) => apiRequest('POST', '/book', { body: booking, idempotencyKey }),
+
+    // Payments
+    startCardCheckout: (details) => apiRequest('POST', '/api/payments/card/checkout', { body: details }),
+    startMpesaPayment: (details) => apiRequest('POST', '/api/payments/mpesa/stk', { body: details }),
+    getMpesaStatus: (checkoutRequestId) => apiRequest('GET', `/api/payments/mpesa/${encodeURIComponent(checkoutRequestId)}`),
+
+    // Manage my booking - the email proves ownership
+    getBooking: (reference, email) => apiRequest('GET', `/api/bookings/${encodeURIComponent(reference)}?${apiQuery({ email })}`),
+    updateBooking: (reference, changes) => apiRequest('PATCH', `/api/bookings/${encodeURIComponent(reference)}`, { body: changes }),
+    cancelBooking: (reference, details) => apiRequest('POST', `/api/bookings/${encodeURIComponent(reference)}/cancel`, { body: details }),
+    getPreferences: (reference, email) => apiRequest('GET', `/api/bookings/${encodeURIComponent(reference)}/preferences?${apiQuery({ email })}`),
+    savePreferences: (reference, preferences) => apiRequest('PUT', `/api/bookings/${encodeURIComponent(reference)}/preferences`, { body: preferences }),
+
+    // Customer account - a session cookie set by verifyLogin
+    requestLoginLink: (email) => apiRequest('POST', '/api/account/login', { body: { email } }),
+    verifyLogin: (token) => apiRequest('POST', '/api/account/verify', { body: { token }, credentials: 'include' }),
+    logout: () => apiRequest('POST', '/api/account/logout', { credentials: 'include' }),
+    getAccount: () => apiRequest('GET', '/api/account', { credentials: 'include' }),
+    saveProfile: (profile) => apiRequest('PUT', '/api/account', { body: profile, credentials: 'include' }),
+    listMyBookings: () => apiRequest('GET', '/api/account/bookings', { credentials: 'include' }),
+    exportMyData: () => apiRequest('GET', '/api/account/export', { credentials: 'include' }),
+    eraseMyData: () => apiRequest('POST', '/api/account/erase', { body: { confirm: true }, credentials: 'include' })
+};
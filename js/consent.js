@@ -0,0 +1,100 @@
+/* ===== OFF MIND INITIATIVE - COOKIE CONSENT ===== */
+// Google Analytics sets cookies, so gtag.js only loads after the visitor says
+// yes. The choice is kept in localStorage with the privacy notice version it
+// was made under - a new notice asks again. Any [data-cookie-settings] link
+// reopens the banner, and declining later removes the analytics cookies.
+// Load in <head>: <script src="/js/consent.js" data-ga-id="G-..."></script>
+
+const COOKIE_CONSENT_KEY = 'omiCookieConsent';
+const COOKIE_CONSENT_VERSION = '2026-10';
+
+(function () {
+    const measurementId = document.currentScript?.dataset.gaId;
+    let analyticsLoaded = false;
+
+    function readChoice() {
+        try {
+            const choice = JSON.parse(localStorage.getItem(COOKIE_CONSENT_KEY));
+            return choice && choice.version === COOKIE_CONSENT_VERSION ? choice : null;
+        } catch (err) {
+            return null;
+        }
+    }
+
+    function saveChoice(analytics) {
+        try {
+            localStorage.setItem(COOKIE_CONSENT_KEY, JSON.stringify({ analytics, version: COOKIE_CONSENT_VERSION, savedAt: new Date().toISOString() }));
+        } catch (err) {
+            // Private browsing without storage - the banner just asks again next visit
+        }
+    }
+
+    function loadAnalytics() {
+        if (!measurementId) return;
+        window[`ga-disable-${measurementId}`] = false;
+        if (analyticsLoaded) return;
+        analyticsLoaded = true;
+
+        const script = document.createElement('script');
+        script.async = true;
+        script.src = `https://www.googletagmanager.com/gtag/js?id=${encodeURIComponent(measurementId)}`;
+        document.head.appendChild(script);
+
+        window.dataLayer = window.dataLayer || [];
+        window.gtag = function () { window.dataLayer.push(arguments); };
+        gtag('js', new Date());
+        gtag('config', measurementId, { anonymize_ip: true });
+    }
+
+    // Google's cookies are _ga, _ga_<id> and _gid, set on the site's top domains
+    function removeAnalytics() {
+        if (measurementId) window[`ga-disable-${measurementId}`] = true;
+        const hostParts = window.location.hostname.split('.');
+        const domains = hostParts.map((part, i) => hostParts.slice(i).join('.'));
+        document.cookie.split(';').map(cookie => cookie.split('=')[0].trim()).filter(name => /^_ga|^_gid$/.test(name)).forEach(name => {
+            document.cookie = `${name}=; expires=Thu, 01 Jan 1970 00:00:00 GMT; path=/`;
+            domains.forEach(domain => {
+                document.cookie = `${name}=; expires=Thu, 01 Jan 1970 00:00:00 GMT; path=/; domain=.${domain}`;
+            });
+        });
+    }
+
+    function showBanner() {
+        document.querySelector('.cookie-banner')?.remove();
+
+        const banner = document.createElement('div');
+        banner.className = 'cookie-banner';
+        banner.setAttribute('role', 'dialog');
+        banner.setAttribute('aria-label', 'Cookie preferences');
+        banner.innerHTML = `
+            <p>We'd like to use Google Analytics cookies to understand how visitors use our site. They're only set if you agree. <a href="privacy.html#cookies">Read our privacy notice</a>.</p>
+            <div class="cookie-banner-actions">
+                <button type="button" class="btn btn-outline" data-consent="decline">Decline</button>
+                <button type="button" class="btn btn-primary" data-consent="accept">Accept</button>
+            </div>
+        `;
+        banner.addEventListener('click', function (e) {
+            const button = e.target.closest('[data-consent]');
+            if (!button) return;
+            const accepted = button.dataset.consent === 'accept';
+            saveChoice(accepted);
+            if (accepted) loadAnalytics();
+            else removeAnalytics();
+            banner.remove();
+        });
+        document.body.appendChild(banner);
+    }
+
+    const choice = readChoice();
+    if (choice?.analytics) loadAnalytics();
+
+    document.addEventListener('DOMContentLoaded', function () {
+        if (!choice) showBanner();
+    });
+
+    document.addEventListener('click', function (e) {
+        if (!e.target.closest('[data-cookie-settings]')) return;
+        e.preventDefault();
+        showBanner();
+    });
+})();
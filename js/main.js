@@ -1,12 +1,20 @@
 /* ===== MAIN JAVASCRIPT - OFF MIND INITIATIVE ===== */
 
+// Program catalog loaded from the server (slug -> program)
+let programCatalog = {};
+
+const CURRENCY_STORAGE_KEY = 'omiCurrency';
+const SUPPORTED_CURRENCIES = ['KES', 'USD', 'EUR'];
+
 // DOM Content Loaded Event
 document.addEventListener('DOMContentLoaded', function() {
     initializeNavigation();
     initializeContactForm();
     initializeFAQ();
     initializeBookingForm();
+    initializeBookingWizard();
     initializeScrollAnimations();
+    initializeFieldErrors();
     handleURLParameters();
 });
 
@@ -45,6 +53,7 @@ function initializeContactForm() {
     const contactForm = document.getElementById('contact-form');
     
     if (contactForm) {
+        initializeFormGuard(contactForm, 'contact');
         contactForm.addEventListener('submit', function(e) {
             e.preventDefault();
             handleContactFormSubmission();
@@ -67,6 +76,8 @@ function handleContactFormSubmission() {
     // Get form data
     const formData = new FormData(contactForm);
     const contactData = {
+        // Spam-protection fields (token, honeypot, CAPTCHA) travel as they are
+        ...Object.fromEntries(formData.entries()),
         name: sanitizeInput(formData.get('name')),
         email: sanitizeInput(formData.get('email')),
         subject: sanitizeInput(formData.get('subject')),
@@ -82,31 +93,11 @@ function handleContactFormSubmission() {
     // Send data to backend API
     (async () => {
         try {
-            const res = await fetch('https://omiwebsite-production.up.railway.app/api/contact', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(contactData)
-            });
+            const data = await Api.sendContact(contactData, { idempotencyKey: idempotencyKey(contactForm) });
 
-            // Always read response as text first (prevents JSON parse error)
-            const text = await res.text();
-            const ct = (res.headers.get('content-type') || '').toLowerCase();
-            let data;
-            if (ct.includes('application/json')) {
-                try { data = JSON.parse(text); } catch (err) { data = { raw: text }; }
-            } else {
-                data = { raw: text };
-            }
-
-            if (!res.ok) {
-                console.error('Server returned error:', res.status, data);
-                showAlert(data.error || data.message || `Server error (${res.status})`);
-                resetContactButton(contactButton);
-                return;
-            }
-
-            // Success
+            // Success - the next message is a new submission
             console.log('Contact form submitted:', data);
+            rotateIdempotencyKey(contactForm);
             contactForm.style.display = 'none';
             
             // Show success message
@@ -123,30 +114,36 @@ function handleContactFormSubmission() {
             // Reset form after delay
             setTimeout(() => {
                 contactForm.reset();
+                initializeFormGuard(contactForm, 'contact');
+                resetCaptcha();
                 contactForm.style.display = 'block';
                 successDiv.remove();
                 resetContactButton(contactButton);
             }, 5000);
 
         } catch (err) {
-            console.error('Network / fetch error:', err);
-            showAlert('Something went wrong. Please try again later.');
+            console.error('Contact form error:', err);
+            if (err.errors) showFieldErrors(contactForm, err.errors);
+            if (err.code === 'form-expired') initializeFormGuard(contactForm, 'contact');
+            resetCaptcha();
+            showAlert(err instanceof ApiError ? err.message : 'Something went wrong. Please try again later.');
             resetContactButton(contactButton);
         }
     })();
 }
 
+// Same rules the server applies (js/shared/schemas.js). If the module didn't
+// load, the server still checks and its errors are shown the same way.
 function validateContactForm(data) {
-    if (!data.name || !data.email || !data.subject || !data.message) {
-        showAlert('Please fill in all required fields.', 'error');
-        return false;
-    }
+    if (!window.Schemas) return true;
 
-    if (!isValidEmail(data.email)) {
-        showAlert('Please enter a valid email address.', 'error');
+    const { errors } = Schemas.validateContact(data);
+    if (errors) {
+        showFieldErrors(document.getElementById('contact-form'), errors);
+        showAlert(Object.values(errors)[0], 'error');
         return false;
     }
-
+    clearFieldErrors(document.getElementById('contact-form'));
     return true;
 }
 
@@ -188,56 +185,198 @@ function initializeBookingForm() {
     const bookingSummary = document.getElementById('booking-summary');
     
     if (bookingForm) {
+        initializeFormGuard(bookingForm, 'booking');
+
         // Listen for form changes to update summary
         bookingForm.addEventListener('change', updateBookingSummary);
         bookingForm.addEventListener('input', updateBookingSummary);
         
-        // Initialize summary
-        updateBookingSummary();
+        // Render program options from the catalog, then refresh the summary
+        const currencySelect = bookingForm.querySelector('#currency');
+        if (currencySelect) {
+            currencySelect.value = getPreferredCurrency();
+            currencySelect.addEventListener('change', function() {
+                setPreferredCurrency(currencySelect.value);
+                refreshCatalog();
+            });
+        }
+        refreshCatalog();
+
+        initializeDatePicker(bookingForm);
+        initializePromoCode();
+        prefillFromAccount(bookingForm);
     }
     
+    function refreshCatalog() {
+        loadProgramCatalog(getPreferredCurrency()).then(programs => {
+            renderProgramOptions(bookingForm, programs);
+            updateBookingSummary();
+        });
+    }
+
+    // Totals come from the server's pricing engine; we only display them
+    let quoteRequestId = 0;
+    const requestQuote = debounce(async function(payload) {
+        const current = ++quoteRequestId;
+        try {
+            const data = await Api.getQuote(payload);
+            if (current !== quoteRequestId) return; // a newer quote is on its way
+
+            // e.g. the program changed to one the applied code doesn't cover
+            if (data.promoError) clearPromo(data.promoError);
+            renderQuote(data.quote);
+        } catch (err) {
+            if (current !== quoteRequestId) return;
+            if (err.status) showQuoteError(err.message);
+            else console.error('Failed to load quote:', err);
+        }
+    }, 250);
+
     function updateBookingSummary() {
         const formData = new FormData(bookingForm);
         const program = formData.get('program');
         const date = formData.get('date');
         const participants = formData.get('participants');
-        
-        if (program && date && participants) {
-            // Show summary
-            if (bookingSummary) {
-                bookingSummary.style.display = 'block';
-                
-                // Update summary content
-                const programNames = {
-                    'bestie': 'Bestie Program',
-                    'ecotherapy': 'Ecotherapy Program',
-                    'family-exchange': 'Family Exchange Program'
-                };
-                
-                const programPrices = {
-                    'bestie': 299,
-                    'ecotherapy': 399,
-                    'family-exchange': 499
-                };
-                
-                const basePrice = programPrices[program] || 0;
-                const participantCount = parseInt(participants) || 1;
-                const totalPrice = basePrice * participantCount;
-                
-                // Update DOM elements
-                updateSummaryElement('summary-program', programNames[program]);
-                updateSummaryElement('summary-date', formatDate(date));
-                updateSummaryElement('summary-participants', participantCount);
-                updateSummaryElement('summary-total', '$' + totalPrice);
-            }
+        const details = programCatalog[program];
+
+        toggleChildrenField(details);
+
+        if (details && date && participants) {
+            requestQuote({
+                program,
+                date,
+                participants: parseInt(participants) || 1,
+                children: parseInt(formData.get('children')) || 0,
+                currency: getPreferredCurrency(),
+                promoCode: formData.get('promoCode') || undefined,
+                email: formData.get('email') || undefined
+            });
         } else {
             // Hide summary if incomplete
+            quoteRequestId++;
             if (bookingSummary) {
                 bookingSummary.style.display = 'none';
             }
+            const quotedTotal = document.getElementById('quoted-total');
+            if (quotedTotal) quotedTotal.value = '';
         }
     }
-    
+
+    function renderQuote(quote) {
+        if (!bookingSummary) return;
+        bookingSummary.style.display = 'block';
+
+        updateSummaryElement('summary-program', quote.programName);
+        updateSummaryElement('summary-date', formatDate(quote.date));
+        updateSummaryElement('summary-participants', quote.participants);
+        updateSummaryElement('summary-total', quote.totalFormatted);
+
+        const breakdown = document.getElementById('summary-breakdown');
+        if (breakdown) {
+            breakdown.innerHTML = '';
+            quote.lines.forEach(line => {
+                breakdown.appendChild(summaryRow(`${line.label} × ${line.quantity} @ ${line.unitPriceFormatted}`, line.amountFormatted));
+            });
+            quote.discounts.forEach(discount => {
+                breakdown.appendChild(summaryRow(discount.label, discount.amountFormatted, 'discount'));
+            });
+        }
+
+        // Sent with the booking so the server records the total the customer saw
+        const quotedTotal = document.getElementById('quoted-total');
+        if (quotedTotal) quotedTotal.value = quote.total;
+    }
+
+    // Codes are checked with the server when applied; only an accepted code is
+    // sent with quotes and the booking (via the hidden promoCode field)
+    function initializePromoCode() {
+        const input = document.getElementById('promo-code');
+        const applyButton = document.getElementById('apply-promo');
+        const applied = document.getElementById('applied-promo');
+        if (!input || !applyButton || !applied) return;
+
+        applyButton.addEventListener('click', async function() {
+            const code = input.value.trim();
+            if (!code) return;
+
+            const formData = new FormData(bookingForm);
+            applyButton.disabled = true;
+            try {
+                const data = await Api.validatePromo({
+                    code,
+                    program: formData.get('program'),
+                    date: formData.get('date'),
+                    participants: parseInt(formData.get('participants')) || 1,
+                    children: parseInt(formData.get('children')) || 0,
+                    currency: getPreferredCurrency(),
+                    email: formData.get('email') || undefined
+                });
+                applied.value = data.promo.code;
+                input.value = data.promo.code;
+                setPromoMessage(`✅ ${data.promo.code} applied`, false);
+                updateBookingSummary();
+            } catch (err) {
+                console.error('Failed to apply promo code:', err);
+                clearPromo(err.status ? err.message : 'Couldn\'t check that code. Please try again.');
+            } finally {
+                applyButton.disabled = false;
+            }
+        });
+
+        // Editing the code after applying it takes the discount off until re-applied
+        input.addEventListener('input', function() {
+            if (applied.value && input.value.trim().toUpperCase() !== applied.value) {
+                clearPromo('');
+                updateBookingSummary();
+            }
+        });
+    }
+
+    function clearPromo(message) {
+        const applied = document.getElementById('applied-promo');
+        if (applied) applied.value = '';
+        setPromoMessage(message, true);
+    }
+
+    function setPromoMessage(message, isError) {
+        const element = document.getElementById('promo-message');
+        if (!element) return;
+        element.textContent = message;
+        element.classList.toggle('error', !!isError && !!message);
+    }
+
+    function showQuoteError(message) {
+        if (bookingSummary) bookingSummary.style.display = 'none';
+        showAlert(message, 'error');
+    }
+
+    function summaryRow(label, value, modifier) {
+        const row = document.createElement('div');
+        row.className = modifier ? `summary-row ${modifier}` : 'summary-row';
+        const labelEl = document.createElement('span');
+        labelEl.className = 'summary-label';
+        labelEl.textContent = label;
+        const valueEl = document.createElement('span');
+        valueEl.className = 'summary-value';
+        valueEl.textContent = value;
+        row.append(labelEl, valueEl);
+        return row;
+    }
+
+    // Only programs with a child rate ask how many of the group are children
+    function toggleChildrenField(details) {
+        const group = document.getElementById('children-group');
+        if (!group) return;
+        const childRate = details?.pricing?.childRate;
+        group.classList.toggle('hidden', !childRate);
+        if (childRate) {
+            updateSummaryElement('child-max-age', childRate.maxAge);
+        } else {
+            const input = document.getElementById('children');
+            if (input) input.value = 0;
+        }
+    }
+
     function updateSummaryElement(id, value) {
         const element = document.getElementById(id);
         if (element) {
@@ -257,6 +396,386 @@ function initializeBookingForm() {
     }
 }
 
+/* ===== AVAILABLE DATES ===== */
+const AVAILABILITY_MONTHS_AHEAD = 3;
+
+function initializeDatePicker(form) {
+    const dateSelect = form.querySelector('#program-date');
+    const participantsSelect = form.querySelector('#participants');
+    if (!dateSelect || dateSelect.tagName !== 'SELECT') return;
+
+    let sessions = [];
+    let requestId = 0;
+
+    form.addEventListener('change', async function(e) {
+        if (e.target.name === 'participants') {
+            renderDateOptions();
+            return;
+        }
+        if (e.target.name !== 'program') return;
+
+        const current = ++requestId;
+        dateSelect.disabled = true;
+        dateSelect.innerHTML = '<option value="">Loading available dates...</option>';
+
+        const loaded = await loadAvailableDates(e.target.value);
+        if (current !== requestId) return; // program changed again meanwhile
+
+        sessions = loaded;
+        limitParticipants();
+        renderDateOptions();
+    });
+
+    // Offer up to the biggest session on the calendar - staff can raise a single
+    // date above the program's usual capacity. Dates without enough seats for
+    // the chosen group are disabled below.
+    function limitParticipants() {
+        const capacity = Math.max(0, ...sessions.map(day => day.capacity));
+        if (!participantsSelect || !capacity || participantsSelect.dataset.capacity === String(capacity)) return;
+        participantsSelect.dataset.capacity = capacity;
+
+        const selected = participantsSelect.value;
+        participantsSelect.querySelectorAll('option:not([value=""])').forEach(option => option.remove());
+        for (let count = 1; count <= capacity; count++) {
+            participantsSelect.appendChild(new Option(count === 1 ? '1 Person' : `${count} People`, count));
+        }
+        participantsSelect.value = Number(selected) <= capacity ? selected : '';
+        const children = form.querySelector('#children');
+        if (children) children.max = capacity;
+    }
+
+    function renderDateOptions() {
+        // A restored booking draft names its date before the dates have loaded
+        const selected = dateSelect.value || dateSelect.dataset.restore;
+        const participants = parseInt(participantsSelect?.value) || 1;
+
+        dateSelect.innerHTML = '';
+        const bookable = sessions.filter(day => day.status === 'available' || day.status === 'full');
+        if (bookable.length === 0) {
+            dateSelect.innerHTML = '<option value="">No dates available - please contact us</option>';
+            dateSelect.disabled = true;
+            return;
+        }
+
+        dateSelect.appendChild(new Option('Select a date', ''));
+        const groups = {};
+        bookable.forEach(day => {
+            const month = day.date.slice(0, 7);
+            if (!groups[month]) {
+                groups[month] = document.createElement('optgroup');
+                groups[month].label = new Date(`${month}-01T00:00:00`).toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+                dateSelect.appendChild(groups[month]);
+            }
+
+            const label = new Date(`${day.date}T00:00:00`).toLocaleDateString('en-US', { weekday: 'short', day: 'numeric', month: 'short' });
+            const spots = day.remaining === 1 ? '1 spot left' : `${day.remaining} spots left`;
+            const option = new Option(day.remaining > 0 ? `${label} (${spots})` : `${label} (Full)`, day.date);
+            option.disabled = day.remaining < participants;
+            option.selected = day.date === selected && !option.disabled;
+            groups[month].appendChild(option);
+        });
+        delete dateSelect.dataset.restore;
+        dateSelect.disabled = false;
+        dateSelect.dispatchEvent(new Event('change', { bubbles: true }));
+    }
+}
+
+async function loadAvailableDates(program) {
+    const months = [];
+    const cursor = new Date();
+    cursor.setDate(1);
+    for (let i = 0; i < AVAILABILITY_MONTHS_AHEAD; i++) {
+        months.push(`${cursor.getFullYear()}-${String(cursor.getMonth() + 1).padStart(2, '0')}`);
+        cursor.setMonth(cursor.getMonth() + 1);
+    }
+
+    try {
+        const results = await Promise.all(months.map(async month => (await Api.getAvailability(program, month)).days));
+        return results.flat();
+    } catch (err) {
+        console.error('Failed to load available dates:', err);
+        return [];
+    }
+}
+
+/* ===== BOOKING WIZARD ===== */
+// Turns the booking form's .form-section blocks into steps with a progress bar.
+// Each step is checked with the shared schema before moving on, and the answers
+// are kept in localStorage so a visitor who leaves picks up where they stopped.
+// Without JavaScript the sections still show as one long form.
+const BOOKING_DRAFT_KEY = 'omiBookingDraft';
+const BOOKING_DRAFT_MAX_AGE_DAYS = 7;
+// Tokens, the honeypot, CAPTCHA answers and the quoted total are never saved
+const BOOKING_DRAFT_FIELDS = ['program', 'date', 'participants', 'children', 'firstName', 'lastName', 'email', 'phone', 'channels', 'specialRequirements', 'promoCode', 'paymentMethod'];
+
+function initializeBookingWizard() {
+    const form = document.getElementById('booking-form');
+    const steps = form ? Array.from(form.querySelectorAll('.form-section[data-step-label]')) : [];
+    if (steps.length < 2) return;
+
+    let current = 0;
+    form.classList.add('wizard');
+
+    // Progress bar - finished steps can be revisited
+    const progress = document.createElement('ol');
+    progress.className = 'wizard-progress';
+    steps.forEach((section, index) => {
+        const item = document.createElement('li');
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.textContent = `${index + 1}. ${section.dataset.stepLabel}`;
+        button.addEventListener('click', () => goTo(index));
+        item.appendChild(button);
+        progress.appendChild(item);
+    });
+    form.prepend(progress);
+
+    // Back / Continue under each step; the last one keeps its booking buttons
+    steps.forEach((section, index) => {
+        const nav = document.createElement('div');
+        nav.className = 'wizard-nav';
+        if (index > 0) nav.appendChild(wizardButton('← Back', 'btn btn-outline', () => goTo(index - 1)));
+        if (index < steps.length - 1) {
+            nav.appendChild(wizardButton('Continue →', 'btn btn-primary', () => {
+                if (checkStep(index)) goTo(index + 1);
+            }));
+        }
+        section.appendChild(nav);
+    });
+
+    function goTo(index, { scroll = true } = {}) {
+        current = Math.max(0, Math.min(index, steps.length - 1));
+        steps.forEach((section, i) => section.classList.toggle('active', i === current));
+        progress.querySelectorAll('li').forEach((item, i) => {
+            item.classList.toggle('active', i === current);
+            item.classList.toggle('done', i < current);
+            item.querySelector('button').disabled = i > current;
+            if (i === current) item.setAttribute('aria-current', 'step');
+            else item.removeAttribute('aria-current');
+        });
+        if (current === steps.length - 1) renderBookingReview(form);
+        // Nothing worth resuming until the visitor is past the first step
+        if (current > 0) saveBookingDraft(form, current);
+        if (scroll) form.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+
+    // Only this step's fields are checked here; the rest get their turn later
+    function checkStep(index) {
+        if (!window.Schemas) return true;
+
+        const names = new Set(Array.from(steps[index].querySelectorAll('[name]'), input => input.name));
+        const { errors } = Schemas.validateBooking(Object.fromEntries(new FormData(form).entries()), bookingSchemaContext());
+        const stepErrors = Object.fromEntries(Object.entries(errors || {}).filter(([name]) => names.has(name)));
+        if (Object.keys(stepErrors).length) {
+            showFieldErrors(form, stepErrors);
+            return false;
+        }
+        return true;
+    }
+
+    // Errors found on submit (or by the server) can belong to an earlier step
+    form.addEventListener('fielderrors', function(e) {
+        const index = steps.findIndex(section => Object.keys(e.detail.errors).some(name => section.querySelector(`[name="${name}"]`)));
+        if (index !== -1 && index !== current) goTo(index, { scroll: false });
+    });
+
+    const saveDraft = debounce(() => saveBookingDraft(form, current), 300);
+    form.addEventListener('input', saveDraft);
+    form.addEventListener('change', saveDraft);
+
+    // Resume a saved draft; a ?program= link has already made the first choice
+    const urlProgram = new URLSearchParams(window.location.search).get('program');
+    const hasUrlProgram = urlProgram && form.querySelector(`input[name="program"][value="${CSS.escape(urlProgram)}"]`);
+    const draft = loadBookingDraft();
+    let start = hasUrlProgram ? 1 : 0;
+    if (draft && restoreBookingDraft(form, draft.values, hasUrlProgram ? urlProgram : null)) start = draft.step;
+    else if (draft) start = Math.min(draft.step, start);
+
+    if (draft) {
+        const notice = document.createElement('p');
+        notice.className = 'form-hint wizard-resume';
+        notice.textContent = 'Welcome back - we kept your booking as you left it. ';
+        notice.appendChild(wizardButton('Start over', 'wizard-reset', () => {
+            clearBookingDraft();
+            form.reset();
+            // reset() leaves hidden inputs alone; the form token stays valid
+            form.querySelectorAll('input[type="hidden"]:not([name="formToken"])').forEach(input => { input.value = ''; });
+            clearFieldErrors(form);
+            notice.remove();
+            goTo(0);
+        }));
+        progress.after(notice);
+    }
+    goTo(start, { scroll: false });
+}
+
+function wizardButton(label, className, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = className;
+    button.textContent = label;
+    button.addEventListener('click', onClick);
+    return button;
+}
+
+function renderBookingReview(form) {
+    const formData = new FormData(form);
+    const method = form.querySelector('input[name="paymentMethod"]:checked');
+    const rows = {
+        'review-name': `${formData.get('firstName') || ''} ${formData.get('lastName') || ''}`.trim(),
+        'review-contact': [formData.get('email'), formData.get('phone')].filter(Boolean).join(' · '),
+        'review-payment': method ? method.closest('label').textContent.trim() : ''
+    };
+    Object.entries(rows).forEach(([id, text]) => {
+        const element = document.getElementById(id);
+        if (element) element.textContent = text || '-';
+    });
+}
+
+function loadBookingDraft() {
+    try {
+        const draft = JSON.parse(localStorage.getItem(BOOKING_DRAFT_KEY));
+        if (!draft || !draft.values || Date.now() - draft.savedAt > BOOKING_DRAFT_MAX_AGE_DAYS * 86400000) return null;
+        return draft;
+    } catch (err) {
+        return null;
+    }
+}
+
+function saveBookingDraft(form, step) {
+    const formData = new FormData(form);
+    const values = {};
+    BOOKING_DRAFT_FIELDS.forEach(name => {
+        values[name] = name === 'channels' ? formData.getAll(name) : (formData.get(name) || '');
+    });
+    // While dates load the select is disabled and empty - keep the date being restored
+    values.date = values.date || form.querySelector('#program-date')?.dataset.restore || '';
+    try {
+        localStorage.setItem(BOOKING_DRAFT_KEY, JSON.stringify({ savedAt: Date.now(), step, values }));
+    } catch (err) {
+        // Storage full or disabled - the form works without drafts
+    }
+}
+
+// Called once the booking has been made
+function clearBookingDraft() {
+    localStorage.removeItem(BOOKING_DRAFT_KEY);
+}
+
+// -> false when the draft's program was dropped for the one in the link
+function restoreBookingDraft(form, values, urlProgram) {
+    const keepProgram = !urlProgram || urlProgram === values.program;
+    const dateSelect = form.querySelector('#program-date');
+
+    Object.entries(values).forEach(([name, value]) => {
+        if (!BOOKING_DRAFT_FIELDS.includes(name)) return;
+        if (!keepProgram && (name === 'program' || name === 'date')) return;
+        // Dates arrive with the program's availability; the picker selects it then
+        if (name === 'date') {
+            if (dateSelect && value) dateSelect.dataset.restore = value;
+            return;
+        }
+        form.querySelectorAll(`[name="${name}"]`).forEach(input => {
+            if (input.type === 'radio' || input.type === 'checkbox') input.checked = [].concat(value).includes(input.value);
+            else input.value = value;
+        });
+    });
+
+    // The applied code is checked again by the next quote
+    const promoInput = document.getElementById('promo-code');
+    if (promoInput && values.promoCode) promoInput.value = values.promoCode;
+
+    // Load the program's dates and refresh the summary
+    form.querySelector('input[name="program"]:checked')?.dispatchEvent(new Event('change', { bubbles: true }));
+    return keepProgram;
+}
+
+/* ===== CUSTOMER ACCOUNT ===== */
+// Signed-in customers (account.html) start the booking form with their saved
+// details. Only empty fields are filled, so a restored draft wins.
+const ACCOUNT_PREFILL_FIELDS = ['firstName', 'lastName', 'email', 'phone', 'specialRequirements'];
+
+async function prefillFromAccount(form) {
+    let customer;
+    try {
+        ({ customer } = await Api.getAccount());
+    } catch (err) {
+        return;
+    }
+    if (!customer) return;
+
+    ACCOUNT_PREFILL_FIELDS.forEach(name => {
+        const input = form.querySelector(`[name="${name}"]`);
+        if (input && !input.value && customer[name]) input.value = customer[name];
+    });
+    const hint = document.getElementById('account-hint');
+    if (hint) hint.textContent = `Signed in as ${customer.email} - we've filled in your saved details.`;
+}
+
+/* ===== PROGRAM CATALOG ===== */
+function getPreferredCurrency() {
+    const saved = localStorage.getItem(CURRENCY_STORAGE_KEY);
+    return SUPPORTED_CURRENCIES.includes(saved) ? saved : 'KES';
+}
+
+function setPreferredCurrency(currency) {
+    if (SUPPORTED_CURRENCIES.includes(currency)) localStorage.setItem(CURRENCY_STORAGE_KEY, currency);
+}
+
+async function loadProgramCatalog(currency = getPreferredCurrency()) {
+    try {
+        const data = await Api.listPrograms(currency);
+
+        programCatalog = {};
+        data.programs.forEach(program => { programCatalog[program.slug] = program; });
+        return data.programs;
+    } catch (err) {
+        // Keep the static markup as a fallback if the catalog can't be loaded
+        console.error('Failed to load program catalog:', err);
+        return [];
+    }
+}
+
+// The catalog's programs for Schemas.validateBooking - nothing to check
+// against until the catalog has loaded
+function bookingSchemaContext() {
+    const programs = Object.keys(programCatalog);
+    return programs.length ? { programs } : {};
+}
+
+function renderProgramOptions(form, programs) {
+    const container = form.querySelector('.program-options');
+    if (!container || programs.length === 0) return;
+
+    const selected = form.querySelector('input[name="program"]:checked')?.value;
+
+    container.innerHTML = '';
+    programs.forEach(program => {
+        const option = document.createElement('label');
+        option.className = 'program-option';
+        option.innerHTML = `
+            <input type="radio" name="program" required>
+            <div class="option-content">
+                <div class="option-header">
+                    <h3 class="option-title"></h3>
+                    <span class="option-price"></span>
+                </div>
+                <p class="option-description"></p>
+            </div>
+        `;
+        const radio = option.querySelector('input');
+        radio.value = program.slug;
+        radio.checked = program.slug === selected;
+        option.querySelector('.option-title').textContent = `${program.icon} ${program.name}`;
+        option.querySelector('.option-price').textContent = program.priceFormatted;
+        option.querySelector('.option-description').textContent = program.summary;
+        container.appendChild(option);
+    });
+
+    // Re-apply ?program= now that the options have been replaced
+    if (!selected) handleURLParameters();
+}
+
 /* ===== SCROLL ANIMATIONS ===== */
 function initializeScrollAnimations() {
     // Smooth scrolling for anchor links
@@ -328,8 +847,8 @@ function handleURLParameters() {
         const programRadio = document.querySelector(`input[name="program"][value="${program}"]`);
         if (programRadio) {
             programRadio.checked = true;
-            // Trigger change event to update summary
-            programRadio.dispatchEvent(new Event('change'));
+            // Trigger change event to update summary and load dates
+            programRadio.dispatchEvent(new Event('change', { bubbles: true }));
         }
     }
 }
@@ -346,10 +865,135 @@ function sanitizeInput(input) {
         .substring(0, 1000); // Limit length
 }
 
-// Email validation
-function isValidEmail(email) {
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    return emailRegex.test(email);
+/* ===== SPAM PROTECTION ===== */
+// Fetch the signed token the server expects with each submission and render a
+// CAPTCHA when one is switched on (see lib/spam.js). Without a token the form
+// still works - the server just trusts it a little less.
+async function initializeFormGuard(form, name) {
+    try {
+        const data = await Api.getFormToken(name);
+        const tokenInput = form.querySelector('input[name="formToken"]');
+        if (tokenInput) tokenInput.value = data.token;
+        if (data.captcha) renderCaptcha(form, data.captcha);
+    } catch (err) {
+        console.warn('Form token unavailable:', err);
+    }
+}
+
+const CAPTCHA_WIDGETS = {
+    turnstile: { script: 'https://challenges.cloudflare.com/turnstile/v0/api.js', className: 'cf-turnstile' },
+    hcaptcha: { script: 'https://js.hcaptcha.com/1/api.js', className: 'h-captcha' },
+    recaptcha: { script: 'https://www.google.com/recaptcha/api.js', className: 'g-recaptcha' }
+};
+
+function renderCaptcha(form, captcha) {
+    const slot = form.querySelector('.captcha-slot');
+    if (!slot || slot.dataset.rendered) return;
+    slot.dataset.rendered = 'true';
+
+    // Local stub: a plain checkbox the server accepts as 'pass'
+    if (captcha.provider === 'stub') {
+        slot.innerHTML = '<label class="channel-option"><input type="checkbox" name="captchaToken" value="pass"><span>I\'m not a robot (test mode)</span></label>';
+        return;
+    }
+
+    const widget = CAPTCHA_WIDGETS[captcha.provider];
+    if (!widget) return;
+    const container = document.createElement('div');
+    container.className = widget.className;
+    container.dataset.sitekey = captcha.siteKey;
+    slot.appendChild(container);
+
+    // The provider's script renders every container on the page once loaded
+    if (!document.querySelector(`script[src="${widget.script}"]`)) {
+        const script = document.createElement('script');
+        script.src = widget.script;
+        script.async = true;
+        script.defer = true;
+        document.head.appendChild(script);
+    }
+}
+
+// CAPTCHA answers are single-use, so clear the widget after each attempt
+function resetCaptcha() {
+    if (window.turnstile) window.turnstile.reset();
+    if (window.hcaptcha) window.hcaptcha.reset();
+    if (window.grecaptcha) window.grecaptcha.reset();
+    document.querySelectorAll('input[name="captchaToken"]').forEach(input => { input.checked = false; });
+}
+
+/* ===== DUPLICATE SUBMISSIONS ===== */
+// One Idempotency-Key per form session: double clicks and retries reuse it, and
+// the server answers them with the first response instead of saving twice.
+// Rotate it after a success so the next booking or message counts as new.
+function idempotencyKey(form) {
+    if (!form.dataset.idempotencyKey) {
+        // randomUUID needs a secure context; plain http (local testing) falls back
+        form.dataset.idempotencyKey = window.crypto?.randomUUID
+            ? window.crypto.randomUUID()
+            : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+    }
+    return form.dataset.idempotencyKey;
+}
+
+function rotateIdempotencyKey(form) {
+    delete form.dataset.idempotencyKey;
+}
+
+/* ===== FIELD ERRORS ===== */
+// Highlight the inputs named in `errors` ({ field: message }, as returned by the
+// API with a 422) and show each message under its input
+function showFieldErrors(form, errors) {
+    if (!form) return;
+    clearFieldErrors(form);
+
+    let first = null;
+    Object.entries(errors || {}).forEach(([name, message]) => {
+        let input = form.querySelector(`[name="${name}"]`);
+        if (!input) return;
+        // Hidden values (e.g. the applied promo code) are entered through a visible input beside them
+        if (input.type === 'hidden') input = input.closest('.form-group')?.querySelector('.form-input:not([type="hidden"])') || input;
+
+        input.classList.add('input-error');
+        input.setAttribute('aria-invalid', 'true');
+        const hint = document.createElement('p');
+        hint.className = 'form-hint error field-error';
+        hint.textContent = message;
+        fieldContainer(input).appendChild(hint);
+        first = first || input;
+    });
+    // Lets the booking wizard bring the right step into view before focusing
+    form.dispatchEvent(new CustomEvent('fielderrors', { detail: { errors: errors || {} } }));
+    if (first) first.focus();
+}
+
+// Radio cards (e.g. the program options) have no .form-group of their own
+function fieldContainer(input) {
+    return input.closest('.form-group') || input.closest('.form-section') || input.parentNode;
+}
+
+function clearFieldErrors(form) {
+    if (!form) return;
+    form.querySelectorAll('.input-error').forEach(clearFieldError);
+}
+
+function clearFieldError(input) {
+    input.classList.remove('input-error');
+    input.removeAttribute('aria-invalid');
+    fieldContainer(input).querySelectorAll('.field-error').forEach(hint => hint.remove());
+}
+
+// An error goes away as soon as the visitor edits that field
+function initializeFieldErrors() {
+    ['input', 'change'].forEach(type => {
+        document.addEventListener(type, function(e) {
+            if (e.target.classList && e.target.classList.contains('input-error')) clearFieldError(e.target);
+            // Picking another option in a radio group fixes the group
+            if (e.target.type === 'radio' && e.target.form) {
+                e.target.form.querySelectorAll(`input[name="${e.target.name}"].input-error`).forEach(clearFieldError);
+            }
+        });
+    });
 }
 
 // Show alert messages
@@ -0,0 +1,184 @@
+/* ===== OFF MIND INITIATIVE - MANAGE MY BOOKING ===== */
+
+document.addEventListener('DOMContentLoaded', function () {
+    const lookupForm = document.getElementById('lookup-form');
+    const details = document.getElementById('booking-details');
+    const changeForm = document.getElementById('change-form');
+    const cancelSection = document.getElementById('cancel-section');
+    const cancelButton = document.getElementById('cancel-booking');
+    const dateSelect = document.getElementById('program-date');
+    const participantsSelect = document.getElementById('participants');
+    const preferencesForm = document.getElementById('preferences-form');
+
+    if (!lookupForm) return;
+
+    // The booking currently shown, plus the email used to look it up
+    let current = null;
+    let ownerEmail = '';
+
+    const statusLabels = {
+        pending: '⏳ Pending',
+        confirmed: '✅ Confirmed',
+        paid: '💳 Paid',
+        cancelled: '✖ Cancelled',
+        completed: '🌿 Completed'
+    };
+
+    lookupForm.addEventListener('submit', async function (e) {
+        e.preventDefault();
+        const formData = new FormData(lookupForm);
+        await lookup(formData.get('reference'), formData.get('email'));
+    });
+
+    changeForm.addEventListener('submit', async function (e) {
+        e.preventDefault();
+        if (!current) return;
+
+        const result = await sendRequest(Api.updateBooking(current.booking.reference, {
+            email: ownerEmail,
+            date: dateSelect.value || current.booking.date,
+            participants: Number(participantsSelect.value)
+        }));
+        if (result) {
+            showAlert('Your booking has been updated.', 'success');
+            render(result);
+        }
+    });
+
+    preferencesForm.addEventListener('submit', async function (e) {
+        e.preventDefault();
+        if (!current) return;
+
+        const formData = new FormData(preferencesForm);
+        const result = await sendRequest(Api.savePreferences(current.booking.reference, {
+            email: ownerEmail,
+            phone: formData.get('phone'),
+            channels: formData.getAll('channels')
+        }));
+        if (result) {
+            showAlert('Your preferences have been saved.', 'success');
+            renderPreferences(result);
+        }
+    });
+
+    cancelButton.addEventListener('click', async function () {
+        if (!current) return;
+
+        const refund = current.policy.refundPercent;
+        const confirmed = window.confirm(`Cancel booking ${current.booking.reference}?\n\nUnder our cancellation policy you will receive a ${refund}% refund.`);
+        if (!confirmed) return;
+
+        const result = await sendRequest(Api.cancelBooking(current.booking.reference, {
+            email: ownerEmail,
+            reason: document.getElementById('cancel-reason').value
+        }));
+        if (result) {
+            showAlert('Your booking has been cancelled.', 'success');
+            render(result);
+        }
+    });
+
+    async function lookup(reference, email) {
+        ownerEmail = (email || '').trim();
+        const ref = (reference || '').trim().toUpperCase();
+        if (!ref || !ownerEmail) {
+            showAlert('Please enter your confirmation number and email.', 'error');
+            return;
+        }
+
+        const result = await sendRequest(Api.getBooking(ref, ownerEmail));
+        if (result) render(result);
+    }
+
+    // Wait for an Api call; on failure show why and resolve to null
+    async function sendRequest(request) {
+        try {
+            return await request;
+        } catch (err) {
+            console.error('Manage booking error:', err);
+            if (err.errors) showFieldErrors(details, err.errors);
+            showAlert(err instanceof ApiError ? err.message : 'Something went wrong. Please try again later.', 'error');
+            return null;
+        }
+    }
+
+    async function render(result) {
+        current = result;
+        const { booking, policy } = result;
+        const program = programCatalog[booking.program];
+
+        setText('details-reference', booking.reference);
+        setText('details-status', statusLabels[booking.status] || booking.status);
+        setText('details-program', program ? program.name : booking.program);
+        setText('details-date', new Date(`${booking.date}T00:00:00`).toLocaleDateString('en-US', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' }));
+        setText('details-participants', booking.participants);
+        setText('details-total', booking.totalFormatted || '-');
+
+        let policyText = '';
+        if (booking.status === 'cancelled') {
+            policyText = `This booking was cancelled. Refund due: ${booking.refundPercent || 0}%.`;
+        } else if (policy.canCancel) {
+            policyText = `If you cancel today you will receive a ${policy.refundPercent}% refund.`;
+            if (!policy.canModify) policyText += ` Online changes close ${policy.modificationCutoffDays} days before the program - please contact us to make changes.`;
+        }
+        setText('details-policy', policyText);
+
+        lookupForm.classList.add('hidden');
+        details.classList.remove('hidden');
+        cancelSection.classList.toggle('hidden', !policy.canCancel);
+        changeForm.classList.toggle('hidden', !policy.canModify);
+
+        const preferences = await sendRequest(Api.getPreferences(booking.reference, ownerEmail));
+        if (preferences) renderPreferences(preferences);
+
+        if (policy.canModify) {
+            if (!participantsSelect.querySelector(`option[value="${booking.participants}"]`)) {
+                participantsSelect.appendChild(new Option(`${booking.participants} People`, booking.participants));
+            }
+            participantsSelect.value = String(booking.participants);
+            participantsSelect.disabled = !policy.canChangeParticipants;
+            await renderDates(booking);
+        }
+    }
+
+    function renderPreferences(preferences) {
+        preferencesForm.querySelectorAll('input[name="channels"]').forEach(input => {
+            input.checked = preferences.channels.includes(input.value);
+        });
+        document.getElementById('preferences-phone').value = preferences.phone || '';
+    }
+
+    async function renderDates(booking) {
+        dateSelect.disabled = true;
+        const sessions = await loadAvailableDates(booking.program);
+
+        dateSelect.innerHTML = '';
+        const dates = sessions.filter(day => day.status === 'available' && day.date !== booking.date);
+        dateSelect.appendChild(new Option(`Keep current date`, booking.date, true, true));
+        dates.forEach(day => {
+            const label = new Date(`${day.date}T00:00:00`).toLocaleDateString('en-US', { weekday: 'short', day: 'numeric', month: 'short', year: 'numeric' });
+            dateSelect.appendChild(new Option(`${label} (${day.remaining} spots left)`, day.date));
+        });
+        dateSelect.disabled = false;
+    }
+
+    function setText(id, value) {
+        const element = document.getElementById(id);
+        if (element) element.textContent = value;
+    }
+
+    // Catalog powers program names; then honour ?ref=&email= links from the confirmation page
+    loadProgramCatalog().then(function () {
+        const params = new URLSearchParams(window.location.search);
+        const ref = params.get('ref');
+        const email = params.get('email');
+        if (ref) document.getElementById('lookup-reference').value = ref;
+        if (email) document.getElementById('lookup-email').value = email;
+        if (ref && email) lookup(ref, email);
+
+        // Returning from hosted card checkout
+        const payment = params.get('payment');
+        if (payment === 'success') showAlert('Thank you! Your card payment is being confirmed.', 'success');
+        if (payment === 'cancelled') showAlert('Card payment was cancelled. Your booking is still saved.', 'error');
+    });
+});
@@ -6,85 +6,195 @@ document.addEventListener('DOMContentLoaded', function () {
     const payNowBtn = document.getElementById('pay-now');
     const confirmationDiv = document.getElementById('booking-confirmation');
     const confirmationNumber = document.getElementById('confirmation-number');
+    const paymentStatus = document.getElementById('payment-status');
+    const paymentMessage = document.getElementById('payment-message');
+    const retryPaymentBtn = document.getElementById('retry-payment');
+
+    // Last successful booking, kept so a failed payment can be retried
+    let lastBooking = null;
+    // The booking request in flight - both buttons (and double clicks) share it
+    let pendingBooking = null;
+
+    // Submit the booking form; resolves to the server result or null on failure
+    async function submitBooking() {
+        if (!bookingForm) return null;
+
+        const formData = new FormData(bookingForm);
+        const bookingData = Object.fromEntries(formData.entries());
+        // Checkboxes share a name, so entries() would keep only the last one
+        bookingData.channels = formData.getAll("channels");
+
+        // Add type so Google Sheets knows this is a booking
+        bookingData.type = "booking";
+
+        // Validate before saving
+        if (!validateBookingData(bookingData)) return null;
+
+        try {
+            const result = await Api.createBooking(bookingData, { idempotencyKey: idempotencyKey(bookingForm) });
+
+            // Hide form, show confirmation; booking again starts a new submission
+            rotateIdempotencyKey(bookingForm);
+            clearBookingDraft();
+            bookingForm.style.display = "none";
+            confirmationDiv.classList.remove("hidden");
+
+            if (confirmationNumber) {
+                confirmationNumber.textContent = result.reference;
+            }
+
+            // Deep-link to the manage page with the lookup pre-filled
+            const manageLink = document.getElementById("manage-booking-link");
+            if (manageLink) {
+                manageLink.href = `manage.html?ref=${encodeURIComponent(result.reference)}&email=${encodeURIComponent(bookingData.email)}`;
+            }
+
+            console.log("✅ Booking saved:", {
+                ...bookingData,
+                bookingId: result.bookingId,
+            });
+            return { ...result, email: bookingData.email, phone: bookingData.phone };
+        } catch (err) {
+            console.error("Booking error:", err);
+            if (!err.status) {
+                showAlert(`⚠️ ${err.message || "Server error. Please try again later."}`, "error");
+                return null;
+            }
+            if (err.errors) showFieldErrors(bookingForm, err.errors);
+            if (err.code === 'form-expired') initializeFormGuard(bookingForm, 'booking');
+            resetCaptcha();
+            showAlert(`❌ ${err.message}`, "error");
+            return null;
+        }
+    }
+
+    function submitBookingOnce() {
+        if (!pendingBooking) {
+            pendingBooking = submitBooking().finally(() => { pendingBooking = null; });
+        }
+        return pendingBooking;
+    }
 
     // Handle "Book Now (Pay Later)"
     if (bookLaterBtn) {
-        bookLaterBtn.addEventListener('click', async function () {
-            if (!bookingForm) return;
+        bookLaterBtn.addEventListener("click", async function () {
+            bookLaterBtn.disabled = true;
+            await submitBookingOnce();
+            bookLaterBtn.disabled = false;
+        });
+    }
 
-            const formData = new FormData(bookingForm);
-            const bookingData = Object.fromEntries(formData.entries());
+    // Handle "Pay Now" - book first, then pay with the chosen method
+    if (payNowBtn) {
+        payNowBtn.addEventListener("click", async function () {
+            const method = bookingForm.querySelector('input[name="paymentMethod"]:checked')?.value || "mpesa";
 
-            // Add type so Google Sheets knows this is a booking
-            bookingData.type = "booking";
+            payNowBtn.disabled = true;
+            const booking = await submitBookingOnce();
+            payNowBtn.disabled = false;
+            if (!booking) return;
 
-            // Validate before saving
-            if (!validateBookingData(bookingData)) return;
+            if (method === "card") startCardCheckout(booking);
+            else startMpesaPayment(booking);
+        });
+    }
+
+    // Card payments happen on the provider's hosted page; it returns to Manage My Booking
+    async function startCardCheckout(booking) {
+        paymentStatus.classList.remove("hidden");
+        retryPaymentBtn.classList.add("hidden");
+        setPaymentMessage("💳 Redirecting to secure card checkout...");
+
+        try {
+            const result = await Api.startCardCheckout({ reference: booking.reference, email: booking.email });
+            window.location.href = result.url;
+        } catch (err) {
+            console.error("Card checkout error:", err);
+            const reason = err.status ? err.message : "Could not reach the payment service.";
+            setPaymentMessage(`❌ ${reason} Your booking is saved - you can pay later.`);
+        }
+    }
 
+    if (retryPaymentBtn) {
+        retryPaymentBtn.addEventListener("click", function () {
+            if (lastBooking) startMpesaPayment(lastBooking);
+        });
+    }
+
+    async function startMpesaPayment(booking) {
+        lastBooking = booking;
+        paymentStatus.classList.remove("hidden");
+        retryPaymentBtn.classList.add("hidden");
+        setPaymentMessage("📱 Sending M-Pesa request to your phone...");
+
+        try {
+            const result = await Api.startMpesaPayment({ reference: booking.reference, email: booking.email, phone: booking.phone });
+            setPaymentMessage(`📱 Check your phone and enter your M-Pesa PIN to pay KES ${result.payment.amount.toLocaleString()}.`);
+            pollMpesaPayment(result.checkoutRequestId);
+        } catch (err) {
+            console.error("M-Pesa error:", err);
+            paymentFailed(err.status ? err.message : "Could not reach the payment service.");
+        }
+    }
+
+    const POLL_INTERVAL_MS = 3000;
+    const POLL_TIMEOUT_MS = 2 * 60 * 1000;
+
+    function pollMpesaPayment(checkoutRequestId) {
+        const startedAt = Date.now();
+
+        const poll = async () => {
             try {
-                // ✅ CHANGE TO THIS (for Railway):
-                const response = await fetch("https://omiwebsite-production.up.railway.app/book", {
-                method: "POST",
-                    headers: { "Content-Type": "application/json" },
-                    body: JSON.stringify(bookingData),
-                });
-               
-
-                const result = await response.json();
-
-                if (result.success) {
-                    // Hide form, show confirmation
-                    bookingForm.style.display = "none";
-                    confirmationDiv.classList.remove("hidden");
-
-                    if (confirmationNumber) {
-                        // Use DB bookingId if available, otherwise fallback to timestamp
-                        confirmationNumber.textContent = `OMI-${result.bookingId || Date.now()}`;
-                    }
-
-                    console.log("✅ Booking saved:", {
-                        ...bookingData,
-                        bookingId: result.bookingId,
-                    });
-                } else {
-                    showAlert("❌ Booking failed. Please try again.", "error");
+                const { payment } = await Api.getMpesaStatus(checkoutRequestId);
+
+                if (payment && payment.status === "succeeded") {
+                    setPaymentMessage(`✅ Payment received. M-Pesa receipt: ${payment.receipt || "-"}`);
+                    return;
+                }
+                if (payment && (payment.status === "failed" || payment.status === "cancelled")) {
+                    paymentFailed(payment.resultDesc || "The payment was not completed.");
+                    return;
                 }
             } catch (err) {
-                console.error("Error:", err);
-                showAlert("⚠️ Server error. Please try again later.", "error");
+                console.error("Payment status error:", err);
             }
-        });
+
+            if (Date.now() - startedAt > POLL_TIMEOUT_MS) {
+                paymentFailed("We haven't received your payment yet. If you paid, it will show on Manage My Booking shortly.");
+                return;
+            }
+            setTimeout(poll, POLL_INTERVAL_MS);
+        };
+
+        setTimeout(poll, POLL_INTERVAL_MS);
     }
 
-    // Handle "Pay Now"
-    if (payNowBtn) {
-        payNowBtn.addEventListener('click', function () {
-            alert("💳 Online payments coming soon!\nPlease use 'Book Now (Pay Later)' for now.");
-        });
+    function paymentFailed(message) {
+        setPaymentMessage(`❌ ${message} Your booking is saved - you can retry or pay later.`);
+        retryPaymentBtn.classList.remove("hidden");
+    }
+
+    function setPaymentMessage(message) {
+        if (paymentMessage) paymentMessage.textContent = message;
     }
 });
 
 /* ===== BOOKING DATA VALIDATION ===== */
+// Same rules the server applies (js/shared/schemas.js)
 function validateBookingData(data) {
-    if (!data.program || !data.date || !data.firstName || !data.lastName || !data.email) {
-        showAlert("⚠️ Please fill in all required fields.", "error");
-        return false;
-    }
+    if (!window.Schemas) return true;
 
-    if (!isValidEmail(data.email)) {
-        showAlert("⚠️ Please enter a valid email address.", "error");
+    const { errors } = Schemas.validateBooking(data, bookingSchemaContext());
+    const form = document.getElementById("booking-form");
+    if (errors) {
+        showFieldErrors(form, errors);
+        showAlert(`⚠️ ${Object.values(errors)[0]}`, "error");
         return false;
     }
-
+    clearFieldErrors(form);
     return true;
 }
 
-/* ===== EMAIL VALIDATION ===== */
-function isValidEmail(email) {
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    return emailRegex.test(email);
-}
-
 /* ===== ALERT HELPER ===== */
 function showAlert(message, type = "error") {
     const alert = document.createElement("div");
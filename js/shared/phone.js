@@ -0,0 +1,24 @@
+// js/shared/phone.js - phone number normalization shared by the server and the browser
+
+// Normalize any phone number to E.164 (+<country code><number>). Numbers
+// without an international prefix (+ or 00) are read as Kenyan, so 0712 345 678,
+// 712345678 and 254712345678 all become +254712345678. Kenyan numbers must have
+// the full nine digits after 254; others only need a plausible E.164 length.
+// Returns null when the input can't be a phone number.
+export function normalizePhone(input) {
+  if (!input) return null;
+  let digits = String(input).trim().replace(/[\s\-().]/g, '');
+  let international = false;
+  if (digits.startsWith('+')) {
+    international = true;
+    digits = digits.slice(1);
+  } else if (digits.startsWith('00')) {
+    international = true;
+    digits = digits.slice(2);
+  }
+  if (!/^\d+$/.test(digits)) return null;
+
+  if (!international && !digits.startsWith('254')) digits = `254${digits.replace(/^0/, '')}`;
+  if (digits.startsWith('254')) return /^254[1-9]\d{8}$/.test(digits) ? `+${digits}` : null;
+  return /^[1-9]\d{7,14}$/.test(digits) ? `+${digits}` : null;
+}
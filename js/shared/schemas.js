@@ -0,0 +1,145 @@
+// js/shared/schemas.js - booking and contact payload schemas
+//
+// One definition used on both sides: server.js validates every /book and
+// /api/contact request with it, and the forms run the same checks before
+// submitting, so the rules and the messages can't drift apart. A plain ES
+// module with no dependencies outside js/shared so browsers load it as-is.
+import { normalizePhone } from './phone.js';
+
+// A sanity bound only. The real limit is the seats left on the chosen date,
+// which the server checks when booking - staff can raise a single date's
+// capacity above the catalog's, so the catalog figure can't be used here.
+export const MAX_GROUP_SIZE = 100;
+
+// Values of the topic <select> on contact.html
+export const CONTACT_SUBJECTS = ['general', 'programs', 'booking', 'partnership', 'feedback', 'other'];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+export function isValidEmail(email) {
+  return EMAIL_PATTERN.test(String(email ?? '').trim());
+}
+
+// Kenya is UTC+3 all year
+const nairobiToday = () => new Date(Date.now() + 3 * 3600000).toISOString().slice(0, 10);
+
+const isEmpty = (value) => value === '' || value == null;
+const text = (value) => (isEmpty(value) ? '' : String(value).trim());
+const number = (value) => (isEmpty(value) ? '' : Number(value));
+// A ticked checkbox posts "on"; JSON clients may send true. Unticked is empty.
+const checkbox = (value) => (value === true || ['on', 'true', '1', 'yes'].includes(String(value ?? '').toLowerCase()) ? true : '');
+
+// Rules get (value, values, context) and return a message when the value is wrong.
+// They only run on non-empty values - emptiness is the `required` message's job.
+const maxLength = (max) => (value) => (value.length > max ? `Please keep this under ${max} characters` : undefined);
+const minLength = (min, message) => (value) => (value.length < min ? message : undefined);
+const wholeNumber = (min, max, message) => (value) => (Number.isInteger(value) && value >= min && value <= max ? undefined : message);
+
+const email = (value) => (isValidEmail(value) ? undefined : 'Please enter a valid email address');
+const phone = (value) => (normalizePhone(value) ? undefined : 'Please enter a valid phone number, e.g. 0712 345 678 or +254 712 345 678');
+
+function calendarDate(value, values, { today = nairobiToday() }) {
+  const parsed = new Date(`${value}T00:00:00Z`);
+  if (!DATE_PATTERN.test(value) || isNaN(parsed) || parsed.toISOString().slice(0, 10) !== value) return 'Please choose a valid date';
+  if (value < today) return 'That date has already passed - please choose another';
+}
+
+const BOOKING_FIELDS = {
+  program: {
+    required: 'Please choose a program',
+    rules: [(value, values, { programs }) => (programs && !programs.includes(value) ? 'Please choose one of our programs' : undefined)]
+  },
+  date: { required: 'Please choose a date', rules: [calendarDate] },
+  participants: {
+    required: 'Please choose the number of participants',
+    clean: number,
+    rules: [wholeNumber(1, MAX_GROUP_SIZE, `Please choose between 1 and ${MAX_GROUP_SIZE} participants - for bigger groups, contact us`)]
+  },
+  children: {
+    clean: number,
+    rules: [
+      wholeNumber(0, MAX_GROUP_SIZE, 'Please enter the number of children as a whole number'),
+      (value, values) => (Number.isInteger(values.participants) && value > values.participants ? 'There can\'t be more children than participants' : undefined)
+    ]
+  },
+  firstName: { required: 'Please enter your first name', rules: [maxLength(60)] },
+  lastName: { required: 'Please enter your last name', rules: [maxLength(60)] },
+  email: { required: 'Please enter your email address', rules: [maxLength(254), email] },
+  phone: { required: 'Please enter your phone number', rules: [phone] },
+  specialRequirements: { rules: [maxLength(1000)] },
+  promoCode: { rules: [maxLength(40)] },
+  privacyConsent: { required: 'Please agree to our privacy notice to continue', clean: checkbox },
+  healthConsent: { clean: checkbox }
+};
+
+const CONTACT_FIELDS = {
+  name: { required: 'Please enter your name', rules: [maxLength(100)] },
+  email: { required: 'Please enter your email address', rules: [maxLength(254), email] },
+  subject: {
+    required: 'Please choose a topic',
+    rules: [(value) => (CONTACT_SUBJECTS.includes(value) ? undefined : 'Please choose one of the listed topics')]
+  },
+  message: { required: 'Please enter a message', rules: [minLength(10, 'Please tell us a little more (at least 10 characters)'), maxLength(5000)] },
+  privacyConsent: { required: 'Please agree to our privacy notice to continue', clean: checkbox }
+};
+
+// A customer account's saved details - all optional, same limits as booking
+const PROFILE_FIELDS = {
+  firstName: { rules: [maxLength(60)] },
+  lastName: { rules: [maxLength(60)] },
+  phone: { rules: [phone] },
+  specialRequirements: { rules: [maxLength(1000)] }
+};
+
+// -> { values, errors }: values are trimmed / converted, errors is null or
+// { field: message } with the first problem found for each field
+function check(fields, data = {}, context = {}) {
+  const values = {};
+  for (const [name, { clean = text }] of Object.entries(fields)) values[name] = clean(data[name]);
+
+  const errors = {};
+  for (const [name, { required, rules = [] }] of Object.entries(fields)) {
+    const value = values[name];
+    if (isEmpty(value)) {
+      if (required) errors[name] = required;
+      continue;
+    }
+    for (const rule of rules) {
+      const message = rule(value, values, context);
+      if (message) {
+        errors[name] = message;
+        break;
+      }
+    }
+  }
+  return { values, errors: Object.keys(errors).length ? errors : null };
+}
+
+// context: { programs: [slugs] to restrict to, today: 'YYYY-MM-DD' (defaults to Nairobi) }.
+// A valid phone comes back in E.164; children defaults to 0.
+// Special requirements can describe health conditions (sensitive data under
+// Kenya's Data Protection Act), so they need their own explicit consent.
+export function validateBooking(data, context) {
+  const result = check(BOOKING_FIELDS, data, context);
+  if (!result.errors?.phone) result.values.phone = normalizePhone(result.values.phone);
+  if (result.values.children === '') result.values.children = 0;
+  if (result.values.specialRequirements && result.values.healthConsent !== true) {
+    result.errors = { ...result.errors, healthConsent: 'Please agree to us using these details to look after you, or leave the box above empty' };
+  }
+  return result;
+}
+
+export function validateContact(data) {
+  return check(CONTACT_FIELDS, data);
+}
+
+// A valid phone comes back in E.164
+export function validateProfile(data) {
+  const result = check(PROFILE_FIELDS, data);
+  if (result.values.phone && !result.errors?.phone) result.values.phone = normalizePhone(result.values.phone);
+  return result;
+}
+
+// The forms are classic scripts; hand them the validators
+if (typeof window !== 'undefined') window.Schemas = { CONTACT_SUBJECTS, MAX_GROUP_SIZE, isValidEmail, validateBooking, validateContact, validateProfile };
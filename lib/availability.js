@@ -0,0 +1,120 @@
+// lib/availability.js - session calendar and seat capacity per program
+//
+// A program has a session on each of its catalog `sessionDays`. Rows in
+// program_sessions override a single date: close it, change its capacity,
+// or open an extra date outside the weekly pattern.
+import { run, all, get } from '../database.js';
+import { getProgram } from './catalog.js';
+import { bookedSeats } from './bookings.js';
+import { today, addDays } from './dates.js';
+
+// Bookings for a date close this many days before it
+const MIN_NOTICE_DAYS = Number(process.env.BOOKING_MIN_NOTICE_DAYS ?? 1);
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const MONTH_RE = /^\d{4}-\d{2}$/;
+
+export function isValidDate(date) {
+  if (typeof date !== 'string' || !DATE_RE.test(date)) return false;
+  const d = new Date(`${date}T00:00:00Z`);
+  return !isNaN(d) && d.toISOString().startsWith(date);
+}
+
+export function isValidMonth(month) {
+  return typeof month === 'string' && MONTH_RE.test(month) && Number(month.slice(5)) >= 1 && Number(month.slice(5)) <= 12;
+}
+
+function monthDates(month) {
+  const dates = [];
+  let date = `${month}-01`;
+  while (date.startsWith(month)) {
+    dates.push(date);
+    date = addDays(date, 1);
+  }
+  return dates;
+}
+
+function weekday(date) {
+  return new Date(`${date}T00:00:00Z`).getUTCDay();
+}
+
+function describe(program, date, override, booked, participants, now) {
+  const scheduled = program.sessionDays.includes(weekday(date));
+  const capacity = override?.capacity ?? program.capacity;
+  const remaining = Math.max(capacity - booked, 0);
+  const day = { date, capacity, booked, remaining, status: 'available' };
+
+  if (!scheduled && !override) day.status = 'no-session';
+  else if (date < today(now)) day.status = 'past';
+  else if (override?.closed || date < addDays(today(now), MIN_NOTICE_DAYS)) day.status = 'closed';
+  else if (remaining < participants) day.status = 'full';
+
+  if (override?.note) day.note = override.note;
+  return day;
+}
+
+// Every session date in a month (YYYY-MM) with its status and remaining seats
+export async function getMonthAvailability(slug, month, { now = new Date() } = {}) {
+  const program = getProgram(slug);
+  if (!program) return null;
+
+  const dates = monthDates(month);
+  const from = dates[0];
+  const to = dates[dates.length - 1];
+
+  const overrides = await all('SELECT * FROM program_sessions WHERE program = ? AND date BETWEEN ? AND ?', [slug, from, to]);
+  const overrideByDate = Object.fromEntries(overrides.map(o => [o.date, o]));
+  const booked = await bookedSeats(slug, from, to);
+
+  const days = dates
+    .map(date => describe(program, date, overrideByDate[date], booked[date] || 0, 1, now))
+    .filter(day => day.status !== 'no-session');
+
+  return { program: slug, month, capacity: program.capacity, days };
+}
+
+// Whether `participants` more seats can be booked for a program on a date.
+// Returns the day description; `status` is 'available' when it can.
+export async function checkAvailability(slug, date, participants = 1, { now = new Date() } = {}) {
+  const program = getProgram(slug);
+  if (!program || !isValidDate(date)) return { date, status: 'invalid' };
+
+  const override = await get('SELECT * FROM program_sessions WHERE program = ? AND date = ?', [slug, date]);
+  const booked = await bookedSeats(slug, date, date);
+  return describe(program, date, override, booked[date] || 0, participants, now);
+}
+
+// Close a date, change its capacity, or open an extra session date
+export async function setSession(slug, date, { capacity = null, closed = false, note = null } = {}) {
+  await run(
+    `INSERT INTO program_sessions (program, date, capacity, closed, note, updatedAt)
+     VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+     ON CONFLICT (program, date) DO UPDATE SET capacity = excluded.capacity, closed = excluded.closed, note = excluded.note, updatedAt = CURRENT_TIMESTAMP`,
+    [slug, date, capacity, closed ? 1 : 0, note]
+  );
+  return checkAvailability(slug, date);
+}
+
+export function clearSession(slug, date) {
+  return run('DELETE FROM program_sessions WHERE program = ? AND date = ?', [slug, date]);
+}
+
+// Serialize seat checks + inserts for the same session so two concurrent
+// requests can't both take the last seats.
+const locks = new Map();
+export function withSessionLock(slug, date, fn) {
+  const key = `${slug}:${date}`;
+  const previous = locks.get(key) || Promise.resolve();
+  const current = previous.catch(() => {}).then(fn);
+  locks.set(key, current);
+  current.finally(() => { if (locks.get(key) === current) locks.delete(key); }).catch(() => {});
+  return current;
+}
+
+export const AVAILABILITY_ERRORS = {
+  invalid: { status: 400, error: 'Please choose a valid date' },
+  'no-session': { status: 400, error: 'There is no session of this program on that date' },
+  past: { status: 400, error: 'That date has already passed' },
+  closed: { status: 409, error: 'Bookings for that date are closed' },
+  full: { status: 409, error: 'Not enough spots left on that date' }
+};
@@ -0,0 +1,139 @@
+// lib/bookings.js - booking repository
+import crypto from 'crypto';
+import { run, get, all } from '../database.js';
+
+export const BOOKING_STATUSES = ['pending', 'confirmed', 'paid', 'cancelled', 'completed'];
+
+// Allowed status changes; anything not listed is rejected
+const TRANSITIONS = {
+  pending: ['confirmed', 'paid', 'cancelled'],
+  confirmed: ['paid', 'cancelled', 'completed'],
+  paid: ['cancelled', 'completed'],
+  cancelled: [],
+  completed: []
+};
+
+export function canTransition(from, to) {
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+// Unambiguous characters only (no 0/O, 1/I) - customers type these in
+const REFERENCE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+function generateReference() {
+  const bytes = crypto.randomBytes(6);
+  let ref = 'OMI-';
+  for (const b of bytes) ref += REFERENCE_ALPHABET[b % REFERENCE_ALPHABET.length];
+  return ref;
+}
+
+// Bookings made before references existed, once after migrating
+export async function assignMissingReferences() {
+  const rows = await all('SELECT id FROM bookings WHERE reference IS NULL');
+  for (const { id } of rows) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        await run('UPDATE bookings SET reference = ? WHERE id = ? AND reference IS NULL', [generateReference(), id]);
+        break;
+      } catch (err) {
+        if (attempt < 3 && /UNIQUE constraint failed: bookings\.reference/.test(err.message)) continue;
+        throw err;
+      }
+    }
+  }
+}
+
+export async function createBooking(booking) {
+  const { program, date, participants, children = 0, firstName, lastName, email, phone, specialRequirements, totalPrice, currency, priceBreakdown = null, promoCode = null } = booking;
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const { id } = await run(
+        `INSERT INTO bookings (reference, program, date, participants, children, firstName, lastName, email, phone, specialRequirements, totalPrice, currency, priceBreakdown, promoCode, updatedAt)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [generateReference(), program, date, participants, children, firstName, lastName, email, phone, specialRequirements, totalPrice, currency, priceBreakdown && JSON.stringify(priceBreakdown), promoCode, new Date().toISOString()]
+      );
+      return getBooking(id);
+    } catch (err) {
+      // Retry the (very unlikely) reference collision, surface anything else
+      if (attempt < 3 && /UNIQUE constraint failed: bookings\.reference/.test(err.message)) continue;
+      throw err;
+    }
+  }
+}
+
+export function getBooking(id) {
+  return get('SELECT * FROM bookings WHERE id = ?', [id]);
+}
+
+export function getBookingByReference(reference) {
+  return get('SELECT * FROM bookings WHERE reference = ?', [String(reference).trim().toUpperCase()]);
+}
+
+// Staff dashboard search. `q` matches reference, name, email or phone;
+// `from`/`to` bound the program date. Returns { bookings, total }.
+export async function searchBookings({ q, program, status, from, to, limit = 50, offset = 0 } = {}) {
+  const where = [];
+  const params = [];
+  if (q) {
+    const like = `%${String(q).trim()}%`;
+    where.push("(reference LIKE ? OR firstName || ' ' || lastName LIKE ? OR email LIKE ? OR phone LIKE ?)");
+    params.push(like, like, like, like);
+  }
+  if (program) { where.push('program = ?'); params.push(program); }
+  if (status) { where.push('status = ?'); params.push(status); }
+  if (from) { where.push('date >= ?'); params.push(from); }
+  if (to) { where.push('date <= ?'); params.push(to); }
+  const clause = where.length ? `WHERE ${where.join(' AND ')}` : '';
+
+  const { total } = await get(`SELECT COUNT(*) AS total FROM bookings ${clause}`, params);
+  const bookings = await all(`SELECT * FROM bookings ${clause} ORDER BY date DESC, id DESC LIMIT ? OFFSET ?`, [...params, limit, offset]);
+  return { bookings, total };
+}
+
+const UPDATABLE = ['date', 'participants', 'children', 'totalPrice', 'currency', 'priceBreakdown', 'status', 'cancelledAt', 'cancellationReason', 'refundPercent', 'inviteSequence'];
+
+export async function updateBooking(id, changes) {
+  const fields = Object.keys(changes).filter(key => UPDATABLE.includes(key));
+  if (fields.length === 0) return getBooking(id);
+  if (changes.priceBreakdown && typeof changes.priceBreakdown !== 'string') changes = { ...changes, priceBreakdown: JSON.stringify(changes.priceBreakdown) };
+
+  await run(
+    `UPDATE bookings SET ${fields.map(f => `${f} = ?`).join(', ')}, updatedAt = ? WHERE id = ?`,
+    [...fields.map(f => changes[f]), new Date().toISOString(), id]
+  );
+  return getBooking(id);
+}
+
+export function cancelBooking(id, { reason = null, refundPercent = 0 } = {}) {
+  return updateBooking(id, { status: 'cancelled', cancelledAt: new Date().toISOString(), cancellationReason: reason, refundPercent });
+}
+
+// Internal notes staff keep on a booking; never shown to the customer
+export async function addBookingNote(bookingId, { authorId = null, authorName, body }) {
+  const { id } = await run(
+    'INSERT INTO booking_notes (bookingId, authorId, authorName, body, createdAt) VALUES (?, ?, ?, ?, ?)',
+    [bookingId, authorId, authorName, body, new Date().toISOString()]
+  );
+  return get('SELECT * FROM booking_notes WHERE id = ?', [id]);
+}
+
+export function listBookingNotes(bookingId) {
+  return all('SELECT * FROM booking_notes WHERE bookingId = ? ORDER BY id', [bookingId]);
+}
+
+// Seats taken per date for a program between two dates (inclusive)
+export async function bookedSeats(program, from, to) {
+  const rows = await all(
+    "SELECT date, SUM(participants) AS seats FROM bookings WHERE program = ? AND date BETWEEN ? AND ? AND status != 'cancelled' GROUP BY date",
+    [program, from, to]
+  );
+  return Object.fromEntries(rows.map(r => [r.date, r.seats]));
+}
+
+// Fields safe to show the customer who owns the booking
+export function toPublicBooking(booking) {
+  const { reference, program, date, participants, children, firstName, lastName, email, phone, specialRequirements, totalPrice, currency, promoCode, status, createdAt, cancelledAt, refundPercent } = booking;
+  const priceBreakdown = booking.priceBreakdown ? JSON.parse(booking.priceBreakdown) : null;
+  return { reference, program, date, participants, children, firstName, lastName, email, phone, specialRequirements, totalPrice, currency, priceBreakdown, promoCode, status, createdAt, cancelledAt, refundPercent };
+}
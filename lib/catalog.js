@@ -0,0 +1,85 @@
+// lib/catalog.js - program catalog (the single source of truth for names and prices)
+//
+// `prices` holds the per-person price in every supported currency - set each
+// one deliberately rather than converting at a live exchange rate.
+// `capacity` is seats per session. `sessionDays` lists the weekdays (0 = Sunday)
+// a session normally starts on; individual dates can be closed or resized in
+// the program_sessions table (see lib/availability.js). `pricing` holds the
+// discount rules applied by lib/pricing.js. `days`, `startTime` (Nairobi time),
+// `location` and `whatToBring` feed the confirmation email and calendar invite.
+import { DEFAULT_CURRENCY, formatMoney } from './money.js';
+
+const programs = [
+  {
+    slug: 'bestie',
+    name: 'Bestie Program',
+    icon: '🌸',
+    summary: 'Strengthen friendships through playful activities and wellness practices',
+    description: 'Strengthen your most cherished friendships through carefully curated experiences that blend playful activities with restorative practices.',
+    prices: { KES: 39000, USD: 299, EUR: 279 },
+    capacity: 12,
+    duration: '1 day',
+    days: 1,
+    startTime: '09:00',
+    location: 'Nairobi, Kenya',
+    whatToBring: ['Comfortable clothes and walking shoes', 'A refillable water bottle', 'Sunscreen and a hat', 'Your best friend(s) and an open mind'],
+    sessionDays: [6, 0],
+    pricing: {
+      groupTiers: [{ minParticipants: 4, percentOff: 10 }, { minParticipants: 8, percentOff: 15 }]
+    }
+  },
+  {
+    slug: 'ecotherapy',
+    name: 'Ecotherapy Program',
+    icon: '🌲',
+    summary: 'Immersive nature healing and outdoor therapeutic experiences',
+    description: 'Reconnect with the healing power of nature through immersive outdoor experiences designed to restore mental clarity and emotional balance.',
+    prices: { KES: 52000, USD: 399, EUR: 369 },
+    capacity: 10,
+    duration: '2 days',
+    days: 2,
+    startTime: '08:00',
+    location: 'Nairobi, Kenya',
+    whatToBring: ['Outdoor clothing in layers and a rain jacket', 'Sturdy walking or hiking shoes', 'A refillable water bottle', 'Any personal medication', 'A journal and pen'],
+    sessionDays: [5],
+    pricing: {
+      groupTiers: [{ minParticipants: 5, percentOff: 10 }],
+      earlyBird: { minDaysBefore: 30, percentOff: 10 }
+    }
+  },
+  {
+    slug: 'family-exchange',
+    name: 'Family Exchange Program',
+    icon: '🌍',
+    summary: 'Cross-cultural family connections and shared learning experiences',
+    description: 'Build meaningful cross-cultural connections through guided family exchanges that promote understanding, empathy, and shared learning.',
+    prices: { KES: 65000, USD: 499, EUR: 459 },
+    capacity: 8,
+    duration: '3 days',
+    days: 3,
+    startTime: '10:00',
+    location: 'Nairobi, Kenya',
+    whatToBring: ['Clothes for three days, including something warm for evenings', 'Comfortable shoes for the whole family', 'Any personal medication', 'A small gift or story to share from your home culture'],
+    sessionDays: [6],
+    pricing: {
+      childRate: { maxAge: 12, percentOfAdult: 60 },
+      groupTiers: [{ minParticipants: 6, percentOff: 10 }],
+      earlyBird: { minDaysBefore: 45, percentOff: 10 }
+    }
+  }
+];
+
+// A program as seen by a customer quoting in `currency`
+function present(program, currency, locale) {
+  const price = program.prices[currency];
+  return { ...program, prices: { ...program.prices }, price, currency, priceFormatted: formatMoney(price, currency, locale) };
+}
+
+export function listPrograms(currency = DEFAULT_CURRENCY, locale) {
+  return programs.map(p => present(p, currency, locale));
+}
+
+export function getProgram(slug, currency = DEFAULT_CURRENCY, locale) {
+  const program = programs.find(p => p.slug === slug);
+  return program ? present(program, currency, locale) : null;
+}
@@ -0,0 +1,128 @@
+// lib/contacts.js - contact message repository
+//
+// A contact message is also a ticket: it has a status, an optional assignee
+// and a thread of replies in contact_messages (routing rules and mail
+// threading live in lib/tickets.js).
+import { run, get, all } from '../database.js';
+import { newMessageId } from './tickets.js';
+
+// 'received' is a new ticket nobody has picked up, 'open' is being worked on,
+// 'waiting' means we replied and the ball is with the customer.
+// 'quarantined' messages looked like spam: stored, but nobody was notified.
+export const CONTACT_STATUSES = ['received', 'open', 'waiting', 'closed', 'quarantined'];
+
+// Tickets still needing someone - the dashboard's default view
+export const ACTIVE_CONTACT_STATUSES = ['received', 'open', 'waiting'];
+
+// `threadId` defaults to a new Message-ID; a ticket opened by an email keeps that email's
+export async function createContact(contact) {
+  const { name, email, subject, message, status = 'received', spamScore = null, spamReasons = null, bookingId = null, threadId = null } = contact;
+  const { id } = await run(
+    'INSERT INTO contacts (name, email, subject, message, status, spamScore, spamReasons, bookingId) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+    [name, email, subject, message, status, spamScore, spamReasons && JSON.stringify(spamReasons), bookingId]
+  );
+  await run('UPDATE contacts SET threadId = ? WHERE id = ?', [threadId || newMessageId(id), id]);
+  return getContact(id);
+}
+
+export function getContact(id) {
+  return get('SELECT * FROM contacts WHERE id = ?', [id]);
+}
+
+// The ticket a thread belongs to, from any Message-ID in it (newest ticket wins)
+export async function findContactByMessageIds(messageIds) {
+  if (!messageIds.length) return null;
+  const marks = messageIds.map(() => '?').join(', ');
+  return get(
+    `SELECT * FROM contacts WHERE threadId IN (${marks})
+       OR id IN (SELECT contactId FROM contact_messages WHERE messageId IN (${marks}))
+     ORDER BY id DESC LIMIT 1`,
+    [...messageIds, ...messageIds]
+  );
+}
+
+// The latest ticket opened about a booking, if any
+export function getContactForBooking(bookingId) {
+  return get('SELECT * FROM contacts WHERE bookingId = ? ORDER BY id DESC LIMIT 1', [bookingId]);
+}
+
+// Staff dashboard search over sender, subject and message. Returns { contacts, total }.
+//   status    one of CONTACT_STATUSES, or 'active' for ACTIVE_CONTACT_STATUSES
+//   assignee  a staff id, or 'none' for unassigned tickets
+//   subject   a contact topic slug
+export async function searchContacts({ q, status, assignee, subject, limit = 50, offset = 0 } = {}) {
+  const where = [];
+  const params = [];
+  if (q) {
+    const like = `%${String(q).trim()}%`;
+    where.push('(c.name LIKE ? OR c.email LIKE ? OR c.subject LIKE ? OR c.message LIKE ?)');
+    params.push(like, like, like, like);
+  }
+  if (status === 'active') {
+    where.push(`c.status IN (${ACTIVE_CONTACT_STATUSES.map(() => '?').join(', ')})`);
+    params.push(...ACTIVE_CONTACT_STATUSES);
+  } else if (status) {
+    where.push('c.status = ?');
+    params.push(status);
+  }
+  if (assignee === 'none') {
+    where.push('c.assigneeId IS NULL');
+  } else if (assignee) {
+    where.push('c.assigneeId = ?');
+    params.push(assignee);
+  }
+  if (subject) {
+    where.push('c.subject = ?');
+    params.push(subject);
+  }
+  const clause = where.length ? `WHERE ${where.join(' AND ')}` : '';
+
+  const { total } = await get(`SELECT COUNT(*) AS total FROM contacts c ${clause}`, params);
+  const contacts = await all(
+    `SELECT c.*, s.name AS assigneeName,
+       (SELECT COUNT(*) FROM contact_messages m WHERE m.contactId = c.id) AS replies
+     FROM contacts c LEFT JOIN staff_users s ON s.id = c.assigneeId
+     ${clause} ORDER BY c.id DESC LIMIT ? OFFSET ?`,
+    [...params, limit, offset]
+  );
+  return { contacts, total };
+}
+
+// Staff marked a quarantined message as genuine. Null if it wasn't quarantined.
+export async function releaseContact(id) {
+  const { changes } = await run("UPDATE contacts SET status = 'received', updatedAt = ? WHERE id = ? AND status = 'quarantined'", [new Date().toISOString(), id]);
+  return changes ? getContact(id) : null;
+}
+
+const UPDATABLE = ['status', 'assigneeId', 'routedTo'];
+
+export async function updateContact(id, changes) {
+  const fields = Object.keys(changes).filter(key => UPDATABLE.includes(key) && changes[key] !== undefined);
+  if (fields.length === 0) return getContact(id);
+
+  await run(
+    `UPDATE contacts SET ${fields.map(f => `${f} = ?`).join(', ')}, updatedAt = ? WHERE id = ?`,
+    [...fields.map(f => changes[f]), new Date().toISOString(), id]
+  );
+  return getContact(id);
+}
+
+// One message in a ticket's thread: direction 'out' for staff replies, 'in'
+// for the customer's answers. The original message stays on the contact row.
+export async function addContactMessage(contactId, { direction, authorId = null, authorName, body, messageId = null, inReplyTo = null, outboxId = null }) {
+  const { id } = await run(
+    'INSERT INTO contact_messages (contactId, direction, authorId, authorName, body, messageId, inReplyTo, outboxId, createdAt) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)',
+    [contactId, direction, authorId, authorName, body, messageId, inReplyTo, outboxId, new Date().toISOString()]
+  );
+  return get('SELECT * FROM contact_messages WHERE id = ?', [id]);
+}
+
+// Mail providers retry webhooks; a Message-ID we already hold is a repeat
+export async function hasMessageId(messageId) {
+  if (!messageId) return false;
+  return !!(await get('SELECT 1 FROM contact_messages WHERE messageId = ? UNION SELECT 1 FROM contacts WHERE threadId = ?', [messageId, messageId]));
+}
+
+export function listContactMessages(contactId) {
+  return all('SELECT * FROM contact_messages WHERE contactId = ? ORDER BY id', [contactId]);
+}
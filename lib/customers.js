@@ -0,0 +1,135 @@
+// lib/customers.js - customer accounts, magic-link sign-in and sessions
+//
+// Customers never pick a password: they ask for a sign-in link, we email it,
+// and following it signs them in. A link carries
+// <email>.<expires>.<nonce>.<signature> (base64url email, HMAC like the form
+// tokens in lib/spam.js), expires after CUSTOMER_LINK_TTL_MINUTES and works
+// once - every used nonce is recorded. Sessions then work like staff ones:
+// a random token in a cookie, only its SHA-256 stored.
+import crypto from 'crypto';
+import { run, get, all } from '../database.js';
+
+const config = {
+  // Without a fixed secret, links sent before a restart stop working - the
+  // customer just asks for a new one
+  linkSecret: process.env.CUSTOMER_LINK_SECRET || crypto.randomBytes(32).toString('hex'),
+  linkTtlMinutes: Number(process.env.CUSTOMER_LINK_TTL_MINUTES) || 20
+};
+
+export const LINK_TTL_MINUTES = config.linkTtlMinutes;
+export const CUSTOMER_SESSION_TTL_DAYS = Number(process.env.CUSTOMER_SESSION_TTL_DAYS) || 30;
+
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+const sign = (payload) => crypto.createHmac('sha256', config.linkSecret).update(payload).digest('base64url');
+
+// ===== SIGN-IN LINKS =====
+export function issueLoginToken(email, now = Date.now()) {
+  const payload = [
+    Buffer.from(normalizeEmail(email)).toString('base64url'),
+    now + config.linkTtlMinutes * 60000,
+    crypto.randomBytes(12).toString('base64url')
+  ].join('.');
+  return `${payload}.${sign(payload)}`;
+}
+
+// -> { email, nonce, expiresAt } | { error: 'invalid' | 'expired' }. Doesn't use the link up.
+export function readLoginToken(token, now = Date.now()) {
+  const [email, expires, nonce, signature, extra] = String(token || '').split('.');
+  if (!email || !expires || !nonce || !signature || extra !== undefined) return { error: 'invalid' };
+
+  const expected = Buffer.from(sign(`${email}.${expires}.${nonce}`));
+  const given = Buffer.from(signature);
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return { error: 'invalid' };
+  if (!(Number(expires) > now)) return { error: 'expired' };
+  return { email: Buffer.from(email, 'base64url').toString('utf8'), nonce, expiresAt: new Date(Number(expires)).toISOString() };
+}
+
+// ===== ACCOUNTS =====
+export function getCustomer(id) {
+  return get('SELECT * FROM customers WHERE id = ?', [id]);
+}
+
+export function getCustomerByEmail(email) {
+  return get('SELECT * FROM customers WHERE email = ?', [normalizeEmail(email)]);
+}
+
+// The profile the account page and the booking form see
+export function toPublicCustomer(customer) {
+  const { email, firstName, lastName, phone, specialRequirements, createdAt } = customer;
+  return { email, firstName, lastName, phone, specialRequirements, createdAt };
+}
+
+// First sign-in creates the account, starting from the latest booking's details
+// so returning guests don't retype what we already know
+async function findOrCreateCustomer(email) {
+  const existing = await getCustomerByEmail(email);
+  if (existing) return existing;
+
+  const latest = await get('SELECT firstName, lastName, phone FROM bookings WHERE email = ? COLLATE NOCASE ORDER BY id DESC LIMIT 1', [email]);
+  const now = new Date().toISOString();
+  await run(
+    'INSERT OR IGNORE INTO customers (email, firstName, lastName, phone, createdAt, updatedAt) VALUES (?, ?, ?, ?, ?, ?)',
+    [email, latest?.firstName || null, latest?.lastName || null, latest?.phone || null, now, now]
+  );
+  return getCustomerByEmail(email);
+}
+
+const PROFILE_FIELDS = ['firstName', 'lastName', 'phone', 'specialRequirements'];
+
+export async function updateCustomer(id, changes) {
+  const fields = Object.keys(changes).filter(key => PROFILE_FIELDS.includes(key) && changes[key] !== undefined);
+  if (fields.length === 0) return getCustomer(id);
+
+  await run(
+    `UPDATE customers SET ${fields.map(f => `${f} = ?`).join(', ')}, updatedAt = ? WHERE id = ?`,
+    [...fields.map(f => changes[f]), new Date().toISOString(), id]
+  );
+  return getCustomer(id);
+}
+
+// Newest first, every status - the "My bookings" history
+export function listCustomerBookings(customer) {
+  return all('SELECT * FROM bookings WHERE email = ? COLLATE NOCASE ORDER BY date DESC, id DESC', [customer.email]);
+}
+
+// ===== SESSIONS =====
+// Trade a sign-in link for a session. Returns { customer, token } or { error }:
+// 'invalid', 'expired', or 'used' when the link was followed before.
+export async function redeemLoginToken(linkToken) {
+  const link = readLoginToken(linkToken);
+  if (link.error) return link;
+
+  const now = new Date();
+  const { changes } = await run(
+    'INSERT OR IGNORE INTO customer_login_links (nonce, email, expiresAt, usedAt) VALUES (?, ?, ?, ?)',
+    [link.nonce, link.email, link.expiresAt, now.toISOString()]
+  );
+  if (!changes) return { error: 'used' };
+
+  const customer = await findOrCreateCustomer(link.email);
+  const token = crypto.randomBytes(32).toString('base64url');
+  await run(
+    'INSERT INTO customer_sessions (tokenHash, customerId, expiresAt, createdAt) VALUES (?, ?, ?, ?)',
+    [hashToken(token), customer.id, new Date(now.getTime() + CUSTOMER_SESSION_TTL_DAYS * 86400000).toISOString(), now.toISOString()]
+  );
+  await run('UPDATE customers SET lastLoginAt = ? WHERE id = ?', [now.toISOString(), customer.id]);
+  // Opportunistic cleanup of sessions and links nobody will use again
+  await run('DELETE FROM customer_sessions WHERE expiresAt < ?', [now.toISOString()]);
+  await run('DELETE FROM customer_login_links WHERE expiresAt < ?', [now.toISOString()]);
+  return { customer, token };
+}
+
+// The customer a session token belongs to, or null
+export async function customerForSession(token) {
+  if (!token) return null;
+  return get(
+    `SELECT c.* FROM customer_sessions s JOIN customers c ON c.id = s.customerId
+     WHERE s.tokenHash = ? AND s.expiresAt > ?`,
+    [hashToken(token), new Date().toISOString()]
+  );
+}
+
+export async function logoutCustomer(token) {
+  if (token) await run('DELETE FROM customer_sessions WHERE tokenHash = ?', [hashToken(token)]);
+}
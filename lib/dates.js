@@ -0,0 +1,16 @@
+// lib/dates.js - calendar-date helpers (YYYY-MM-DD strings, Kenya time)
+//
+// No imports on purpose: pure modules like lib/ics.js use these without
+// pulling in the database layer.
+const TIME_ZONE = 'Africa/Nairobi';
+
+// Today's date in Kenya as YYYY-MM-DD
+export function today(now = new Date()) {
+  return new Intl.DateTimeFormat('en-CA', { timeZone: TIME_ZONE }).format(now);
+}
+
+export function addDays(date, days) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
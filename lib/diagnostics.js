@@ -0,0 +1,74 @@
+// lib/diagnostics.js - operator diagnostics: readiness checks and sandboxed test traffic
+//
+// Debug routes are off in production unless DIAGNOSTICS_ENABLED=true, and
+// their fake bookings/contacts only ever go to DEBUG_WEBHOOK_URL - never the
+// live Google Sheet.
+import fetch from 'node-fetch';
+import { get } from '../database.js';
+
+const NODE_ENV = process.env.NODE_ENV || 'development';
+
+export const DIAGNOSTICS_ENABLED = process.env.DIAGNOSTICS_ENABLED
+  ? process.env.DIAGNOSTICS_ENABLED === 'true'
+  : NODE_ENV !== 'production';
+
+export const DEBUG_WEBHOOK_URL = process.env.DEBUG_WEBHOOK_URL || null;
+
+const CHECK_TIMEOUT_MS = 5000;
+
+// Test rows are flagged so a sandbox sheet can tell them apart
+export function debugPayload(type, now = new Date()) {
+  const base = { debug: true, timestamp: now.toISOString(), source: 'bestie.co.ke' };
+  if (type === 'contact') {
+    return { ...base, type: 'contact', name: 'Debug Contact', email: 'contact@test.com', subject: 'Debug', message: 'Debug message' };
+  }
+  return { ...base, type: 'booking', program: 'Debug', firstName: 'Debug', lastName: 'User', email: 'debug@test.com', date: now.toISOString().split('T')[0], participants: 1, phone: '+254712345678', specialRequirements: 'Debug test' };
+}
+
+// POST a debug payload to the sandbox webhook. Returns { ok, status, response }.
+export async function sendDebugPayload(type) {
+  if (!DEBUG_WEBHOOK_URL) throw new Error('DEBUG_WEBHOOK_URL is not set - debug traffic is never sent to the live webhook');
+  const response = await fetch(DEBUG_WEBHOOK_URL, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(debugPayload(type)),
+    signal: AbortSignal.timeout(CHECK_TIMEOUT_MS)
+  });
+  return { ok: response.ok, status: response.status, response: await response.text() };
+}
+
+// Only the host - the full Apps Script URL is effectively a credential
+export function describeUrl(url) {
+  try { return new URL(url).host; } catch { return null; }
+}
+
+async function timed(check) {
+  const started = Date.now();
+  try {
+    const result = await Promise.race([
+      check(),
+      new Promise((_, reject) => setTimeout(() => reject(new Error('Timed out')), CHECK_TIMEOUT_MS))
+    ]);
+    return { ok: true, ...result, ms: Date.now() - started };
+  } catch (err) {
+    return { ok: false, error: err.message, ms: Date.now() - started };
+  }
+}
+
+// Run every check and summarise. `checks` maps a name to an async function
+// that returns details or throws; names in `critical` decide readiness, the
+// rest only mark the service as degraded.
+export async function readinessReport(checks, { critical = ['database'] } = {}) {
+  const names = Object.keys(checks);
+  const results = await Promise.all(names.map(name => timed(checks[name])));
+  const report = Object.fromEntries(names.map((name, i) => [name, results[i]]));
+
+  const failed = names.filter(name => !report[name].ok);
+  const status = failed.some(name => critical.includes(name)) ? 'not-ready' : failed.length ? 'degraded' : 'ready';
+  return { status, checks: report };
+}
+
+export async function checkDatabase() {
+  await get('SELECT 1 AS ok');
+  return {};
+}
@@ -0,0 +1,451 @@
+// lib/emails.js - customer email templates (HTML + plain text)
+//
+// Every template returns { subject, html, text, attachments? } ready to hand
+// to nodemailer via the outbox. Templates are registered in TEMPLATES with a
+// sample context so staff can preview them without a real booking.
+import { getProgram } from './catalog.js';
+import { formatMoney } from './money.js';
+import { buildInvite } from './ics.js';
+import { topicLabel, ticketSubject } from './tickets.js';
+
+const config = {
+  siteUrl: (process.env.SITE_URL || 'https://bestie.co.ke').replace(/\/$/, ''),
+  supportEmail: process.env.SUPPORT_EMAIL || 'info@bestie.co.ke',
+  brand: 'Off Mind Initiative'
+};
+// Where guests leave feedback (a survey form, review page...)
+config.feedbackUrl = process.env.FEEDBACK_URL || `${config.siteUrl}/contact.html`;
+
+export function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+const formatDate = (date) => new Date(`${date}T00:00:00Z`).toLocaleDateString('en-GB', { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric', timeZone: 'UTC' });
+
+export const manageUrl = (booking) => `${config.siteUrl}/manage.html?ref=${encodeURIComponent(booking.reference)}&email=${encodeURIComponent(booking.email)}`;
+
+// Branded wrapper shared by every HTML email. Inline styles only - most mail
+// clients drop <style> blocks.
+function layout({ preheader, heading, body }) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head><meta charset="UTF-8"><meta name="viewport" content="width=device-width, initial-scale=1.0"><title>${escapeHtml(heading)}</title></head>
+<body style="margin:0;padding:0;background:#f8fafc;font-family:Arial,Helvetica,sans-serif;color:#2d3748;">
+<span style="display:none;max-height:0;overflow:hidden;">${escapeHtml(preheader)}</span>
+<table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="background:#f8fafc;padding:24px 0;">
+<tr><td align="center">
+<table role="presentation" width="600" cellpadding="0" cellspacing="0" style="max-width:600px;width:100%;background:#ffffff;border-radius:12px;overflow:hidden;">
+<tr><td style="background:#87A96B;padding:24px;text-align:center;">
+<img src="${config.siteUrl}/images/logo.png" alt="${config.brand}" width="64" style="display:block;margin:0 auto 8px;">
+<div style="color:#ffffff;font-size:14px;letter-spacing:2px;">BREATHE. UNPLUG. RENEW.</div>
+</td></tr>
+<tr><td style="padding:32px 32px 8px;">
+<h1 style="margin:0 0 16px;font-size:24px;color:#2d3748;">${escapeHtml(heading)}</h1>
+${body}
+</td></tr>
+<tr><td style="padding:24px 32px;background:#f8fafc;font-size:12px;color:#718096;text-align:center;">
+${config.brand} &middot; Nairobi, Kenya<br>
+Questions? Reply to this email or write to <a href="mailto:${config.supportEmail}" style="color:#87A96B;">${config.supportEmail}</a>
+</td></tr>
+</table>
+</td></tr>
+</table>
+</body>
+</html>`;
+}
+
+const paragraph = (html) => `<p style="margin:0 0 16px;font-size:16px;line-height:1.5;">${html}</p>`;
+
+const button = (href, label) => `<p style="margin:24px 0;text-align:center;"><a href="${escapeHtml(href)}" style="background:#87A96B;color:#ffffff;padding:12px 24px;border-radius:8px;text-decoration:none;font-weight:bold;display:inline-block;">${escapeHtml(label)}</a></p>`;
+
+function detailsTable(rows) {
+  const cells = rows.map(([label, value, strong]) => `<tr>
+<td style="padding:8px 0;border-bottom:1px solid #e2e8f0;color:#718096;font-size:14px;">${escapeHtml(label)}</td>
+<td style="padding:8px 0;border-bottom:1px solid #e2e8f0;text-align:right;font-size:14px;${strong ? 'font-weight:bold;' : ''}">${escapeHtml(value)}</td>
+</tr>`).join('\n');
+  return `<table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="margin:0 0 24px;">${cells}</table>`;
+}
+
+const textTable = (rows) => rows.map(([label, value]) => `${label}: ${value}`).join('\n');
+
+const BOOKING_HEADINGS = {
+  pending: { subject: 'We\'ve received your booking', heading: 'Thank you - we\'ve received your booking', intro: 'Your spot is being held while we confirm the details. We\'ll be in touch shortly; paying now secures your place straight away.' },
+  confirmed: { subject: 'Your booking is confirmed', heading: 'Your booking is confirmed', intro: 'Great news - your place is confirmed. We can\'t wait to welcome you.' },
+  paid: { subject: 'Payment received - you\'re all set', heading: 'Payment received - you\'re all set', intro: 'Thank you for your payment. Your place is secured and everything is ready for your visit.' }
+};
+
+// The session dates as an .ics attachment. Calendars replace an earlier invite
+// with the same UID when the SEQUENCE is higher.
+function inviteAttachment(booking, program, link) {
+  const invite = buildInvite({
+    uid: `${booking.reference}@bestie.co.ke`,
+    date: booking.date,
+    days: program.days || 1,
+    summary: `${program.name} - ${config.brand}`,
+    description: `Confirmation number ${booking.reference}\n${program.startTime ? `Starts ${program.startTime} (Nairobi time)\n` : ''}Manage your booking: ${link}`,
+    location: program.location,
+    organizerEmail: config.supportEmail,
+    url: link,
+    sequence: booking.inviteSequence || 0
+  });
+  return { filename: `${booking.reference}.ics`, content: invite, contentType: 'text/calendar; charset=utf-8; method=PUBLISH' };
+}
+
+const describeParticipants = (booking) => (booking.children ? `${booking.participants} (${booking.children} ${booking.children === 1 ? 'child' : 'children'})` : String(booking.participants));
+
+// Booking confirmation, with a calendar invite for the session dates
+export function bookingConfirmation({ booking }) {
+  const program = getProgram(booking.program) || { name: booking.program, days: 1, whatToBring: [] };
+  const copy = BOOKING_HEADINGS[booking.status] || BOOKING_HEADINGS.pending;
+  const currency = booking.currency || 'USD';
+  const money = (amount) => formatMoney(amount, currency);
+  const breakdown = typeof booking.priceBreakdown === 'string' ? JSON.parse(booking.priceBreakdown) : booking.priceBreakdown;
+
+  const participants = describeParticipants(booking);
+  const details = [
+    ['Confirmation number', booking.reference, true],
+    ['Program', program.name],
+    ['Date', formatDate(booking.date)],
+    ['Duration', program.duration || `${program.days} day(s)`],
+    ['Starts', program.startTime ? `${program.startTime} (Nairobi time)` : 'Time to be confirmed'],
+    ['Where', program.location || 'Details to follow'],
+    ['Participants', participants]
+  ];
+  const price = [
+    ...(breakdown?.lines || []).map(line => [`${line.label} × ${line.quantity}`, money(line.amount)]),
+    ...(breakdown?.discounts || []).map(d => [d.label, `-${money(d.amount)}`]),
+    ...(booking.totalPrice != null ? [['Total', money(booking.totalPrice), true]] : [])
+  ];
+  const bring = program.whatToBring || [];
+  const link = manageUrl(booking);
+
+  const html = layout({
+    preheader: `${program.name} on ${formatDate(booking.date)} - confirmation ${booking.reference}`,
+    heading: copy.heading,
+    body: [
+      paragraph(`Hi ${escapeHtml(booking.firstName)},`),
+      paragraph(escapeHtml(copy.intro)),
+      detailsTable(details),
+      price.length ? `<h2 style="font-size:18px;margin:0 0 8px;">Price</h2>${detailsTable(price)}` : '',
+      bring.length ? `<h2 style="font-size:18px;margin:0 0 8px;">What to bring</h2><ul style="margin:0 0 24px;padding-left:20px;font-size:15px;line-height:1.6;">${bring.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>` : '',
+      paragraph('We\'ve attached a calendar invite so the dates are in your diary. You can view, change or cancel your booking at any time:'),
+      button(link, 'Manage my booking')
+    ].join('\n')
+  });
+
+  const text = [
+    `Hi ${booking.firstName},`,
+    '',
+    copy.intro,
+    '',
+    textTable(details),
+    ...(price.length ? ['', 'PRICE', textTable(price)] : []),
+    ...(bring.length ? ['', 'WHAT TO BRING', ...bring.map(item => `- ${item}`)] : []),
+    '',
+    `Manage your booking: ${link}`,
+    '',
+    `${config.brand} - Questions? Reply to this email or write to ${config.supportEmail}`
+  ].join('\n');
+
+  return {
+    subject: `${copy.subject}: ${program.name} (${booking.reference})`,
+    html,
+    text,
+    attachments: [inviteAttachment(booking, program, link)]
+  };
+}
+
+// Sent when the customer changes their booking online. `previous` is the booking
+// before the change; the invite replaces the one they already have.
+export function bookingChanged({ booking, previous }) {
+  const program = getProgram(booking.program) || { name: booking.program, days: 1 };
+  const link = manageUrl(booking);
+  const details = [
+    ['Confirmation number', booking.reference, true],
+    ['Program', program.name],
+    ['Date', formatDate(booking.date)],
+    ...(previous.date !== booking.date ? [['Was', formatDate(previous.date)]] : []),
+    ['Participants', describeParticipants(booking)],
+    ...(booking.participants !== previous.participants || booking.children !== previous.children ? [['Was', describeParticipants(previous)]] : []),
+    ...(booking.totalPrice != null ? [['Total', formatMoney(booking.totalPrice, booking.currency || 'USD'), true]] : [])
+  ];
+  const intro = 'Your booking has been updated. Here are the new details:';
+  const calendarNote = 'The attached calendar invite replaces the one we sent before.';
+
+  const html = layout({
+    preheader: `${program.name} is now on ${formatDate(booking.date)} - booking ${booking.reference}`,
+    heading: 'Your booking has been changed',
+    body: [
+      paragraph(`Hi ${escapeHtml(booking.firstName)},`),
+      paragraph(escapeHtml(intro)),
+      detailsTable(details),
+      paragraph(`${escapeHtml(calendarNote)} Didn't make this change? Reply to this email straight away.`),
+      button(link, 'Manage my booking')
+    ].join('\n')
+  });
+
+  const text = [
+    `Hi ${booking.firstName},`,
+    '',
+    intro,
+    '',
+    textTable(details),
+    '',
+    `${calendarNote} Didn't make this change? Reply to this email straight away.`,
+    '',
+    `Manage your booking: ${link}`,
+    '',
+    `${config.brand} - ${config.supportEmail}`
+  ].join('\n');
+
+  return {
+    subject: `Booking changed: ${program.name} (${booking.reference})`,
+    html,
+    text,
+    attachments: [inviteAttachment(booking, program, link)]
+  };
+}
+
+const quote = (html) => `<blockquote style="margin:0 0 24px;padding:12px 16px;border-left:4px solid #87A96B;background:#f8fafc;font-size:14px;line-height:1.5;">${html}</blockquote>`;
+const multiline = (value) => escapeHtml(value).replace(/\n/g, '<br>');
+
+// Auto-reply to the contact form, quoting what they sent. Its Message-ID is the
+// ticket's thread id, so staff replies land in the same conversation.
+export function contactAutoReply({ contact }) {
+  const html = layout({
+    preheader: `We've received your message: ${topicLabel(contact.subject)}`,
+    heading: 'Thanks for getting in touch',
+    body: [
+      paragraph(`Hi ${escapeHtml(contact.name)},`),
+      paragraph('Thank you for reaching out. We\'ve received your message and a member of our team will reply within 1-2 working days.'),
+      quote(`<strong>${escapeHtml(topicLabel(contact.subject))}</strong><br>${multiline(contact.message)}`),
+      paragraph('In the meantime, you can explore our programs or book a session online:'),
+      button(`${config.siteUrl}/programs.html`, 'Explore our programs')
+    ].join('\n')
+  });
+
+  const text = [
+    `Hi ${contact.name},`,
+    '',
+    'Thank you for reaching out. We\'ve received your message and a member of our team will reply within 1-2 working days.',
+    '',
+    `> ${topicLabel(contact.subject)}`,
+    ...String(contact.message).split('\n').map(line => `> ${line}`),
+    '',
+    `Explore our programs: ${config.siteUrl}/programs.html`,
+    '',
+    `${config.brand} - ${config.supportEmail}`
+  ].join('\n');
+
+  return { subject: `We've received your message: ${ticketSubject(contact)}`, html, text };
+}
+
+// A staff member's answer to a contact ticket, quoting the original message
+export function ticketReply({ contact, reply }) {
+  const html = layout({
+    preheader: String(reply.body).slice(0, 100),
+    heading: `Re: ${topicLabel(contact.subject)}`,
+    body: [
+      paragraph(`Hi ${escapeHtml(contact.name)},`),
+      paragraph(multiline(reply.body)),
+      paragraph(`${escapeHtml(reply.authorName)}<br>${config.brand}`),
+      paragraph('<span style="color:#64748b;font-size:14px;">Just reply to this email if you have any other questions.</span>'),
+      quote(`<strong>You wrote:</strong><br>${multiline(contact.message)}`)
+    ].join('\n')
+  });
+
+  const text = [
+    `Hi ${contact.name},`,
+    '',
+    reply.body,
+    '',
+    reply.authorName,
+    config.brand,
+    '',
+    'Just reply to this email if you have any other questions.',
+    '',
+    'You wrote:',
+    ...String(contact.message).split('\n').map(line => `> ${line}`)
+  ].join('\n');
+
+  return { subject: `Re: ${ticketSubject(contact)}`, html, text };
+}
+
+// Magic link for the customer account. Sent straight away, never through the
+// outbox, so the link isn't kept anywhere.
+export function signInLink({ url, expiresInMinutes }) {
+  const html = layout({
+    preheader: `Your sign-in link for ${config.brand}`,
+    heading: 'Sign in to your account',
+    body: [
+      paragraph('Use the button below to sign in and see your bookings and saved details.'),
+      button(url, 'Sign in'),
+      paragraph(`<span style="color:#64748b;font-size:14px;">The link works once and expires in ${expiresInMinutes} minutes. If you didn't ask to sign in, you can ignore this email.</span>`)
+    ].join('\n')
+  });
+
+  const text = [
+    'Use this link to sign in and see your bookings and saved details:',
+    '',
+    url,
+    '',
+    `The link works once and expires in ${expiresInMinutes} minutes. If you didn't ask to sign in, you can ignore this email.`,
+    '',
+    `${config.brand} - ${config.supportEmail}`
+  ].join('\n');
+
+  return { subject: `Your sign-in link for ${config.brand}`, html, text };
+}
+
+// Reminder 7 days / 1 day before the program
+export function bookingReminder({ booking, daysBefore = 7 }) {
+  const program = getProgram(booking.program) || { name: booking.program, whatToBring: [] };
+  const when = daysBefore === 1 ? 'tomorrow' : `in ${daysBefore} days`;
+  const bring = program.whatToBring || [];
+  const link = manageUrl(booking);
+  const unpaid = ['pending', 'confirmed'].includes(booking.status);
+  const details = [
+    ['Confirmation number', booking.reference, true],
+    ['Program', program.name],
+    ['Date', formatDate(booking.date)],
+    ['Starts', program.startTime ? `${program.startTime} (Nairobi time)` : 'Time to be confirmed'],
+    ['Where', program.location || 'Details to follow'],
+    ['Participants', String(booking.participants)]
+  ];
+  const unpaidNote = 'Our records show this booking hasn\'t been paid yet - please reply to this email so we can help you settle it before the day.';
+
+  const html = layout({
+    preheader: `${program.name} is ${when} - here's what you need to know`,
+    heading: `See you ${when}!`,
+    body: [
+      paragraph(`Hi ${escapeHtml(booking.firstName)},`),
+      paragraph(`Just a reminder that your <strong>${escapeHtml(program.name)}</strong> experience starts ${escapeHtml(when)}.`),
+      detailsTable(details),
+      bring.length ? `<h2 style="font-size:18px;margin:0 0 8px;">What to bring</h2><ul style="margin:0 0 24px;padding-left:20px;font-size:15px;line-height:1.6;">${bring.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>` : '',
+      unpaid ? paragraph(escapeHtml(unpaidNote)) : '',
+      paragraph('Plans changed? You can view or update your booking here:'),
+      button(link, 'Manage my booking')
+    ].join('\n')
+  });
+
+  const text = [
+    `Hi ${booking.firstName},`,
+    '',
+    `Just a reminder that your ${program.name} experience starts ${when}.`,
+    '',
+    textTable(details),
+    ...(bring.length ? ['', 'WHAT TO BRING', ...bring.map(item => `- ${item}`)] : []),
+    ...(unpaid ? ['', unpaidNote] : []),
+    '',
+    `Manage your booking: ${link}`,
+    '',
+    `${config.brand} - ${config.supportEmail}`
+  ].join('\n');
+
+  return { subject: `Reminder: ${program.name} ${when} (${booking.reference})`, html, text };
+}
+
+// Sent the day after the program ends
+export function feedbackRequest({ booking }) {
+  const program = getProgram(booking.program) || { name: booking.program };
+
+  const html = layout({
+    preheader: `How was your ${program.name}?`,
+    heading: 'How was your experience?',
+    body: [
+      paragraph(`Hi ${escapeHtml(booking.firstName)},`),
+      paragraph(`Thank you for joining us for the <strong>${escapeHtml(program.name)}</strong>. We hope you left feeling lighter and more connected.`),
+      paragraph('We\'d love to hear how it went - what you enjoyed and what we could do better. It only takes a couple of minutes.'),
+      button(config.feedbackUrl, 'Share your feedback'),
+      paragraph('Or simply reply to this email - every message is read by our team.')
+    ].join('\n')
+  });
+
+  const text = [
+    `Hi ${booking.firstName},`,
+    '',
+    `Thank you for joining us for the ${program.name}. We hope you left feeling lighter and more connected.`,
+    '',
+    'We\'d love to hear how it went - what you enjoyed and what we could do better.',
+    `Share your feedback: ${config.feedbackUrl}`,
+    '',
+    'Or simply reply to this email - every message is read by our team.',
+    '',
+    `${config.brand} - ${config.supportEmail}`
+  ].join('\n');
+
+  return { subject: `How was your ${program.name}?`, html, text };
+}
+
+// Payment nudge for pay-later bookings; `final` is the last one before the program
+export function paymentReminder({ booking, final = false }) {
+  const program = getProgram(booking.program) || { name: booking.program };
+  const total = booking.totalPrice != null ? formatMoney(booking.totalPrice, booking.currency || 'USD') : null;
+  const link = manageUrl(booking);
+  const intro = final
+    ? `Your ${program.name} on ${formatDate(booking.date)} is coming up and we haven't received payment yet.`
+    : `Thanks again for booking the ${program.name} on ${formatDate(booking.date)}. Your booking is saved, and paying now secures your place.`;
+  const how = 'We accept M-Pesa and card. Reply to this email and we\'ll send you a payment request, or contact us if you need to change or cancel.';
+
+  const html = layout({
+    preheader: `Payment due for booking ${booking.reference}`,
+    heading: final ? 'Payment still due for your booking' : 'Secure your place',
+    body: [
+      paragraph(`Hi ${escapeHtml(booking.firstName)},`),
+      paragraph(escapeHtml(intro)),
+      detailsTable([
+        ['Confirmation number', booking.reference, true],
+        ['Program', program.name],
+        ['Date', formatDate(booking.date)],
+        ...(total ? [['Amount due', total, true]] : [])
+      ]),
+      paragraph(escapeHtml(how)),
+      button(link, 'View my booking')
+    ].join('\n')
+  });
+
+  const text = [
+    `Hi ${booking.firstName},`,
+    '',
+    intro,
+    '',
+    `Confirmation number: ${booking.reference}`,
+    ...(total ? [`Amount due: ${total}`] : []),
+    '',
+    how,
+    '',
+    `View your booking: ${link}`,
+    '',
+    `${config.brand} - ${config.supportEmail}`
+  ].join('\n');
+
+  return { subject: `${final ? 'Payment still due' : 'Payment due'}: ${program.name} (${booking.reference})`, html, text };
+}
+
+const sampleBooking = {
+  reference: 'OMI-SAMPLE', program: 'ecotherapy', date: new Date(Date.now() + 30 * 86400000).toISOString().slice(0, 10),
+  participants: 2, children: 0, firstName: 'Wanjiru', lastName: 'Kamau', email: 'guest@example.com', status: 'pending',
+  totalPrice: 93600, currency: 'KES',
+  priceBreakdown: { lines: [{ label: 'Participant', quantity: 2, amount: 104000 }], discounts: [{ label: 'Early bird (30+ days ahead, 10% off)', amount: 10400 }] }
+};
+
+const sampleContact = { id: 42, name: 'Wanjiru', email: 'guest@example.com', subject: 'booking', message: 'Hello,\nCan you host a group of 15 colleagues in March?' };
+
+// Template name -> renderer plus a sample context for previews
+export const TEMPLATES = {
+  'booking-confirmation': { description: 'Sent to the booker when a booking is made, confirmed or paid', render: bookingConfirmation, sample: () => ({ booking: sampleBooking }) },
+  'booking-changed': { description: 'Sent when the booker changes their date or group size online', render: bookingChanged, sample: () => ({ booking: { ...sampleBooking, inviteSequence: 1 }, previous: { ...sampleBooking, date: new Date(Date.now() + 23 * 86400000).toISOString().slice(0, 10) } }) },
+  'booking-reminder': { description: 'Sent 7 days and 1 day before the program (?daysBefore=1)', render: bookingReminder, sample: () => ({ booking: sampleBooking, daysBefore: 7 }) },
+  'feedback-request': { description: 'Sent the day after the program ends', render: feedbackRequest, sample: () => ({ booking: { ...sampleBooking, status: 'completed' } }) },
+  'payment-reminder': { description: 'Sent to unpaid pay-later bookings (?final=true for the last one)', render: paymentReminder, sample: () => ({ booking: sampleBooking, final: false }) },
+  'contact-auto-reply': { description: 'Sent to anyone who uses the contact form', render: contactAutoReply, sample: () => ({ contact: sampleContact }) },
+  'ticket-reply': { description: 'A staff reply to a contact message, sent from the dashboard', render: ticketReply, sample: () => ({ contact: sampleContact, reply: { authorName: 'Amani', body: 'Yes - we host groups of up to 20 on weekdays. Which dates in March suit you?' } }) },
+  'sign-in-link': { description: 'Sent when a customer asks to sign in to their account', render: signInLink, sample: () => ({ url: `${config.siteUrl}/account.html#token=SAMPLE`, expiresInMinutes: 20 }) }
+};
+
+// Anything missing from `context` falls back to the sample
+export function renderTemplate(name, context = {}) {
+  const template = TEMPLATES[name];
+  if (!template) return null;
+  return template.render({ ...template.sample(), ...context });
+}
@@ -0,0 +1,61 @@
+// lib/ics.js - iCalendar (RFC 5545) invites for booked sessions
+//
+// Sessions are written as all-day events spanning the program's days, so they
+// land on the right dates whatever the recipient's timezone.
+import { addDays } from './dates.js';
+
+// TEXT values escape backslash, semicolon, comma and newlines
+function escapeText(value) {
+  return String(value ?? '').replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+// Lines longer than 75 octets continue on the next line after a space
+function fold(line) {
+  const bytes = Buffer.from(line, 'utf8');
+  if (bytes.length <= 75) return line;
+
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    const limit = parts.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + char, 'utf8') > limit) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+const compactDate = (date) => date.replace(/-/g, '');
+
+const stamp = (now) => now.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// { uid, date: 'YYYY-MM-DD', days, summary, description, location, organizerEmail, organizerName, url, sequence, cancelled }
+export function buildInvite({ uid, date, days = 1, summary, description, location, organizerEmail, organizerName = 'Off Mind Initiative', url, sequence = 0, cancelled = false, now = new Date() }) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Off Mind Initiative//Bookings//EN',
+    'CALSCALE:GREGORIAN',
+    `METHOD:${cancelled ? 'CANCEL' : 'PUBLISH'}`,
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    `DTSTAMP:${stamp(now)}`,
+    `DTSTART;VALUE=DATE:${compactDate(date)}`,
+    `DTEND;VALUE=DATE:${compactDate(addDays(date, days))}`,
+    `SEQUENCE:${sequence}`,
+    `STATUS:${cancelled ? 'CANCELLED' : 'CONFIRMED'}`,
+    `SUMMARY:${escapeText(summary)}`,
+    description && `DESCRIPTION:${escapeText(description)}`,
+    location && `LOCATION:${escapeText(location)}`,
+    url && `URL:${url}`,
+    organizerEmail && `ORGANIZER;CN=${escapeText(organizerName)}:mailto:${organizerEmail}`,
+    'TRANSP:OPAQUE',
+    'END:VEVENT',
+    'END:VCALENDAR'
+  ].filter(Boolean);
+
+  return lines.map(fold).join('\r\n') + '\r\n';
+}
@@ -0,0 +1,139 @@
+// lib/idempotency.js - replay-safe form submissions
+//
+// Two layers, both stored in idempotency_keys:
+//   1. the Idempotency-Key header - the browser makes one per form session.
+//      The first request with a key runs; repeats get the stored response.
+//      The same key with a different payload is refused.
+//   2. fingerprints - near-identical submissions (same email, program and date,
+//      say) within a short window collapse into the first one. This catches
+//      double handlers, double clicks and clients that send no key.
+// A repeat that arrives while the first request is still running waits for it.
+// Only successful responses are kept: on an error the claim is released, so the
+// visitor can fix the form and send it again with the same key.
+import crypto from 'crypto';
+import { run, get } from '../database.js';
+
+const config = {
+  keyTtlHours: Number(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24,
+  duplicateWindowMinutes: Number(process.env.DUPLICATE_WINDOW_MINUTES) || 10,
+  // A claim whose request never finished (crash, timeout) is free again after this
+  pendingTtlMs: 60 * 1000,
+  waitIntervalMs: 250,
+  waitAttempts: 40
+};
+
+const KEY_PATTERN = /^[A-Za-z0-9_-]{8,128}$/;
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+let lastPurge = 0;
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+const later = (ms) => new Date(Date.now() + ms).toISOString();
+
+// Same payload in any key order hashes the same. `ignore` drops fields that
+// change between honest retries (form tokens, CAPTCHA responses).
+export function hashPayload(body = {}, ignore = []) {
+  const stable = (value) => {
+    if (Array.isArray(value)) return value.map(stable);
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.keys(value).sort().filter(key => !ignore.includes(key)).map(key => [key, stable(value[key])]));
+    }
+    return value;
+  };
+  return sha256(JSON.stringify(stable(body)));
+}
+
+// -> { claimed: true } | { response } | { mismatch: true } | {} (still running, gave up waiting)
+async function acquire({ scope, key, hash }) {
+  for (let attempt = 0; attempt <= config.waitAttempts; attempt++) {
+    const now = new Date().toISOString();
+    const { changes } = await run(
+      "INSERT OR IGNORE INTO idempotency_keys (scope, key, requestHash, status, expiresAt, createdAt) VALUES (?, ?, ?, 'pending', ?, ?)",
+      [scope, key, hash, later(config.pendingTtlMs), now]
+    );
+    if (changes) return { claimed: true };
+
+    const row = await get('SELECT * FROM idempotency_keys WHERE scope = ? AND key = ?', [scope, key]);
+    if (!row) continue;
+    if (row.expiresAt <= now) {
+      await run('DELETE FROM idempotency_keys WHERE scope = ? AND key = ? AND expiresAt = ?', [scope, key, row.expiresAt]);
+      continue;
+    }
+    if (hash && row.requestHash !== hash) return { mismatch: true };
+    if (row.status === 'done') return { response: { status: row.responseStatus, body: JSON.parse(row.responseBody) } };
+    await sleep(config.waitIntervalMs);
+  }
+  return {};
+}
+
+async function complete({ scope, key, ttlMs }, { status, body }) {
+  await run(
+    "UPDATE idempotency_keys SET status = 'done', responseStatus = ?, responseBody = ?, expiresAt = ? WHERE scope = ? AND key = ?",
+    [status, JSON.stringify(body), later(ttlMs), scope, key]
+  );
+}
+
+async function release({ scope, key }) {
+  await run("DELETE FROM idempotency_keys WHERE scope = ? AND key = ? AND status = 'pending'", [scope, key]);
+}
+
+export async function purgeExpired() {
+  const { changes } = await run('DELETE FROM idempotency_keys WHERE expiresAt <= ?', [new Date().toISOString()]);
+  return changes;
+}
+
+// Express middleware for a POST route. Options:
+//   fingerprint(body) -> string | null  what makes two submissions "the same"
+//   ignore                              body fields left out of the key's payload hash
+// Replays carry an Idempotent-Replayed header and the original status and body.
+export function idempotent(scope, { fingerprint, ignore = [] } = {}) {
+  return async (req, res, next) => {
+    try {
+      if (Date.now() - lastPurge > PURGE_INTERVAL_MS) {
+        lastPurge = Date.now();
+        purgeExpired().catch(err => console.error('Idempotency purge failed:', err.message));
+      }
+
+      const claims = [];
+      const header = req.get('Idempotency-Key');
+      if (header !== undefined) {
+        if (!KEY_PATTERN.test(header)) return res.status(400).json({ success:false, error:'Idempotency-Key must be 8-128 letters, digits, dashes or underscores' });
+        claims.push({ scope, key: header, hash: hashPayload(req.body, ignore), ttlMs: config.keyTtlHours * 3600000 });
+      }
+      const print = fingerprint?.(req.body || {});
+      if (print) claims.push({ scope: `${scope}:similar`, key: sha256(print), hash: null, ttlMs: config.duplicateWindowMinutes * 60000 });
+      if (!claims.length) return next();
+
+      const held = [];
+      for (const claim of claims) {
+        const outcome = await acquire(claim);
+        if (outcome.claimed) {
+          held.push(claim);
+          continue;
+        }
+        if (outcome.response) {
+          // A fresh key that matched an earlier submission keeps that answer too
+          await Promise.all(held.map(c => complete(c, outcome.response)));
+          res.set('Idempotent-Replayed', 'true');
+          return res.status(outcome.response.status).json(outcome.response.body);
+        }
+        await Promise.all(held.map(release));
+        if (outcome.mismatch) return res.status(422).json({ success:false, error:'This form was already sent with different details. Please reload the page and try again.', code:'idempotency-mismatch' });
+        return res.status(409).json({ success:false, error:'This request is still being processed. Please wait a moment.', code:'in-progress' });
+      }
+
+      // Record the outcome before it goes out, so a repeat can never see the
+      // claim released while the first response is on its way
+      const json = res.json.bind(res);
+      res.json = (body) => {
+        const response = { status: res.statusCode, body };
+        const settle = res.statusCode < 300 ? Promise.all(held.map(c => complete(c, response))) : Promise.all(held.map(release));
+        settle.catch(err => console.error('Idempotency record failed:', err.message)).finally(() => json(body));
+        return res;
+      };
+      next();
+    } catch (err) {
+      next(err);
+    }
+  };
+}
@@ -0,0 +1,277 @@
+// lib/inbound.js - customer replies that arrive by email
+//
+// The mail provider posts each message to POST /api/inbound/email, either as
+// raw MIME or as its parsed webhook (generic JSON, Mailgun or Postmark field
+// names - a raw MIME `raw` / `email` / `body-mime` field works too). Webhooks
+// can be JSON or multipart/form-data, the way Mailgun routes and SendGrid
+// Inbound Parse post them - parseFormData() reads the latter. parseInbound() reduces
+// both to one shape, replyText() keeps only what the sender actually wrote,
+// and matchReply() finds the ticket or booking it answers:
+//   1. a signed reply address (reply+c12.<sig>@..., see lib/tickets.js)
+//   2. In-Reply-To / References naming a Message-ID we sent or stored
+//   3. [Ticket #12] or a booking reference in the subject - only when it
+//      comes from the address that ticket or booking belongs to
+// Attachments are ignored.
+import { getContact, findContactByMessageIds } from './contacts.js';
+import { getBookingByReference } from './bookings.js';
+import { parseReplyAddress } from './tickets.js';
+
+// ===== MIME =====
+function decodeCharset(bytes, charset = 'utf-8') {
+  try {
+    return new TextDecoder(charset).decode(bytes);
+  } catch (err) {
+    return new TextDecoder('utf-8').decode(bytes);
+  }
+}
+
+function decodeQuotedPrintable(value) {
+  const input = Buffer.from(value.replace(/=\r?\n/g, ''), 'utf8');
+  const bytes = [];
+  for (let i = 0; i < input.length; i++) {
+    const hex = input[i] === 0x3d ? input.toString('latin1', i + 1, i + 3) : '';
+    if (/^[0-9A-Fa-f]{2}$/.test(hex)) {
+      bytes.push(parseInt(hex, 16));
+      i += 2;
+    } else {
+      bytes.push(input[i]);
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+// =?utf-8?B?...?= and =?utf-8?Q?...?= in headers
+function decodeWords(value) {
+  return value
+    .replace(/(=\?[^?]+\?[BbQq]\?[^?]*\?=)\s+(?==\?)/g, '$1')
+    .replace(/=\?([^?]+)\?([BbQq])\?([^?]*)\?=/g, (match, charset, encoding, text) => {
+      const bytes = encoding.toUpperCase() === 'B' ? Buffer.from(text, 'base64') : decodeQuotedPrintable(text.replace(/_/g, ' '));
+      return decodeCharset(bytes, charset);
+    });
+}
+
+function parseHeaders(block) {
+  const headers = {};
+  block.replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/).forEach(line => {
+    const colon = line.indexOf(':');
+    if (colon <= 0) return;
+    const name = line.slice(0, colon).trim().toLowerCase();
+    const value = decodeWords(line.slice(colon + 1).trim());
+    headers[name] = headers[name] ? `${headers[name]}, ${value}` : value;
+  });
+  return headers;
+}
+
+// "text/plain; charset=utf-8" -> { type, params }
+function parseContentType(value = 'text/plain') {
+  const [type, ...rest] = value.split(';');
+  const params = {};
+  rest.forEach(param => {
+    const [key, ...val] = param.split('=');
+    if (key && val.length) params[key.trim().toLowerCase()] = val.join('=').trim().replace(/^"|"$/g, '');
+  });
+  return { type: type.trim().toLowerCase(), params };
+}
+
+// -> { headers, text, html } with the first text/plain and text/html parts
+function parseMime(raw) {
+  const source = String(raw);
+  const split = source.search(/\r?\n\r?\n/);
+  const headers = parseHeaders(split === -1 ? source : source.slice(0, split));
+  const body = split === -1 ? '' : source.slice(split).replace(/^\r?\n\r?\n/, '');
+  const { type, params } = parseContentType(headers['content-type']);
+
+  if (type.startsWith('multipart/') && params.boundary) {
+    const result = { headers, text: null, html: null };
+    const parts = body.split(`--${params.boundary}`).slice(1);
+    for (const part of parts) {
+      if (part.startsWith('--')) break;
+      const parsed = parseMime(part.replace(/^\r?\n/, ''));
+      if (/^attachment/i.test(parsed.headers['content-disposition'] || '')) continue;
+      result.text = result.text ?? parsed.text;
+      result.html = result.html ?? parsed.html;
+    }
+    return result;
+  }
+
+  const encoding = (headers['content-transfer-encoding'] || '').toLowerCase();
+  const content = encoding === 'base64' ? decodeCharset(Buffer.from(body.replace(/\s+/g, ''), 'base64'), params.charset)
+    : encoding === 'quoted-printable' ? decodeCharset(decodeQuotedPrintable(body), params.charset)
+      : body;
+  return {
+    headers,
+    text: type === 'text/plain' ? content : null,
+    html: type === 'text/html' ? content : null
+  };
+}
+
+// ===== WEBHOOKS =====
+// Headers a webhook passed along: an object, Postmark's [{ Name, Value }] or
+// Mailgun's JSON string of [name, value] pairs
+function webhookHeaders(body) {
+  const headers = {};
+  const add = (name, value) => { if (name && value != null) headers[String(name).toLowerCase()] = String(value); };
+  if (body.headers && typeof body.headers === 'object' && !Array.isArray(body.headers)) Object.entries(body.headers).forEach(([name, value]) => add(name, value));
+  if (typeof body.headers === 'string') Object.assign(headers, parseHeaders(body.headers));
+  if (Array.isArray(body.Headers)) body.Headers.forEach(header => add(header.Name, header.Value));
+  if (typeof body['message-headers'] === 'string') {
+    try {
+      JSON.parse(body['message-headers']).forEach(([name, value]) => add(name, value));
+    } catch (err) { /* keep what we have */ }
+  }
+  return headers;
+}
+
+// multipart/form-data body (a Buffer) -> { field: value }. Uploaded files are
+// skipped - a provider's raw MIME field carries any attachments anyway.
+export function parseFormData(body, contentType) {
+  const { params } = parseContentType(contentType);
+  const fields = {};
+  if (!params.boundary) return fields;
+  const parts = Buffer.from(body).toString('latin1').split(`--${params.boundary}`).slice(1);
+  for (const part of parts) {
+    if (part.startsWith('--')) break;
+    const split = part.search(/\r?\n\r?\n/);
+    if (split === -1) continue;
+    const headers = parseHeaders(part.slice(0, split));
+    const disposition = parseContentType(headers['content-disposition']);
+    if (!disposition.params.name || 'filename' in disposition.params) continue;
+    const value = part.slice(split).replace(/^\r?\n\r?\n/, '').replace(/\r?\n$/, '');
+    fields[disposition.params.name] = decodeCharset(Buffer.from(value, 'latin1'), parseContentType(headers['content-type']).params.charset);
+  }
+  return fields;
+}
+
+// ===== NORMALIZED MAIL =====
+const messageIds = (value) => String(value || '').match(/<[^<>\s]+>/g) || [];
+
+// "Amina <amina@example.com>, bob@example.com" -> [{ name, address }]
+export function parseAddresses(value) {
+  return (String(value || '').match(/("[^"]*"|[^,])+/g) || []).map(entry => {
+    const angle = entry.match(/<([^<>\s]+@[^<>\s]+)>/);
+    const address = (angle ? angle[1] : (entry.match(/[^\s<>"]+@[^\s<>"]+/) || [])[0] || '').toLowerCase();
+    const name = angle ? entry.slice(0, entry.indexOf('<')).trim().replace(/^"|"$/g, '') : '';
+    return { name, address };
+  }).filter(entry => entry.address);
+}
+
+// Out-of-office replies, bounces and list mail never join a thread
+function isAutomatic(headers, from) {
+  if (headers['auto-submitted'] && headers['auto-submitted'].toLowerCase() !== 'no') return true;
+  if (headers['x-autoreply'] || headers['x-autorespond']) return true;
+  if (/^(auto_reply|bulk|junk|list)$/i.test(headers.precedence || '')) return true;
+  return /^(mailer-daemon|postmaster)@/i.test(from?.address || '');
+}
+
+// Raw MIME (a string) or a webhook body -> { from, recipients, subject, messageId,
+// inReplyTo, references, text, html, automatic }
+export function parseInbound(input) {
+  let headers;
+  let text;
+  let html;
+  const fields = typeof input === 'object' && input ? input : {};
+  const raw = typeof input === 'string' ? input : [fields.raw, fields.email, fields['body-mime']].find(value => typeof value === 'string' && value.includes(':'));
+
+  if (raw) {
+    ({ headers, text, html } = parseMime(raw));
+  } else {
+    headers = webhookHeaders(fields);
+    const pick = (...keys) => keys.map(key => fields[key]).find(value => typeof value === 'string' && value.trim());
+    text = pick('text', 'TextBody', 'body-plain', 'plain') || null;
+    html = pick('html', 'HtmlBody', 'body-html') || null;
+    const sender = pick('from', 'From', 'sender');
+    headers.from = headers.from || (fields.FromName && sender && !sender.includes('<') ? `"${fields.FromName}" <${sender}>` : sender);
+    headers.to = [headers.to, pick('to', 'To'), pick('recipient', 'OriginalRecipient'), pick('cc', 'Cc')].filter(Boolean).join(', ');
+    headers.subject = headers.subject || pick('subject', 'Subject');
+    headers['message-id'] = headers['message-id'] || pick('Message-Id', 'message-id', 'messageId');
+    headers['in-reply-to'] = headers['in-reply-to'] || pick('In-Reply-To', 'in-reply-to', 'inReplyTo');
+    headers.references = headers.references || pick('References', 'references');
+  }
+
+  const from = parseAddresses(headers.from)[0] || null;
+  const recipients = ['to', 'cc', 'delivered-to', 'x-original-to', 'envelope-to']
+    .flatMap(name => parseAddresses(headers[name]).map(entry => entry.address));
+  return {
+    from,
+    recipients: [...new Set(recipients)],
+    subject: headers.subject || '',
+    messageId: messageIds(headers['message-id'])[0] || null,
+    inReplyTo: messageIds(headers['in-reply-to'])[0] || null,
+    references: messageIds(headers.references),
+    text,
+    html,
+    automatic: isAutomatic(headers, from)
+  };
+}
+
+// ===== QUOTED TEXT =====
+const ENTITIES = { nbsp: ' ', lt: '<', gt: '>', quot: '"', apos: "'", amp: '&' };
+
+function htmlToText(html) {
+  return String(html)
+    .replace(/<(style|script|head)\b[\s\S]*?<\/\1>/gi, '')
+    // Where mail clients start the quoted original
+    .replace(/<(div|blockquote)[^>]*(gmail_quote|type="cite"|divRplyFwdMsg|appendonsend|yahoo_quoted)[\s\S]*$/i, '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|li|tr|h[1-6])>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&(#\d+|[a-z]+);/gi, (match, entity) => (entity[0] === '#' ? String.fromCharCode(Number(entity.slice(1))) : ENTITIES[entity.toLowerCase()] ?? match));
+}
+
+// Lines that start the quoted message or a signature
+const QUOTE_STARTS = [
+  /^-{2,}\s*Original Message\s*-{2,}/i,
+  /^_{10,}$/,
+  /^-- ?$/,
+  /^Sent from my \w+/i,
+  /^Get Outlook for /i
+];
+
+// Drop quoted lines, "On ... wrote:" and everything after it, and signatures.
+// A message that was all quote keeps its full text rather than vanish.
+export function stripQuoted(text) {
+  const lines = String(text || '').replace(/\r\n/g, '\n').split('\n');
+  const kept = [];
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim();
+    const next = (lines[i + 1] || '').trim();
+    if (line.startsWith('>')) continue;
+    if (/^On\b.*\bwrote:$/i.test(line) || (/^On\b/i.test(line) && /\bwrote:$/i.test(next))) break;
+    if (/^From:\s/i.test(line) && /^(Sent|Date|To):\s/i.test(next)) break;
+    if (QUOTE_STARTS.some(pattern => pattern.test(line))) break;
+    kept.push(lines[i].trimEnd());
+  }
+  const reply = kept.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+  return reply || String(text || '').trim();
+}
+
+// What the sender wrote this time, as plain text
+export function replyText(mail) {
+  return stripQuoted(mail.text || htmlToText(mail.html || ''));
+}
+
+// ===== MATCHING =====
+const sameAddress = (a, b) => !!a && !!b && a.trim().toLowerCase() === b.trim().toLowerCase();
+
+// -> { contact, via } | { booking, via } | null
+export async function matchReply(mail) {
+  for (const address of mail.recipients) {
+    const tag = parseReplyAddress(address);
+    const contact = tag?.contactId && await getContact(tag.contactId);
+    if (contact) return { contact, via: 'address' };
+    const booking = tag?.reference && await getBookingByReference(tag.reference);
+    if (booking) return { booking, via: 'address' };
+  }
+
+  const threaded = await findContactByMessageIds([mail.inReplyTo, ...mail.references].filter(Boolean));
+  if (threaded) return { contact: threaded, via: 'headers' };
+
+  const ticket = mail.subject.match(/\[Ticket #(\d+)\]/i);
+  const contact = ticket && await getContact(Number(ticket[1]));
+  if (contact && sameAddress(contact.email, mail.from?.address)) return { contact, via: 'subject' };
+
+  const reference = mail.subject.match(/\bOMI-[A-Z0-9]{6}\b/i);
+  const booking = reference && await getBookingByReference(reference[0].toUpperCase());
+  if (booking && sameAddress(booking.email, mail.from?.address)) return { booking, via: 'subject' };
+  return null;
+}
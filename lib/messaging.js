@@ -0,0 +1,112 @@
+// lib/messaging.js - booking updates by SMS and WhatsApp
+//
+// Email always goes out; SMS and WhatsApp are extra channels a customer opts
+// into, remembered per email address in customer_preferences. Each channel is
+// an adapter in CHANNELS: `isConfigured()`, `send(payload)` (used as its outbox
+// handler) and `build(message, booking)` which turns a booking update into
+// that payload. Adding a provider means adding an adapter here.
+import { run, get } from '../database.js';
+import { getProgram } from './catalog.js';
+import { normalizePhone } from './phone.js';
+import { isSmsConfigured, sendSms } from './sms.js';
+import { isWhatsAppConfigured, sendWhatsAppTemplate } from './whatsapp.js';
+
+const config = {
+  siteUrl: (process.env.SITE_URL || 'https://bestie.co.ke').replace(/\/$/, ''),
+  smsPrefix: process.env.SMS_PREFIX || 'Off Mind',
+  // Approved WhatsApp template names; body parameters are listed in whatsAppFor()
+  whatsAppTemplates: {
+    confirmation: process.env.WHATSAPP_TEMPLATE_CONFIRMATION || 'booking_confirmation',
+    reminder: process.env.WHATSAPP_TEMPLATE_REMINDER || 'booking_reminder'
+  }
+};
+
+// Booking updates that have a short-message version. Everything else
+// (payment nudges, feedback requests) stays email only.
+export const CHANNEL_MESSAGES = ['confirmation', 'reminder-7d', 'reminder-1d'];
+
+const shortDate = (date) => new Date(`${date}T00:00:00Z`).toLocaleDateString('en-GB', { weekday: 'short', day: 'numeric', month: 'short', timeZone: 'UTC' });
+
+// Short enough to keep most messages to two SMS segments; the manage page asks for the email
+const manageLink = (booking) => `${config.siteUrl}/manage.html?ref=${encodeURIComponent(booking.reference)}`;
+
+const daysBefore = (message) => (message === 'reminder-1d' ? 1 : 7);
+
+function details(booking) {
+  const program = getProgram(booking.program) || { name: booking.program };
+  return { program, date: shortDate(booking.date), startTime: program.startTime || 'time TBC' };
+}
+
+function smsFor(message, booking) {
+  const { program, date, startTime } = details(booking);
+  if (message === 'confirmation') {
+    const state = booking.status === 'paid' ? 'is paid and confirmed' : booking.status === 'confirmed' ? 'is confirmed' : 'has been received';
+    return `${config.smsPrefix}: Hi ${booking.firstName}, your booking ${booking.reference} for ${program.name} on ${date} ${state}. Manage it: ${manageLink(booking)}`;
+  }
+  const when = daysBefore(message) === 1 ? 'tomorrow' : `in ${daysBefore(message)} days`;
+  return `${config.smsPrefix}: Reminder - ${program.name} is ${when} (${date}, ${startTime}, ${program.location || 'Nairobi'}). Ref ${booking.reference}. Details: ${manageLink(booking)}`;
+}
+
+// Template body parameters, in order:
+//   booking_confirmation: {{1}} first name, {{2}} program, {{3}} date, {{4}} reference, {{5}} manage link
+//   booking_reminder:     {{1}} first name, {{2}} program, {{3}} date, {{4}} start time, {{5}} reference
+function whatsAppFor(message, booking) {
+  const { program, date, startTime } = details(booking);
+  if (message === 'confirmation') {
+    return { template: config.whatsAppTemplates.confirmation, parameters: [booking.firstName, program.name, date, booking.reference, manageLink(booking)] };
+  }
+  return { template: config.whatsAppTemplates.reminder, parameters: [booking.firstName, program.name, date, startTime, booking.reference] };
+}
+
+export const CHANNELS = {
+  sms: {
+    label: 'SMS',
+    isConfigured: isSmsConfigured,
+    send: sendSms,
+    build: (message, booking) => ({ message: smsFor(message, booking) })
+  },
+  whatsapp: {
+    label: 'WhatsApp',
+    isConfigured: isWhatsAppConfigured,
+    send: sendWhatsAppTemplate,
+    build: whatsAppFor
+  }
+};
+
+export function configuredChannels() {
+  return Object.keys(CHANNELS).filter(name => CHANNELS[name].isConfigured());
+}
+
+// Accepts ['sms', 'whatsapp'], 'sms,whatsapp' or a single name. Unknown names are dropped.
+export function parseChannels(value) {
+  const names = Array.isArray(value) ? value : String(value ?? '').split(',');
+  return [...new Set(names.map(name => String(name).trim().toLowerCase()).filter(name => CHANNELS[name]))];
+}
+
+export async function getPreferences(email) {
+  const row = email ? await get('SELECT * FROM customer_preferences WHERE email = ?', [String(email).trim()]) : null;
+  return { phone: row?.phone || null, channels: row ? parseChannels(JSON.parse(row.channels)) : [] };
+}
+
+// Replace a customer's channel choices. `phone` must already be E.164.
+export async function savePreferences(email, { phone, channels }) {
+  const now = new Date().toISOString();
+  await run(
+    `INSERT INTO customer_preferences (email, phone, channels, updatedAt) VALUES (?, ?, ?, ?)
+     ON CONFLICT (email) DO UPDATE SET phone = COALESCE(excluded.phone, phone), channels = excluded.channels, updatedAt = excluded.updatedAt`,
+    [String(email).trim(), phone || null, JSON.stringify(parseChannels(channels)), now]
+  );
+  return getPreferences(email);
+}
+
+// Outbox deliveries ({ channel, payload }) for a booking update on every
+// channel the customer chose and we can send on
+export async function channelMessages(message, booking) {
+  if (!CHANNEL_MESSAGES.includes(message)) return [];
+  const prefs = await getPreferences(booking.email);
+  const to = prefs.phone || normalizePhone(booking.phone);
+  if (!to) return [];
+  return prefs.channels
+    .filter(name => CHANNELS[name].isConfigured())
+    .map(name => ({ channel: name, payload: { to, ...CHANNELS[name].build(message, booking) } }));
+}
@@ -0,0 +1,41 @@
+// lib/money.js - supported currencies and locale-aware formatting
+
+export const SUPPORTED_CURRENCIES = ['KES', 'USD', 'EUR'];
+export const DEFAULT_CURRENCY = SUPPORTED_CURRENCIES.includes(process.env.DEFAULT_CURRENCY) ? process.env.DEFAULT_CURRENCY : 'KES';
+
+// Locale used when the caller doesn't ask for one
+const DEFAULT_LOCALES = { KES: 'en-KE', USD: 'en-US', EUR: 'en-IE' };
+
+export function isSupportedCurrency(currency) {
+  return SUPPORTED_CURRENCIES.includes(currency);
+}
+
+// Normalize a currency query/body value, falling back to the default
+export function resolveCurrency(value) {
+  const currency = String(value || '').trim().toUpperCase();
+  return isSupportedCurrency(currency) ? currency : DEFAULT_CURRENCY;
+}
+
+// Round to what the currency is actually charged in (whole shillings, cents otherwise)
+export function roundMoney(amount, currency) {
+  return currency === 'KES' ? Math.round(amount) : Math.round(amount * 100) / 100;
+}
+
+// Pick the first requested locale Intl can format, e.g. from Accept-Language
+export function resolveLocale(candidates, currency) {
+  const list = (Array.isArray(candidates) ? candidates : [candidates]).filter(l => l && l !== '*');
+  for (const locale of list) {
+    try {
+      if (Intl.NumberFormat.supportedLocalesOf(locale).length > 0) return locale;
+    } catch {
+      // invalid language tag - try the next one
+    }
+  }
+  return DEFAULT_LOCALES[currency] || 'en-KE';
+}
+
+export function formatMoney(amount, currency, locale = DEFAULT_LOCALES[currency]) {
+  // Shillings are quoted without cents; USD/EUR only show cents when there are any
+  const fractionDigits = currency === 'KES' || Number.isInteger(amount) ? 0 : 2;
+  return new Intl.NumberFormat(locale, { style: 'currency', currency, minimumFractionDigits: fractionDigits, maximumFractionDigits: fractionDigits }).format(amount);
+}
@@ -0,0 +1,143 @@
+// lib/mpesa.js - Safaricom Daraja client (Lipa na M-Pesa Online / STK Push)
+//
+// Point MPESA_BASE_URL at scripts/mock-daraja.js to run the whole flow locally.
+import crypto from 'crypto';
+import fetch from 'node-fetch';
+
+const config = {
+  baseUrl: (process.env.MPESA_BASE_URL || 'https://sandbox.safaricom.co.ke').replace(/\/$/, ''),
+  consumerKey: process.env.MPESA_CONSUMER_KEY,
+  consumerSecret: process.env.MPESA_CONSUMER_SECRET,
+  shortcode: process.env.MPESA_SHORTCODE,
+  passkey: process.env.MPESA_PASSKEY,
+  callbackUrl: process.env.MPESA_CALLBACK_URL,
+  // Daraja doesn't sign callbacks, so the callback URL carries a secret path segment
+  callbackToken: process.env.MPESA_CALLBACK_TOKEN,
+  timeoutMs: 15 * 1000
+};
+
+export function isMpesaConfigured() {
+  return !!(config.consumerKey && config.consumerSecret && config.shortcode && config.passkey && config.callbackToken);
+}
+
+export function isValidCallbackToken(token) {
+  if (!config.callbackToken || typeof token !== 'string') return false;
+  const a = Buffer.from(token);
+  const b = Buffer.from(config.callbackToken);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+export function callbackUrl(publicUrl) {
+  return config.callbackUrl || `${publicUrl}/api/payments/mpesa/callback/${config.callbackToken}`;
+}
+
+// M-Pesa only takes whole shillings. `amount` must already be in KES - bookings
+// in other currencies are re-quoted in KES, not converted (see server.js).
+export function toKesAmount(amount) {
+  return Math.ceil(amount);
+}
+
+// YYYYMMDDHHmmss in Kenyan time, as Daraja expects
+function timestamp(now = new Date()) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-GB', { timeZone: 'Africa/Nairobi', year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit', hourCycle: 'h23' })
+      .formatToParts(now).map(p => [p.type, p.value])
+  );
+  return `${parts.year}${parts.month}${parts.day}${parts.hour}${parts.minute}${parts.second}`;
+}
+
+let cachedToken = null;
+
+async function accessToken() {
+  if (cachedToken && cachedToken.expiresAt > Date.now()) return cachedToken.value;
+
+  const auth = Buffer.from(`${config.consumerKey}:${config.consumerSecret}`).toString('base64');
+  const response = await fetch(`${config.baseUrl}/oauth/v1/generate?grant_type=client_credentials`, {
+    headers: { Authorization: `Basic ${auth}` },
+    signal: AbortSignal.timeout(config.timeoutMs)
+  });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok || !data.access_token) throw new Error(`M-Pesa auth failed (${response.status})`);
+
+  // Refresh a minute early so a token never expires mid-request
+  cachedToken = { value: data.access_token, expiresAt: Date.now() + (Number(data.expires_in) - 60) * 1000 };
+  return cachedToken.value;
+}
+
+async function call(path, body) {
+  const response = await fetch(`${config.baseUrl}${path}`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${await accessToken()}`, 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(config.timeoutMs)
+  });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) throw new Error(data.errorMessage || `M-Pesa request failed (${response.status})`);
+  return data;
+}
+
+function credentials() {
+  const ts = timestamp();
+  return {
+    BusinessShortCode: config.shortcode,
+    Password: Buffer.from(`${config.shortcode}${config.passkey}${ts}`).toString('base64'),
+    Timestamp: ts
+  };
+}
+
+// Send the PIN prompt to the customer's phone. `phone` must be E.164 (+2547...).
+export async function stkPush({ phone, amount, accountReference, description, callbackUrl: cbUrl }) {
+  const msisdn = phone.replace(/^\+/, '');
+  const data = await call('/mpesa/stkpush/v1/processrequest', {
+    ...credentials(),
+    TransactionType: 'CustomerPayBillOnline',
+    Amount: amount,
+    PartyA: msisdn,
+    PartyB: config.shortcode,
+    PhoneNumber: msisdn,
+    CallBackURL: cbUrl,
+    AccountReference: accountReference.slice(0, 12),
+    TransactionDesc: description.slice(0, 13)
+  });
+  if (String(data.ResponseCode) !== '0') throw new Error(data.ResponseDescription || 'M-Pesa rejected the request');
+  return { checkoutRequestId: data.CheckoutRequestID, merchantRequestId: data.MerchantRequestID, customerMessage: data.CustomerMessage };
+}
+
+// Ask Daraja for the outcome of a push whose callback hasn't arrived.
+// Returns null while the customer still hasn't responded.
+export async function queryStkStatus(checkoutRequestId) {
+  try {
+    const data = await call('/mpesa/stkpushquery/v1/query', { ...credentials(), CheckoutRequestID: checkoutRequestId });
+    if (data.ResultCode == null) return null;
+    return { resultCode: String(data.ResultCode), resultDesc: data.ResultDesc };
+  } catch (err) {
+    // Daraja answers "still processing" with an error status
+    if (/being processed/i.test(err.message)) return null;
+    throw err;
+  }
+}
+
+// Flatten a Daraja STK callback body into the fields we store
+export function parseCallback(body) {
+  const cb = body?.Body?.stkCallback;
+  if (!cb || !cb.CheckoutRequestID) return null;
+
+  const meta = Object.fromEntries((cb.CallbackMetadata?.Item || []).map(item => [item.Name, item.Value]));
+  return {
+    checkoutRequestId: cb.CheckoutRequestID,
+    merchantRequestId: cb.MerchantRequestID,
+    resultCode: String(cb.ResultCode),
+    resultDesc: cb.ResultDesc,
+    amount: meta.Amount != null ? Number(meta.Amount) : null,
+    receipt: meta.MpesaReceiptNumber || null,
+    phone: meta.PhoneNumber != null ? `+${meta.PhoneNumber}` : null
+  };
+}
+
+// Daraja result codes that mean the customer backed out rather than an error
+const CANCELLED_CODES = ['1032', '1037'];
+
+export function statusForResult(resultCode) {
+  if (resultCode === '0') return 'succeeded';
+  return CANCELLED_CODES.includes(resultCode) ? 'cancelled' : 'failed';
+}
@@ -0,0 +1,116 @@
+// lib/outbox.js - durable queue for outbound deliveries (Sheets webhook, emails)
+//
+// Every delivery is written to the `outbox` table first and then attempted by
+// a polling worker. Failures are retried with exponential backoff; once a row
+// runs out of attempts it is parked as 'dead' until someone replays it.
+import { run, get, all } from '../database.js';
+
+const BASE_DELAY_MS = Number(process.env.OUTBOX_BASE_DELAY_MS) || 30 * 1000;
+const MAX_DELAY_MS = Number(process.env.OUTBOX_MAX_DELAY_MS) || 60 * 60 * 1000;
+const MAX_ATTEMPTS = Number(process.env.OUTBOX_MAX_ATTEMPTS) || 8;
+const BATCH_SIZE = 20;
+
+const handlers = new Map();
+let timer = null;
+let draining = null;
+
+// Register the function that performs a delivery of the given kind.
+// It receives the parsed payload and must throw (or reject) on failure.
+export function registerHandler(kind, handler) {
+  handlers.set(kind, handler);
+}
+
+export function backoffDelay(attempts) {
+  return Math.min(BASE_DELAY_MS * 2 ** Math.max(attempts - 1, 0), MAX_DELAY_MS);
+}
+
+export async function enqueue(kind, payload, { maxAttempts = MAX_ATTEMPTS } = {}) {
+  const { id } = await run(
+    'INSERT INTO outbox (kind, payload, maxAttempts, nextAttemptAt) VALUES (?, ?, ?, ?)',
+    [kind, JSON.stringify(payload), maxAttempts, new Date().toISOString()]
+  );
+  kick();
+  return id;
+}
+
+async function deliver(row, now) {
+  const handler = handlers.get(row.kind);
+  try {
+    if (!handler) throw new Error(`No outbox handler registered for "${row.kind}"`);
+    await handler(JSON.parse(row.payload));
+    await run(
+      "UPDATE outbox SET status = 'delivered', attempts = attempts + 1, lastError = NULL, deliveredAt = ? WHERE id = ?",
+      [now.toISOString(), row.id]
+    );
+  } catch (err) {
+    const attempts = row.attempts + 1;
+    const dead = attempts >= row.maxAttempts;
+    const nextAttemptAt = new Date(now.getTime() + backoffDelay(attempts)).toISOString();
+    await run(
+      'UPDATE outbox SET status = ?, attempts = ?, lastError = ?, nextAttemptAt = ? WHERE id = ?',
+      [dead ? 'dead' : 'pending', attempts, err.message, nextAttemptAt, row.id]
+    );
+    console.warn(`⚠️ Outbox ${row.kind} #${row.id} failed (attempt ${attempts}/${row.maxAttempts})${dead ? ' - moved to dead letters' : ''}: ${err.message}`);
+  }
+}
+
+// Attempt every delivery that is due. Only one drain runs at a time.
+export function processDue(now = new Date()) {
+  if (draining) return draining;
+  draining = (async () => {
+    try {
+      const rows = await all(
+        "SELECT * FROM outbox WHERE status = 'pending' AND nextAttemptAt <= ? ORDER BY id LIMIT ?",
+        [now.toISOString(), BATCH_SIZE]
+      );
+      for (const row of rows) await deliver(row, now);
+      return rows.length;
+    } finally {
+      draining = null;
+    }
+  })();
+  return draining;
+}
+
+// Trigger a drain soon without waiting for the next poll
+export function kick() {
+  if (timer) setImmediate(() => processDue().catch(err => console.error('Outbox drain failed:', err.message)));
+}
+
+export function startOutboxWorker({ intervalMs = 15 * 1000 } = {}) {
+  if (timer) return;
+  timer = setInterval(() => {
+    processDue().catch(err => console.error('Outbox drain failed:', err.message));
+  }, intervalMs);
+  timer.unref();
+  kick();
+}
+
+export function stopOutboxWorker() {
+  clearInterval(timer);
+  timer = null;
+}
+
+export async function listDeadLetters({ limit = 100 } = {}) {
+  const rows = await all("SELECT * FROM outbox WHERE status = 'dead' ORDER BY id DESC LIMIT ?", [limit]);
+  return rows.map(row => ({ ...row, payload: JSON.parse(row.payload) }));
+}
+
+// Put a dead (or stuck) delivery back in the queue with a fresh attempt budget
+export async function replay(id) {
+  const row = await get('SELECT * FROM outbox WHERE id = ?', [id]);
+  if (!row) return null;
+  if (row.status === 'delivered') return row;
+
+  await run(
+    "UPDATE outbox SET status = 'pending', attempts = 0, lastError = NULL, nextAttemptAt = ? WHERE id = ?",
+    [new Date().toISOString(), id]
+  );
+  kick();
+  return get('SELECT * FROM outbox WHERE id = ?', [id]);
+}
+
+export async function outboxStats() {
+  const rows = await all('SELECT status, COUNT(*) AS count FROM outbox GROUP BY status');
+  return Object.fromEntries(rows.map(r => [r.status, r.count]));
+}
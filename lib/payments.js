@@ -0,0 +1,93 @@
+// lib/payments.js - provider-agnostic payment intents (one row per payment attempt)
+//
+// Provider adapters (lib/mpesa.js, lib/stripe.js) talk to the outside world;
+// everything they learn is recorded here through settlePayment, which is the
+// only place a booking is moved to 'paid'.
+import { run, get, all } from '../database.js';
+import { getBooking, updateBooking, canTransition } from './bookings.js';
+
+export const PAYMENT_FINAL_STATUSES = ['succeeded', 'failed', 'cancelled'];
+
+export async function createPayment(payment) {
+  const { bookingId, provider, amount, currency, phone = null, providerRef = null, merchantRequestId = null } = payment;
+  const now = new Date().toISOString();
+  const { id } = await run(
+    `INSERT INTO payments (bookingId, provider, amount, currency, phone, providerRef, merchantRequestId, createdAt, updatedAt)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [bookingId, provider, amount, currency, phone, providerRef, merchantRequestId, now, now]
+  );
+  return getPayment(id);
+}
+
+export function getPayment(id) {
+  return get('SELECT * FROM payments WHERE id = ?', [id]);
+}
+
+export function getPaymentByProviderRef(provider, providerRef) {
+  return get('SELECT * FROM payments WHERE provider = ? AND providerRef = ?', [provider, providerRef]);
+}
+
+// The newest attempt still waiting on the provider, if any
+export function getPendingPayment(bookingId, provider) {
+  return get("SELECT * FROM payments WHERE bookingId = ? AND provider = ? AND status = 'pending' ORDER BY id DESC LIMIT 1", [bookingId, provider]);
+}
+
+export function listPaymentsForBooking(bookingId) {
+  return all('SELECT * FROM payments WHERE bookingId = ? ORDER BY id DESC', [bookingId]);
+}
+
+const UPDATABLE = ['status', 'providerRef', 'receipt', 'resultCode', 'resultDesc', 'raw'];
+
+export async function updatePayment(id, changes) {
+  const fields = Object.keys(changes).filter(key => UPDATABLE.includes(key));
+  if (fields.length > 0) {
+    await run(
+      `UPDATE payments SET ${fields.map(f => `${f} = ?`).join(', ')}, updatedAt = ? WHERE id = ?`,
+      [...fields.map(f => changes[f]), new Date().toISOString(), id]
+    );
+  }
+  return getPayment(id);
+}
+
+// Record the final outcome of a payment. Safe to call more than once: a
+// payment that has already settled is returned unchanged with `changed: false`.
+export async function settlePayment(id, { status, receipt = null, resultCode = null, resultDesc = null, raw = null }) {
+  const { changes } = await run(
+    `UPDATE payments SET status = ?, receipt = ?, resultCode = ?, resultDesc = ?, raw = ?, updatedAt = ?
+     WHERE id = ? AND status = 'pending'`,
+    [status, receipt, resultCode, resultDesc, raw, new Date().toISOString(), id]
+  );
+  const payment = await getPayment(id);
+  if (changes === 0) return { payment, changed: false };
+
+  if (status === 'succeeded') {
+    const booking = await getBooking(payment.bookingId);
+    if (booking && canTransition(booking.status, 'paid')) await updateBooking(booking.id, { status: 'paid' });
+  }
+  return { payment, changed: true };
+}
+
+// Claim a provider webhook event. Returns false if it was already handled,
+// so redelivered events are acknowledged without being applied twice.
+export async function claimEvent(provider, eventId, type) {
+  const { changes } = await run(
+    'INSERT OR IGNORE INTO payment_events (provider, eventId, type, receivedAt) VALUES (?, ?, ?, ?)',
+    [provider, eventId, type, new Date().toISOString()]
+  );
+  return changes === 1;
+}
+
+export async function completeEvent(provider, eventId, paymentId) {
+  await run('UPDATE payment_events SET paymentId = ? WHERE provider = ? AND eventId = ?', [paymentId, provider, eventId]);
+}
+
+// Give up a claim when handling failed, so the provider's retry is processed
+export async function releaseEvent(provider, eventId) {
+  await run('DELETE FROM payment_events WHERE provider = ? AND eventId = ?', [provider, eventId]);
+}
+
+// Fields safe to return to the customer polling for progress
+export function toPublicPayment(payment) {
+  const { id, provider, status, amount, currency, receipt, resultDesc, createdAt, updatedAt } = payment;
+  return { id, provider, status, amount, currency, receipt, resultDesc, createdAt, updatedAt };
+}
@@ -0,0 +1,19 @@
+// lib/phone.js - phone number normalization
+
+// Normalize a Kenyan mobile number to E.164 (+2547XXXXXXXX / +2541XXXXXXXX).
+// Accepts 07.., 01.., 7.., 254.., +254.. with spaces, dashes or brackets.
+// Returns null when the input isn't a Kenyan mobile number.
+export function normalizeKenyanMobile(input) {
+  if (!input) return null;
+  let digits = String(input).replace(/[\s\-().]/g, '');
+  if (digits.startsWith('+')) digits = digits.slice(1);
+  if (!/^\d+$/.test(digits)) return null;
+
+  if (digits.startsWith('254')) digits = digits.slice(3);
+  else if (digits.startsWith('0')) digits = digits.slice(1);
+
+  return /^[17]\d{8}$/.test(digits) ? `+254${digits}` : null;
+}
+
+// Any number (Kenyan by default) to E.164 - shared with the browser forms
+export { normalizePhone } from '../js/shared/phone.js';
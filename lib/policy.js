@@ -0,0 +1,53 @@
+// lib/policy.js - customer self-service rules for changing and cancelling bookings
+import { today, addDays } from './dates.js';
+
+// Refund tiers, most generous first: cancelling at least `minDays` before the
+// program date refunds `refundPercent`. Override with CANCELLATION_POLICY as JSON.
+const DEFAULT_TIERS = [
+  { minDays: 14, refundPercent: 100 },
+  { minDays: 7, refundPercent: 50 },
+  { minDays: 0, refundPercent: 0 }
+];
+
+function loadTiers() {
+  if (!process.env.CANCELLATION_POLICY) return DEFAULT_TIERS;
+  try {
+    const tiers = JSON.parse(process.env.CANCELLATION_POLICY);
+    return [...tiers].sort((a, b) => b.minDays - a.minDays);
+  } catch (err) {
+    console.warn('⚠️ Invalid CANCELLATION_POLICY, using defaults:', err.message);
+    return DEFAULT_TIERS;
+  }
+}
+
+const tiers = loadTiers();
+// Customers can change date/participants up to this many days before the program
+const MODIFICATION_CUTOFF_DAYS = Number(process.env.MODIFICATION_CUTOFF_DAYS ?? 7);
+
+const MODIFIABLE = ['pending', 'confirmed', 'paid'];
+const CANCELLABLE = ['pending', 'confirmed', 'paid'];
+
+export function daysUntil(date, now = new Date()) {
+  return Math.round((new Date(`${date}T00:00:00Z`) - new Date(`${today(now)}T00:00:00Z`)) / 86400000);
+}
+
+export function refundPercentFor(date, now = new Date()) {
+  const days = daysUntil(date, now);
+  const tier = tiers.find(t => days >= t.minDays);
+  return tier ? tier.refundPercent : 0;
+}
+
+// What the customer may do with a booking right now
+export function bookingPolicy(booking, now = new Date()) {
+  const days = daysUntil(booking.date, now);
+  const upcoming = days > 0;
+  return {
+    canModify: upcoming && MODIFIABLE.includes(booking.status) && booking.date >= addDays(today(now), MODIFICATION_CUTOFF_DAYS),
+    // Paid bookings keep their headcount - changing it needs a new payment
+    canChangeParticipants: booking.status !== 'paid',
+    canCancel: upcoming && CANCELLABLE.includes(booking.status),
+    refundPercent: upcoming ? refundPercentFor(booking.date, now) : 0,
+    modificationCutoffDays: MODIFICATION_CUTOFF_DAYS,
+    tiers
+  };
+}
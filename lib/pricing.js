@@ -0,0 +1,81 @@
+// lib/pricing.js - itemized quotes from the catalog's per-program pricing rules
+//
+// Rules (all optional, see `pricing` in lib/catalog.js):
+//   childRate   - children pay `percentOfAdult` of the adult price
+//   groupTiers  - the best tier the headcount reaches takes `percentOff`
+//   earlyBird   - booking `minDaysBefore` the program date takes `percentOff`
+// Percentage discounts are each taken off the subtotal; they don't compound.
+// A promo code or gift voucher (lib/promotions.js) comes off what's left after
+// those, and never takes the total below zero.
+import { getProgram } from './catalog.js';
+import { DEFAULT_CURRENCY, roundMoney, formatMoney } from './money.js';
+import { daysUntil } from './policy.js';
+
+// Returns { quote } or { error, field } when the request can't be priced.
+// `bookedAt` is when the booking was made, so changes keep the early-bird
+// discount the customer originally qualified for. `promo` is a code already
+// checked by resolvePromo(). Seats aren't checked here - a date's capacity can
+// differ from the catalog's (see checkAvailability in lib/availability.js).
+export function quoteBooking({ program: slug, date, participants, children = 0, currency = DEFAULT_CURRENCY, bookedAt = new Date(), promo = null }) {
+  const program = getProgram(slug, currency);
+  if (!program) return { error: `Unknown program: ${slug}`, field: 'program' };
+
+  participants = Number(participants);
+  children = Number(children) || 0;
+  if (!Number.isInteger(participants) || participants < 1) return { error: 'Please choose at least 1 participant', field: 'participants' };
+  if (!Number.isInteger(children) || children < 0 || children > participants) return { error: 'Number of children must be between 0 and the number of participants', field: 'children' };
+
+  const rules = program.pricing || {};
+  // Only programs with a child rate price children separately
+  if (!rules.childRate) children = 0;
+  const adults = participants - children;
+
+  const lines = [];
+  if (adults > 0) {
+    lines.push({ code: 'adult', label: rules.childRate ? 'Adult' : 'Participant', quantity: adults, unitPrice: program.price, amount: program.price * adults });
+  }
+  if (children > 0) {
+    const unitPrice = roundMoney(program.price * rules.childRate.percentOfAdult / 100, currency);
+    lines.push({ code: 'child', label: `Child (under ${rules.childRate.maxAge})`, quantity: children, unitPrice, amount: unitPrice * children });
+  }
+  const subtotal = roundMoney(lines.reduce((sum, line) => sum + line.amount, 0), currency);
+
+  const discounts = [];
+  const tier = (rules.groupTiers || [])
+    .filter(t => participants >= t.minParticipants)
+    .sort((a, b) => b.percentOff - a.percentOff)[0];
+  if (tier) {
+    discounts.push({ code: 'group', label: `Group discount (${tier.minParticipants}+ people, ${tier.percentOff}% off)`, percentOff: tier.percentOff });
+  }
+  if (rules.earlyBird && date && daysUntil(date, bookedAt) >= rules.earlyBird.minDaysBefore) {
+    discounts.push({ code: 'early-bird', label: `Early bird (${rules.earlyBird.minDaysBefore}+ days ahead, ${rules.earlyBird.percentOff}% off)`, percentOff: rules.earlyBird.percentOff });
+  }
+  discounts.forEach(d => { d.amount = roundMoney(subtotal * d.percentOff / 100, currency); });
+
+  const afterRules = Math.max(subtotal - discounts.reduce((sum, d) => sum + d.amount, 0), 0);
+  if (promo) {
+    const percentOff = promo.discountType === 'percent' ? promo.value : null;
+    const amount = percentOff != null ? roundMoney(afterRules * percentOff / 100, currency) : roundMoney(Math.min(promo.value, afterRules), currency);
+    const label = promo.kind === 'voucher' ? `Gift voucher ${promo.code}` : `Promo ${promo.code}${percentOff != null ? ` (${percentOff}% off)` : ''}`;
+    discounts.push({ code: promo.kind === 'voucher' ? 'voucher' : 'promo', label, percentOff, promoCode: promo.code, amount });
+  }
+
+  const total = roundMoney(Math.max(subtotal - discounts.reduce((sum, d) => sum + d.amount, 0), 0), currency);
+  const promoCode = promo ? promo.code : null;
+
+  return {
+    quote: { program: slug, programName: program.name, date: date || null, currency, participants, adults, children, lines, subtotal, discounts, promoCode, total }
+  };
+}
+
+// Copy of a quote with display strings for every amount
+export function formatQuote(quote, locale) {
+  const fmt = amount => formatMoney(amount, quote.currency, locale);
+  return {
+    ...quote,
+    lines: quote.lines.map(line => ({ ...line, unitPriceFormatted: fmt(line.unitPrice), amountFormatted: fmt(line.amount) })),
+    discounts: quote.discounts.map(d => ({ ...d, amountFormatted: `-${fmt(d.amount)}` })),
+    subtotalFormatted: fmt(quote.subtotal),
+    totalFormatted: fmt(quote.total)
+  };
+}
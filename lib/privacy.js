@@ -0,0 +1,282 @@
+// lib/privacy.js - consent records, data export, erasure and retention
+//
+// What Kenya's Data Protection Act asks of us, in one place: every booking
+// and contact records which version of the privacy notice the person agreed
+// to (and, separately, to us holding health details), customers can download
+// or erase what we hold about them, and a daily job anonymizes records we no
+// longer need. Erasing anonymizes rather than deletes - bookings, payments and
+// tickets stay for the accounts and the reports, with everything that
+// identifies a person replaced. Copies already sent to the Google Sheet or a
+// mailbox are outside this database; staff are told to clear those by hand.
+import crypto from 'crypto';
+import { run, get, all } from '../database.js';
+import { today, addDays } from './dates.js';
+
+const config = {
+  // Bump when the privacy notice changes; consents record the version agreed to
+  noticeVersion: process.env.PRIVACY_NOTICE_VERSION || '2026-10',
+  // Guests' details on a booking, counted from the program date
+  bookingMonths: Number(process.env.RETENTION_BOOKING_MONTHS) || 24,
+  // Special requirements (often health details), counted from the program date
+  healthDays: Number(process.env.RETENTION_HEALTH_DAYS) || 30,
+  // Contact tickets, counted from the last message either way
+  contactMonths: Number(process.env.RETENTION_CONTACT_MONTHS) || 12,
+  // Customer accounts nobody has signed in to
+  accountMonths: Number(process.env.RETENTION_ACCOUNT_MONTHS) || 24,
+  // Delivered (or given up) emails and webhook payloads in the outbox
+  outboxDays: Number(process.env.RETENTION_OUTBOX_DAYS) || 30
+};
+
+export const PRIVACY_NOTICE_VERSION = config.noticeVersion;
+export const RETENTION = { bookingMonths: config.bookingMonths, healthDays: config.healthDays, contactMonths: config.contactMonths, accountMonths: config.accountMonths, outboxDays: config.outboxDays };
+
+// 'privacy' - the notice itself; 'health' - special requirements as sensitive data
+export const CONSENT_PURPOSES = ['privacy', 'health'];
+
+const ERASED = '[erased]';
+
+let timer = null;
+
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+const marks = (ids) => ids.map(() => '?').join(', ');
+
+function monthsBefore(date, months) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCMonth(d.getUTCMonth() - months);
+  return d.toISOString().slice(0, 10);
+}
+
+function daysBefore(now, days) {
+  return new Date(now.getTime() - days * 86400000).toISOString();
+}
+
+// ===== CONSENT =====
+// One row per purpose agreed to. `source` is the form ('booking', 'contact').
+export async function recordConsent({ email, bookingId = null, contactId = null, purposes, source }) {
+  const now = new Date().toISOString();
+  for (const purpose of purposes.filter(p => CONSENT_PURPOSES.includes(p))) {
+    await run(
+      'INSERT INTO consents (email, bookingId, contactId, purpose, noticeVersion, source, createdAt) VALUES (?, ?, ?, ?, ?, ?, ?)',
+      [normalizeEmail(email), bookingId, contactId, purpose, config.noticeVersion, source, now]
+    );
+  }
+}
+
+// ===== REQUESTS LOG =====
+// Export and erasure requests are kept as evidence that we answered them, by
+// a hash of the address - the log itself mustn't undo an erasure
+export async function logPrivacyRequest(email, kind, detail = null) {
+  const now = new Date().toISOString();
+  const emailHash = crypto.createHash('sha256').update(normalizeEmail(email)).digest('hex');
+  await run(
+    "INSERT INTO privacy_requests (emailHash, kind, status, detail, createdAt, completedAt) VALUES (?, ?, 'completed', ?, ?, ?)",
+    [emailHash, kind, detail && JSON.stringify(detail), now, now]
+  );
+}
+
+// ===== EXPORT =====
+// Everything held against an email address, as one JSON document
+export async function exportPersonalData(email) {
+  const address = normalizeEmail(email);
+  const account = await get('SELECT email, firstName, lastName, phone, specialRequirements, lastLoginAt, createdAt, updatedAt FROM customers WHERE email = ?', [address]);
+  const bookings = await all(
+    `SELECT id, reference, program, date, participants, children, firstName, lastName, email, phone, specialRequirements,
+       totalPrice, currency, promoCode, status, cancelledAt, cancellationReason, refundPercent, createdAt, updatedAt
+     FROM bookings WHERE email = ? COLLATE NOCASE ORDER BY id`,
+    [address]
+  );
+  const bookingIds = bookings.map(b => b.id);
+  const payments = bookingIds.length ? await all(`SELECT bookingId, provider, status, amount, currency, phone, receipt, createdAt, updatedAt FROM payments WHERE bookingId IN (${marks(bookingIds)}) ORDER BY id`, bookingIds) : [];
+  const notes = bookingIds.length ? await all(`SELECT bookingId, authorName, body, createdAt FROM booking_notes WHERE bookingId IN (${marks(bookingIds)}) ORDER BY id`, bookingIds) : [];
+
+  const contacts = await all('SELECT id, name, email, subject, message, status, createdAt, updatedAt FROM contacts WHERE email = ? COLLATE NOCASE ORDER BY id', [address]);
+  const contactIds = contacts.map(c => c.id);
+  const messages = contactIds.length ? await all(`SELECT contactId, direction, authorName, body, createdAt FROM contact_messages WHERE contactId IN (${marks(contactIds)}) ORDER BY id`, contactIds) : [];
+
+  const preferences = await get('SELECT phone, channels, updatedAt FROM customer_preferences WHERE email = ?', [address]);
+  const consents = await all('SELECT bookingId, contactId, purpose, noticeVersion, source, createdAt FROM consents WHERE email = ? ORDER BY id', [address]);
+
+  return {
+    exportedAt: new Date().toISOString(),
+    noticeVersion: config.noticeVersion,
+    email: address,
+    account: account || null,
+    bookings: bookings.map(({ id, ...booking }) => ({
+      ...booking,
+      payments: payments.filter(p => p.bookingId === id).map(({ bookingId, ...payment }) => payment),
+      notes: notes.filter(n => n.bookingId === id).map(({ bookingId, ...note }) => note)
+    })),
+    contacts: contacts.map(({ id, ...contact }) => ({ ...contact, messages: messages.filter(m => m.contactId === id).map(({ contactId, ...message }) => message) })),
+    messagingPreferences: preferences ? { ...preferences, channels: JSON.parse(preferences.channels) } : null,
+    consents
+  };
+}
+
+// ===== ANONYMIZING =====
+// Placeholders keep the NOT NULL columns and email lookups working
+async function anonymizeBookings(ids, now) {
+  if (!ids.length) return 0;
+  const { changes } = await run(
+    `UPDATE bookings SET firstName = '${ERASED}', lastName = '${ERASED}', email = 'b' || id || '@erased.invalid', phone = NULL,
+       specialRequirements = NULL, cancellationReason = NULL, anonymizedAt = ?
+     WHERE id IN (${marks(ids)})`,
+    [now.toISOString(), ...ids]
+  );
+  await run(`UPDATE payments SET phone = NULL, raw = NULL WHERE bookingId IN (${marks(ids)})`, ids);
+  await run(`UPDATE booking_notes SET body = '${ERASED}' WHERE bookingId IN (${marks(ids)})`, ids);
+  await run(`UPDATE promo_redemptions SET email = 'b' || bookingId || '@erased.invalid' WHERE bookingId IN (${marks(ids)})`, ids);
+  await run(`DELETE FROM scheduled_messages WHERE bookingId IN (${marks(ids)}) AND status = 'scheduled'`, ids);
+  await run(`UPDATE consents SET email = NULL WHERE bookingId IN (${marks(ids)})`, ids);
+  return changes;
+}
+
+async function anonymizeContacts(ids, now) {
+  if (!ids.length) return 0;
+  const { changes } = await run(
+    `UPDATE contacts SET name = '${ERASED}', email = 'c' || id || '@erased.invalid', message = '${ERASED}', spamReasons = NULL, anonymizedAt = ?
+     WHERE id IN (${marks(ids)})`,
+    [now.toISOString(), ...ids]
+  );
+  // Staff replies quote the customer, so they go too
+  await run(`UPDATE contact_messages SET body = '${ERASED}', authorName = CASE WHEN direction = 'in' THEN '${ERASED}' ELSE authorName END WHERE contactId IN (${marks(ids)})`, ids);
+  await run(`UPDATE consents SET email = NULL WHERE contactId IN (${marks(ids)})`, ids);
+  return changes;
+}
+
+async function deleteCustomers(ids) {
+  if (!ids.length) return 0;
+  await run(`DELETE FROM customer_sessions WHERE customerId IN (${marks(ids)})`, ids);
+  const { changes } = await run(`DELETE FROM customers WHERE id IN (${marks(ids)})`, ids);
+  return changes;
+}
+
+// Whether an outbox payload is about this address: the Sheets row's `email`, or
+// an email's `to` / `replyTo` ("Name <address>" and lists included). Compared
+// whole, so erasing jo@x.co leaves bjo@x.co's deliveries alone.
+function addressedTo(payload, address) {
+  let data;
+  try {
+    data = JSON.parse(payload);
+  } catch (err) {
+    return false;
+  }
+  return ['email', 'to', 'replyTo']
+    .flatMap(key => (Array.isArray(data[key]) ? data[key] : String(data[key] ?? '').split(',')))
+    .map(value => normalizeEmail((String(value).match(/<([^<>]+)>/) || [])[1] || value))
+    .includes(address);
+}
+
+// ===== ERASURE =====
+// Bookings still to come can't be erased - we need the guest's details to run
+// them. The customer cancels first or asks again afterwards.
+export function upcomingBookings(email) {
+  return all(
+    "SELECT reference, program, date FROM bookings WHERE email = ? COLLATE NOCASE AND status NOT IN ('cancelled', 'completed') AND date >= ? ORDER BY date",
+    [normalizeEmail(email), today()]
+  );
+}
+
+// Anonymize everything held against an email address -> { erased: counts per
+// kind, references, contactIds } - the last two so staff can find the same
+// person in the Google Sheet
+export async function eraseEmail(email, now = new Date()) {
+  const address = normalizeEmail(email);
+  const bookings = await all('SELECT id, reference FROM bookings WHERE email = ? COLLATE NOCASE', [address]);
+  const contacts = await all('SELECT id FROM contacts WHERE email = ? COLLATE NOCASE', [address]);
+  const customers = await all('SELECT id FROM customers WHERE email = ?', [address]);
+
+  const erased = {
+    bookings: await anonymizeBookings(bookings.map(b => b.id), now),
+    contacts: await anonymizeContacts(contacts.map(c => c.id), now),
+    accounts: await deleteCustomers(customers.map(c => c.id)),
+    preferences: (await run('DELETE FROM customer_preferences WHERE email = ?', [address])).changes
+  };
+  await run('DELETE FROM customer_login_links WHERE email = ?', [address]);
+  await run('UPDATE consents SET email = NULL WHERE email = ?', [address]);
+  // Deliveries that name the person: sent ones are blanked, queued ones are
+  // stopped too so their details don't reach the Sheet after the fact
+  const candidates = await all("SELECT id, payload FROM outbox WHERE payload != '{}' AND instr(lower(payload), ?) > 0", [address]);
+  const deliveries = candidates.filter(row => addressedTo(row.payload, address)).map(row => row.id);
+  erased.outbox = deliveries.length ? (await run(
+    `UPDATE outbox SET payload = '{}',
+       status = CASE WHEN status = 'pending' THEN 'dead' ELSE status END,
+       lastError = CASE WHEN status = 'pending' THEN 'Erased on request' ELSE lastError END
+     WHERE id IN (${marks(deliveries)})`,
+    deliveries
+  )).changes : 0;
+  return { erased, references: bookings.map(b => b.reference).filter(Boolean), contactIds: contacts.map(c => c.id) };
+}
+
+// ===== RETENTION =====
+// Anonymize what has outlived its retention period (RETENTION above) -> counts
+// per kind. `dryRun` only counts.
+export async function runRetention({ now = new Date(), dryRun = false } = {}) {
+  const day = today(now);
+  const bookingCutoff = monthsBefore(day, config.bookingMonths);
+  const contactCutoff = `${monthsBefore(day, config.contactMonths)}T00:00:00.000Z`;
+  const accountCutoff = `${monthsBefore(day, config.accountMonths)}T00:00:00.000Z`;
+  const outboxCutoff = daysBefore(now, config.outboxDays);
+
+  const bookings = await all('SELECT id FROM bookings WHERE anonymizedAt IS NULL AND date < ?', [bookingCutoff]);
+  const contacts = await all(
+    "SELECT id FROM contacts WHERE anonymizedAt IS NULL AND datetime(COALESCE(updatedAt, createdAt)) < datetime(?)",
+    [contactCutoff]
+  );
+  // Same guard as eraseEmail: an account with a booking still to come stays
+  const customers = await all(
+    `SELECT id FROM customers WHERE datetime(COALESCE(lastLoginAt, createdAt)) < datetime(?)
+     AND NOT EXISTS (
+       SELECT 1 FROM bookings b WHERE b.email = customers.email COLLATE NOCASE
+       AND b.status NOT IN ('cancelled', 'completed') AND b.date >= ?
+     )`,
+    [accountCutoff, day]
+  );
+  // Bookings old enough to anonymize lose these anyway
+  const health = "specialRequirements IS NOT NULL AND specialRequirements != 'None' AND anonymizedAt IS NULL AND date < ? AND date >= ?";
+  const outbox = "payload != '{}' AND ((status = 'delivered' AND datetime(deliveredAt) < datetime(?)) OR (status = 'dead' AND datetime(createdAt) < datetime(?)))";
+  const healthArgs = [addDays(day, -config.healthDays), bookingCutoff];
+
+  if (dryRun) {
+    return {
+      bookings: bookings.length,
+      healthDetails: (await get(`SELECT COUNT(*) AS count FROM bookings WHERE ${health}`, healthArgs)).count,
+      contacts: contacts.length,
+      accounts: customers.length,
+      outbox: (await get(`SELECT COUNT(*) AS count FROM outbox WHERE ${outbox}`, [outboxCutoff, outboxCutoff])).count
+    };
+  }
+
+  const counts = {
+    bookings: await anonymizeBookings(bookings.map(b => b.id), now),
+    healthDetails: (await run(`UPDATE bookings SET specialRequirements = NULL WHERE ${health}`, healthArgs)).changes,
+    contacts: await anonymizeContacts(contacts.map(c => c.id), now),
+    accounts: await deleteCustomers(customers.map(c => c.id)),
+    outbox: (await run(`UPDATE outbox SET payload = '{}' WHERE ${outbox}`, [outboxCutoff, outboxCutoff])).changes
+  };
+  // SMS / WhatsApp choices only matter while there's a booking they apply to
+  await run(
+    `DELETE FROM customer_preferences WHERE NOT EXISTS (
+       SELECT 1 FROM bookings b WHERE b.email = customer_preferences.email COLLATE NOCASE AND b.anonymizedAt IS NULL
+     )`
+  );
+  return counts;
+}
+
+// Once a day is plenty; the first run happens at startup
+export function startRetention({ intervalMs = 24 * 60 * 60 * 1000 } = {}) {
+  if (timer) return;
+  const tick = () => runRetention()
+    .then(counts => {
+      const total = Object.values(counts).reduce((sum, n) => sum + n, 0);
+      if (total) console.log(`🔐 Retention: anonymized ${Object.entries(counts).filter(([, n]) => n).map(([kind, n]) => `${n} ${kind}`).join(', ')}`);
+    })
+    .catch(err => console.error('Retention run failed:', err.message));
+  timer = setInterval(tick, intervalMs);
+  timer.unref();
+  tick();
+}
+
+export function stopRetention() {
+  clearInterval(timer);
+  timer = null;
+}
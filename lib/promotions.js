@@ -0,0 +1,111 @@
+// lib/promotions.js - promo codes (campaigns) and single-use gift vouchers
+//
+// A code takes either a percentage or a fixed amount (in one currency) off a
+// booking. Usage is counted on promo_codes.usesCount, claimed atomically by
+// redeemPromo so a limited code can't be over-used by concurrent bookings.
+import crypto from 'crypto';
+import { run, get, all } from '../database.js';
+
+export const DISCOUNT_TYPES = ['percent', 'fixed'];
+
+export function normalizeCode(code) {
+  return String(code || '').trim().toUpperCase().replace(/\s+/g, '');
+}
+
+function hydrate(row) {
+  return row && { ...row, programs: row.programs ? JSON.parse(row.programs) : null, active: !!row.active };
+}
+
+export async function getPromoByCode(code) {
+  return hydrate(await get('SELECT * FROM promo_codes WHERE code = ?', [normalizeCode(code)]));
+}
+
+export async function listPromos({ kind } = {}) {
+  const rows = kind
+    ? await all('SELECT * FROM promo_codes WHERE kind = ? ORDER BY id DESC', [kind])
+    : await all('SELECT * FROM promo_codes ORDER BY id DESC');
+  return rows.map(hydrate);
+}
+
+export async function createPromo({ code, kind = 'promo', discountType, value, currency = null, programs = null, description = null, startsAt = null, expiresAt = null, maxUses = null, maxUsesPerEmail = null, purchaserEmail = null, recipientName = null }) {
+  const { id } = await run(
+    `INSERT INTO promo_codes (code, kind, discountType, value, currency, programs, description, startsAt, expiresAt, maxUses, maxUsesPerEmail, purchaserEmail, recipientName)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [normalizeCode(code), kind, discountType, value, currency, programs && JSON.stringify(programs), description, startsAt, expiresAt, maxUses, maxUsesPerEmail, purchaserEmail, recipientName]
+  );
+  return hydrate(await get('SELECT * FROM promo_codes WHERE id = ?', [id]));
+}
+
+export async function setPromoActive(code, active) {
+  await run('UPDATE promo_codes SET active = ? WHERE code = ?', [active ? 1 : 0, normalizeCode(code)]);
+  return getPromoByCode(code);
+}
+
+// GIFT-XXXX-XXXX, unambiguous characters only
+export function generateVoucherCode() {
+  const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+  const chars = [...crypto.randomBytes(8)].map(b => alphabet[b % alphabet.length]).join('');
+  return `GIFT-${chars.slice(0, 4)}-${chars.slice(4)}`;
+}
+
+// A gift voucher is a single-use fixed amount, valid for a year unless told otherwise
+export function createVoucher({ amount, currency, expiresAt, purchaserEmail = null, recipientName = null, description = null }) {
+  const expiry = expiresAt || new Date(Date.now() + 365 * 86400000).toISOString().slice(0, 10);
+  return createPromo({ code: generateVoucherCode(), kind: 'voucher', discountType: 'fixed', value: amount, currency, expiresAt: expiry, maxUses: 1, purchaserEmail, recipientName, description: description || 'Gift voucher' });
+}
+
+// Look up a code and check it can be used for this booking. Returns
+// { promo } or { error }. `skipUsage` re-checks a code already redeemed by the booking.
+export async function resolvePromo(code, { program, currency, email, now = new Date(), skipUsage = false }) {
+  const promo = await getPromoByCode(code);
+  const today = now.toISOString().slice(0, 10);
+
+  if (!promo || !promo.active) return { error: 'That code isn\'t valid' };
+  if (promo.startsAt && today < promo.startsAt) return { error: 'That code isn\'t active yet' };
+  if (promo.expiresAt && today > promo.expiresAt) return { error: 'That code has expired' };
+  if (promo.programs && !promo.programs.includes(program)) return { error: 'That code can\'t be used for this program' };
+  if (promo.discountType === 'fixed' && promo.currency && promo.currency !== currency) return { error: `That code can only be used for bookings in ${promo.currency}` };
+
+  if (!skipUsage) {
+    if (promo.maxUses != null && promo.usesCount >= promo.maxUses) return { error: promo.kind === 'voucher' ? 'That voucher has already been used' : 'That code has reached its usage limit' };
+    if (promo.maxUsesPerEmail != null && email) {
+      const { count } = await get('SELECT COUNT(*) AS count FROM promo_redemptions WHERE promoId = ? AND lower(email) = lower(?)', [promo.id, email]);
+      if (count >= promo.maxUsesPerEmail) return { error: 'You have already used that code' };
+    }
+  }
+  return { promo };
+}
+
+// Claim one use of a code before the booking is saved. Returns the redemption
+// id, or null when the code ran out in the meantime.
+export async function redeemPromo(promo, { email, amount, currency }) {
+  const { changes } = await run(
+    'UPDATE promo_codes SET usesCount = usesCount + 1 WHERE id = ? AND active = 1 AND (maxUses IS NULL OR usesCount < maxUses)',
+    [promo.id]
+  );
+  if (changes === 0) return null;
+
+  const { id } = await run(
+    'INSERT INTO promo_redemptions (promoId, email, amount, currency, createdAt) VALUES (?, ?, ?, ?, ?)',
+    [promo.id, email, amount, currency, new Date().toISOString()]
+  );
+  return id;
+}
+
+export async function attachRedemption(redemptionId, bookingId) {
+  await run('UPDATE promo_redemptions SET bookingId = ? WHERE id = ?', [bookingId, redemptionId]);
+}
+
+// Give a use back when the booking it was claimed for couldn't be saved
+export async function releaseRedemption(redemptionId) {
+  const redemption = await get('SELECT * FROM promo_redemptions WHERE id = ?', [redemptionId]);
+  if (!redemption) return;
+  await run('UPDATE promo_codes SET usesCount = MAX(usesCount - 1, 0) WHERE id = ?', [redemption.promoId]);
+  await run('DELETE FROM promo_redemptions WHERE id = ?', [redemptionId]);
+}
+
+// What a customer is told about a code they entered
+export function toPublicPromo(promo) {
+  const { code, kind, discountType, value, currency, description, expiresAt } = promo;
+  return { code, kind, discountType, value, currency, description, expiresAt };
+}
@@ -0,0 +1,164 @@
+// lib/reports.js - reports for the staff dashboard (GET /api/admin/reports/*)
+//
+// Each report is a table - { columns: [{ key, label, type }], rows } - grouped
+// by month and limited to an inclusive date range, so server.js can hand the
+// same result out as JSON, CSV or XLSX (lib/spreadsheet.js). Bookings count
+// under the day they were made (`basis: 'booked'`, Nairobi time) or the day the
+// program runs (`basis: 'program'`). This replaces the formulas kept in the
+// Google Sheet the webhook feeds.
+import { all } from '../database.js';
+import { getProgram } from './catalog.js';
+import { topicLabel } from './tickets.js';
+
+export const REPORT_BASES = ['booked', 'program'];
+
+// A contact counts as converted when the same email books within this many days
+export const CONVERSION_WINDOW_DAYS = Number(process.env.REPORT_CONVERSION_WINDOW_DAYS) || 90;
+
+// Stored timestamps are UTC; reports count days in Kenya (UTC+3 all year)
+const localDate = (column) => `date(${column}, '+3 hours')`;
+const bookingDay = (basis) => (basis === 'program' ? 'date' : localDate('createdAt'));
+
+const percent = (part, whole) => (whole ? Math.round((part / whole) * 1000) / 10 : 0);
+const money = (amount) => Math.round((amount || 0) * 100) / 100;
+const programName = (slug) => getProgram(slug)?.name || slug;
+
+const MONTH = { key: 'month', label: 'Month', type: 'text' };
+const PROGRAM = [{ key: 'program', label: 'Program', type: 'text' }, { key: 'programName', label: 'Program name', type: 'text' }];
+
+async function bookingsByProgram({ from, to, basis }) {
+  const day = bookingDay(basis);
+  const rows = await all(
+    `SELECT substr(${day}, 1, 7) AS month, program, COUNT(*) AS bookings,
+       SUM(status = 'pending') AS pending,
+       SUM(status IN ('confirmed', 'paid', 'completed')) AS confirmed,
+       SUM(status = 'cancelled') AS cancelled
+     FROM bookings WHERE ${day} BETWEEN ? AND ?
+     GROUP BY month, program ORDER BY month, program`,
+    [from, to]
+  );
+  return rows.map(row => ({ ...row, programName: programName(row.program) }));
+}
+
+// What was booked (by the report basis) next to what was actually paid (by
+// payment date) - a booking and its payments can fall in different months
+async function revenueByCurrency({ from, to, basis }) {
+  const day = bookingDay(basis);
+  const paidDay = localDate('updatedAt');
+  // Bookings made before multi-currency pricing were all quoted in USD
+  const booked = await all(
+    `SELECT substr(${day}, 1, 7) AS month, COALESCE(currency, 'USD') AS currency,
+       SUM(status != 'cancelled') AS bookings,
+       SUM(CASE WHEN status != 'cancelled' THEN totalPrice ELSE 0 END) AS bookedValue,
+       SUM(CASE WHEN status = 'cancelled' THEN totalPrice * COALESCE(refundPercent, 0) / 100.0 ELSE 0 END) AS refundsDue
+     FROM bookings WHERE totalPrice IS NOT NULL AND ${day} BETWEEN ? AND ?
+     GROUP BY month, currency`,
+    [from, to]
+  );
+  const paid = await all(
+    `SELECT substr(${paidDay}, 1, 7) AS month, currency, COUNT(*) AS payments, SUM(amount) AS received
+     FROM payments WHERE status = 'succeeded' AND ${paidDay} BETWEEN ? AND ?
+     GROUP BY month, currency`,
+    [from, to]
+  );
+
+  const rows = new Map();
+  const row = (month, currency) => {
+    const key = `${month}|${currency}`;
+    if (!rows.has(key)) rows.set(key, { month, currency, bookings: 0, bookedValue: 0, payments: 0, received: 0, refundsDue: 0 });
+    return rows.get(key);
+  };
+  booked.forEach(b => Object.assign(row(b.month, b.currency), { bookings: b.bookings, bookedValue: money(b.bookedValue), refundsDue: money(b.refundsDue) }));
+  paid.forEach(p => Object.assign(row(p.month, p.currency), { payments: p.payments, received: money(p.received) }));
+  return [...rows.values()].sort((a, b) => a.month.localeCompare(b.month) || a.currency.localeCompare(b.currency));
+}
+
+async function participants({ from, to, basis }) {
+  const day = bookingDay(basis);
+  const rows = await all(
+    `SELECT substr(${day}, 1, 7) AS month, program, COUNT(*) AS bookings,
+       SUM(participants) AS participants, SUM(COALESCE(children, 0)) AS children
+     FROM bookings WHERE status != 'cancelled' AND ${day} BETWEEN ? AND ?
+     GROUP BY month, program ORDER BY month, program`,
+    [from, to]
+  );
+  return rows.map(row => ({ ...row, programName: programName(row.program), adults: row.participants - row.children }));
+}
+
+// Contact form messages (spam and replies about existing bookings left out)
+// and how many of their senders went on to book
+async function contactConversion({ from, to }) {
+  const day = localDate('c.createdAt');
+  const rows = await all(
+    `SELECT substr(${day}, 1, 7) AS month, c.subject AS topic, COUNT(*) AS contacts,
+       SUM(EXISTS (
+         SELECT 1 FROM bookings b WHERE b.email = c.email COLLATE NOCASE
+           AND datetime(b.createdAt) >= datetime(c.createdAt)
+           AND datetime(b.createdAt) <= datetime(c.createdAt, '+${CONVERSION_WINDOW_DAYS} days')
+       )) AS converted
+     FROM contacts c WHERE c.status != 'quarantined' AND c.bookingId IS NULL AND ${day} BETWEEN ? AND ?
+     GROUP BY month, topic ORDER BY month, topic`,
+    [from, to]
+  );
+  return rows.map(row => ({ ...row, topicName: topicLabel(row.topic), conversionRate: percent(row.converted, row.contacts) }));
+}
+
+async function cancellations({ from, to, basis }) {
+  const day = bookingDay(basis);
+  const rows = await all(
+    `SELECT substr(${day}, 1, 7) AS month, program, COUNT(*) AS bookings,
+       SUM(status = 'cancelled') AS cancelled,
+       AVG(CASE WHEN status = 'cancelled' AND cancelledAt IS NOT NULL THEN julianday(date) - julianday(${localDate('cancelledAt')}) END) AS noticeDays
+     FROM bookings WHERE ${day} BETWEEN ? AND ?
+     GROUP BY month, program ORDER BY month, program`,
+    [from, to]
+  );
+  return rows.map(row => ({
+    ...row,
+    programName: programName(row.program),
+    cancellationRate: percent(row.cancelled, row.bookings),
+    noticeDays: row.noticeDays == null ? null : Math.round(row.noticeDays * 10) / 10
+  }));
+}
+
+// name -> { title, description, columns, run(range) }
+export const REPORTS = {
+  'bookings-by-program': {
+    title: 'Bookings per program',
+    description: 'Bookings per program and month, by status',
+    columns: [MONTH, ...PROGRAM, { key: 'bookings', label: 'Bookings', type: 'number' }, { key: 'pending', label: 'Pending', type: 'number' }, { key: 'confirmed', label: 'Confirmed, paid or completed', type: 'number' }, { key: 'cancelled', label: 'Cancelled', type: 'number' }],
+    run: bookingsByProgram
+  },
+  revenue: {
+    title: 'Revenue by currency',
+    description: 'Value booked, payments received and refunds due per month and currency',
+    columns: [MONTH, { key: 'currency', label: 'Currency', type: 'text' }, { key: 'bookings', label: 'Bookings', type: 'number' }, { key: 'bookedValue', label: 'Booked value', type: 'number' }, { key: 'payments', label: 'Payments', type: 'number' }, { key: 'received', label: 'Received', type: 'number' }, { key: 'refundsDue', label: 'Refunds due', type: 'number' }],
+    run: revenueByCurrency
+  },
+  participants: {
+    title: 'Participants',
+    description: 'Guests per program and month, excluding cancelled bookings',
+    columns: [MONTH, ...PROGRAM, { key: 'bookings', label: 'Bookings', type: 'number' }, { key: 'participants', label: 'Participants', type: 'number' }, { key: 'adults', label: 'Adults', type: 'number' }, { key: 'children', label: 'Children', type: 'number' }],
+    run: participants
+  },
+  conversion: {
+    title: 'Contact to booking conversion',
+    description: `Contact form messages per topic and month, and how many senders booked within ${CONVERSION_WINDOW_DAYS} days`,
+    columns: [MONTH, { key: 'topic', label: 'Topic', type: 'text' }, { key: 'topicName', label: 'Topic name', type: 'text' }, { key: 'contacts', label: 'Messages', type: 'number' }, { key: 'converted', label: 'Went on to book', type: 'number' }, { key: 'conversionRate', label: 'Conversion rate (%)', type: 'number' }],
+    run: contactConversion
+  },
+  cancellations: {
+    title: 'Cancellations',
+    description: 'Cancellation rate per program and month, with the average notice given',
+    columns: [MONTH, ...PROGRAM, { key: 'bookings', label: 'Bookings', type: 'number' }, { key: 'cancelled', label: 'Cancelled', type: 'number' }, { key: 'cancellationRate', label: 'Cancellation rate (%)', type: 'number' }, { key: 'noticeDays', label: 'Average notice (days)', type: 'number' }],
+    run: cancellations
+  }
+};
+
+// range: { from, to } as YYYY-MM-DD (inclusive) plus `basis`. Null for an unknown report.
+export async function runReport(name, { from, to, basis = 'booked' }) {
+  const report = REPORTS[name];
+  if (!report) return null;
+  const rows = await report.run({ from, to, basis });
+  return { name, title: report.title, from, to, basis, columns: report.columns, rows };
+}
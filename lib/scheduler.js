@@ -0,0 +1,193 @@
+// lib/scheduler.js - reminders, feedback follow-ups and payment nudges
+//
+// Each booking gets at most one row per message kind in scheduled_messages
+// (UNIQUE bookingId + kind), so planning is idempotent and survives restarts.
+// A due row is claimed ('scheduled' -> 'sending') before it is handed to the
+// sender, so two workers - or a redeploy mid-run - can never send it twice.
+// Whether a message still makes sense (cancelled? already paid?) is decided
+// at send time, not when it was planned.
+import { run, get, all } from '../database.js';
+import { getProgram } from './catalog.js';
+import { addDays } from './dates.js';
+
+// A whole hour 0-23, or the default when unset or out of range
+function hourOfDay(value, fallback) {
+  const hour = Number(value);
+  return value != null && value !== '' && Number.isInteger(hour) && hour >= 0 && hour <= 23 ? hour : fallback;
+}
+
+const config = {
+  // Local hour (Nairobi, UTC+3 all year) messages go out at
+  sendHour: hourOfDay(process.env.SCHEDULER_SEND_HOUR, 9),
+  // First payment nudge this long after a pay-later booking is made
+  firstNudgeHours: Number(process.env.PAYMENT_NUDGE_HOURS) || 48,
+  // Final nudge this many days before the program
+  finalNudgeDays: Number(process.env.PAYMENT_FINAL_NUDGE_DAYS) || 14,
+  batchSize: 50
+};
+
+const NAIROBI_OFFSET_HOURS = 3;
+
+export const MESSAGE_KINDS = ['reminder-7d', 'reminder-1d', 'feedback', 'payment-due', 'payment-final'];
+
+const UNPAID_STATUSES = ['pending', 'confirmed'];
+
+// Overridable for tests: runDue() and planning use this unless given `now`
+let clock = () => new Date();
+let timer = null;
+let running = null;
+
+export function setClock(fn) {
+  clock = fn || (() => new Date());
+}
+
+// `date` (YYYY-MM-DD) at the configured hour in Nairobi, as a Date
+function at(date, hour = config.sendHour) {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day, hour - NAIROBI_OFFSET_HOURS));
+}
+
+const createdAtDate = (booking) => new Date(`${String(booking.createdAt).replace(' ', 'T')}${/Z$/.test(booking.createdAt) ? '' : 'Z'}`);
+
+// The messages a booking should get, keyed by kind -> send time
+export function planFor(booking) {
+  const program = getProgram(booking.program);
+  const lastDay = addDays(booking.date, (program?.days || 1) - 1);
+  const plan = {
+    'reminder-7d': at(addDays(booking.date, -7)),
+    'reminder-1d': at(addDays(booking.date, -1)),
+    feedback: at(addDays(lastDay, 1), config.sendHour + 1)
+  };
+
+  const firstNudge = new Date(createdAtDate(booking).getTime() + config.firstNudgeHours * 3600000);
+  const finalNudge = at(addDays(booking.date, -config.finalNudgeDays));
+  // Nudges only make sense before the 1-day reminder goes out
+  if (firstNudge < plan['reminder-1d']) plan['payment-due'] = firstNudge;
+  if (finalNudge > firstNudge && finalNudge < plan['reminder-1d']) plan['payment-final'] = finalNudge;
+  return plan;
+}
+
+// Create any missing rows for a booking. Times already in the past are
+// skipped, except the feedback follow-up. Safe to call repeatedly.
+export async function scheduleForBooking(booking, { now = clock() } = {}) {
+  if (booking.status === 'cancelled') return 0;
+  let created = 0;
+  for (const [kind, sendAt] of Object.entries(planFor(booking))) {
+    if (sendAt <= now && kind !== 'feedback') continue;
+    const { changes } = await run(
+      'INSERT OR IGNORE INTO scheduled_messages (bookingId, kind, sendAt, createdAt) VALUES (?, ?, ?, ?)',
+      [booking.id, kind, sendAt.toISOString(), now.toISOString()]
+    );
+    created += changes;
+  }
+  return created;
+}
+
+// After a date change: move everything not yet sent to the new plan. A message
+// already sent (or skipped) for the old date goes out again if its time for the
+// new date is still ahead - last week's reminder was about a different day.
+export async function rescheduleBooking(booking, { now = clock() } = {}) {
+  const ahead = Object.entries(planFor(booking)).filter(([, sendAt]) => sendAt > now).map(([kind]) => kind);
+  await run(
+    `DELETE FROM scheduled_messages WHERE bookingId = ?
+     AND (status = 'scheduled' OR (status IN ('sent', 'skipped') AND kind IN (${ahead.map(() => '?').join(', ')})))`,
+    [booking.id, ...ahead]
+  );
+  return scheduleForBooking(booking, { now });
+}
+
+// Plan messages for every booking that could still need one (startup backfill)
+export async function scheduleUpcoming({ now = clock() } = {}) {
+  const bookings = await all("SELECT * FROM bookings WHERE status != 'cancelled' AND date >= ?", [addDays(now.toISOString().slice(0, 10), -7)]);
+  let created = 0;
+  for (const booking of bookings) created += await scheduleForBooking(booking, { now });
+  return created;
+}
+
+// null if the message should go out, otherwise why not
+export function skipReason(kind, booking, now) {
+  if (!booking) return 'booking deleted';
+  if (booking.status === 'cancelled') return 'booking cancelled';
+  if (kind === 'reminder-7d' || kind === 'reminder-1d') {
+    if (booking.date < now.toISOString().slice(0, 10)) return 'program already started';
+  }
+  if (kind === 'feedback' && !['confirmed', 'paid', 'completed'].includes(booking.status)) return `booking ${booking.status}`;
+  if (kind === 'payment-due' || kind === 'payment-final') {
+    if (!UNPAID_STATUSES.includes(booking.status)) return `booking ${booking.status}`;
+  }
+  return null;
+}
+
+// Send everything due. `send(kind, booking)` queues the message and returns
+// the outbox id, or null when there's no channel to reach the customer on -
+// that row is skipped for good rather than retried. Only one run at a time.
+export function runDue({ now = clock(), send }) {
+  if (running) return running;
+  running = (async () => {
+    try {
+      const rows = await all(
+        "SELECT * FROM scheduled_messages WHERE status = 'scheduled' AND sendAt <= ? ORDER BY sendAt LIMIT ?",
+        [now.toISOString(), config.batchSize]
+      );
+      const result = { sent: 0, skipped: 0 };
+      for (const row of rows) {
+        const { changes } = await run(
+          "UPDATE scheduled_messages SET status = 'sending', claimedAt = ? WHERE id = ? AND status = 'scheduled'",
+          [now.toISOString(), row.id]
+        );
+        if (changes === 0) continue; // someone else got it
+
+        const booking = await get('SELECT * FROM bookings WHERE id = ?', [row.bookingId]);
+        const reason = skipReason(row.kind, booking, now);
+        if (reason) {
+          await run("UPDATE scheduled_messages SET status = 'skipped', skipReason = ? WHERE id = ?", [reason, row.id]);
+          result.skipped++;
+          continue;
+        }
+        let outboxId;
+        try {
+          outboxId = await send(row.kind, booking);
+        } catch (err) {
+          // Nothing was queued, so it's safe to try again on the next run
+          await run("UPDATE scheduled_messages SET status = 'scheduled', claimedAt = NULL WHERE id = ?", [row.id]);
+          console.error(`❌ Scheduled ${row.kind} for booking #${row.bookingId} failed:`, err.message);
+          continue;
+        }
+        if (outboxId == null) {
+          await run("UPDATE scheduled_messages SET status = 'skipped', skipReason = ? WHERE id = ?", ['no channel to reach customer', row.id]);
+          result.skipped++;
+          continue;
+        }
+        // If this update fails the row stays 'sending' - better than a repeat
+        await run("UPDATE scheduled_messages SET status = 'sent', outboxId = ? WHERE id = ?", [outboxId, row.id]);
+        result.sent++;
+      }
+      return result;
+    } finally {
+      running = null;
+    }
+  })();
+  return running;
+}
+
+export function startScheduler({ send, intervalMs = 5 * 60 * 1000 }) {
+  if (timer) return;
+  const tick = () => runDue({ send }).catch(err => console.error('Scheduler run failed:', err.message));
+  timer = setInterval(tick, intervalMs);
+  timer.unref();
+  tick();
+}
+
+export function stopScheduler() {
+  clearInterval(timer);
+  timer = null;
+}
+
+export function listScheduled(bookingId) {
+  return all('SELECT * FROM scheduled_messages WHERE bookingId = ? ORDER BY sendAt', [bookingId]);
+}
+
+export async function schedulerStats() {
+  const rows = await all('SELECT status, COUNT(*) AS count FROM scheduled_messages GROUP BY status');
+  return Object.fromEntries(rows.map(r => [r.status, r.count]));
+}
@@ -0,0 +1,45 @@
+// lib/sms.js - Africa's Talking SMS client
+//
+// AT_USERNAME=sandbox talks to the sandbox API (messages show up in the AT
+// simulator, nothing is charged); any other username uses the live API.
+// AT_BASE_URL overrides both - point it at scripts/mock-messaging.js to run
+// locally.
+import fetch from 'node-fetch';
+
+const config = {
+  username: process.env.AT_USERNAME,
+  apiKey: process.env.AT_API_KEY,
+  // Registered alphanumeric sender ID (e.g. OFFMIND). Without one AT uses its shared shortcode.
+  senderId: process.env.AT_SENDER_ID,
+  timeoutMs: 15 * 1000
+};
+config.baseUrl = (process.env.AT_BASE_URL || (config.username === 'sandbox' ? 'https://api.sandbox.africastalking.com' : 'https://api.africastalking.com')).replace(/\/$/, '');
+
+// AT recipient status codes: 100 processed, 101 sent, 102 queued
+const ACCEPTED_STATUS_CODES = [100, 101, 102];
+
+export function isSmsConfigured() {
+  return !!(config.username && config.apiKey);
+}
+
+// { to: E.164 number, message } -> { messageId, cost }. Throws unless AT accepted it.
+export async function sendSms({ to, message }) {
+  if (!isSmsConfigured()) throw new Error('SMS not configured');
+
+  const body = new URLSearchParams({ username: config.username, to, message });
+  if (config.senderId) body.set('from', config.senderId);
+  const response = await fetch(`${config.baseUrl}/version1/messaging`, {
+    method: 'POST',
+    headers: { apiKey: config.apiKey, Accept: 'application/json', 'Content-Type': 'application/x-www-form-urlencoded' },
+    body,
+    signal: AbortSignal.timeout(config.timeoutMs)
+  });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) throw new Error(`Africa's Talking responded ${response.status}`);
+
+  const recipient = data.SMSMessageData?.Recipients?.[0];
+  if (!recipient || !ACCEPTED_STATUS_CODES.includes(Number(recipient.statusCode))) {
+    throw new Error(`SMS to ${to} not accepted: ${recipient?.status || data.SMSMessageData?.Message || 'no recipients'}`);
+  }
+  return { messageId: recipient.messageId, cost: recipient.cost };
+}
@@ -0,0 +1,164 @@
+// lib/spam.js - bot and spam checks for the public forms
+//
+// Layers, cheapest first:
+//   1. a honeypot input people never see, so only bots fill it in
+//   2. a signed form token fetched when the page loads - submitting faster
+//      than a person could type, or without a token at all, counts against you
+//   3. an optional CAPTCHA (Turnstile, hCaptcha, reCAPTCHA or a local stub)
+//   4. for contact messages, a content score (links, spam phrases, shouting)
+// screenSubmission() adds the signals up; server.js decides what a score means
+// for each form (reject a booking, quarantine a message).
+import crypto from 'crypto';
+import fetch from 'node-fetch';
+
+const config = {
+  // Without a fixed secret, tokens stop verifying on every restart - visitors
+  // are then asked to reload the form, nothing worse
+  tokenSecret: process.env.FORM_TOKEN_SECRET || crypto.randomBytes(32).toString('hex'),
+  minSubmitSeconds: Number(process.env.FORM_MIN_SUBMIT_SECONDS) || 3,
+  tokenTtlHours: Number(process.env.FORM_TOKEN_TTL_HOURS) || 24,
+  captchaProvider: (process.env.CAPTCHA_PROVIDER || '').toLowerCase(),
+  captchaSiteKey: process.env.CAPTCHA_SITE_KEY,
+  captchaSecret: process.env.CAPTCHA_SECRET,
+  // Score at which a submission is treated as spam
+  threshold: Number(process.env.SPAM_SCORE_THRESHOLD) || 3,
+  timeoutMs: 10 * 1000
+};
+
+export const FORMS = ['contact', 'booking'];
+
+// Name of the honeypot input. Looks like something worth filling in.
+export const HONEYPOT_FIELD = 'website';
+
+// Providers share the same siteverify protocol: POST secret + response (+ remoteip).
+// `sources` are the origins its widget loads scripts and frames from.
+const CAPTCHA_PROVIDERS = {
+  turnstile: { verifyUrl: 'https://challenges.cloudflare.com/turnstile/v0/siteverify', field: 'cf-turnstile-response', sources: ['https://challenges.cloudflare.com'] },
+  hcaptcha: { verifyUrl: 'https://api.hcaptcha.com/siteverify', field: 'h-captcha-response', sources: ['https://hcaptcha.com', 'https://*.hcaptcha.com'] },
+  recaptcha: { verifyUrl: 'https://www.google.com/recaptcha/api/siteverify', field: 'g-recaptcha-response', sources: ['https://www.google.com', 'https://www.gstatic.com'] },
+  // Local development and tests: accepts exactly the token 'pass', no network
+  stub: { field: 'captchaToken' }
+};
+
+// Fields that change every time the form is sent, even when nothing else does
+export const SCREENING_FIELDS = ['formToken', 'captchaToken', ...Object.values(CAPTCHA_PROVIDERS).map(provider => provider.field)];
+
+export function captchaProvider() {
+  const provider = CAPTCHA_PROVIDERS[config.captchaProvider];
+  if (!provider) return null;
+  if (config.captchaProvider !== 'stub' && !(config.captchaSiteKey && config.captchaSecret)) return null;
+  return { name: config.captchaProvider, ...provider };
+}
+
+// What the browser needs to render the widget (null when CAPTCHA is off)
+export function captchaConfig() {
+  const provider = captchaProvider();
+  return provider ? { provider: provider.name, siteKey: config.captchaSiteKey || null, field: provider.field } : null;
+}
+
+// Extra script/frame origins for the CSP when a hosted CAPTCHA is on
+export function captchaSources() {
+  const provider = captchaProvider();
+  return provider?.sources || [];
+}
+
+// ===== FORM TOKENS =====
+const sign = (payload) => crypto.createHmac('sha256', config.tokenSecret).update(payload).digest('base64url');
+
+// <form>.<issued at, ms>.<signature>
+export function issueFormToken(form, now = Date.now()) {
+  const payload = `${form}.${now}`;
+  return `${payload}.${sign(payload)}`;
+}
+
+// -> null when fine, otherwise 'missing' | 'invalid' | 'expired' | 'too-fast'
+export function checkFormToken(token, form, now = Date.now()) {
+  if (!token) return 'missing';
+  const [tokenForm, issuedAt, signature] = String(token).split('.');
+  const expected = sign(`${tokenForm}.${issuedAt}`);
+  const valid = signature && signature.length === expected.length && crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+  // An unverifiable token is most often one issued before a restart
+  if (!valid) return 'expired';
+  if (tokenForm !== form) return 'invalid';
+
+  const age = now - Number(issuedAt);
+  if (age > config.tokenTtlHours * 3600000) return 'expired';
+  if (age < config.minSubmitSeconds * 1000) return 'too-fast';
+  return null;
+}
+
+// ===== CAPTCHA =====
+// -> null when passed (or CAPTCHA is off), otherwise why not
+export async function verifyCaptcha(body, ip) {
+  const provider = captchaProvider();
+  if (!provider) return null;
+
+  const response = body[provider.field] || body.captchaToken;
+  if (!response) return 'missing';
+  if (provider.name === 'stub') return response === 'pass' ? null : 'failed';
+
+  try {
+    const result = await fetch(provider.verifyUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({ secret: config.captchaSecret, response, ...(ip ? { remoteip: ip } : {}) }),
+      signal: AbortSignal.timeout(config.timeoutMs)
+    });
+    const data = await result.json().catch(() => ({}));
+    return data.success ? null : 'failed';
+  } catch (err) {
+    // Provider down: let the other layers decide rather than block everyone
+    console.warn('⚠️ CAPTCHA verification unavailable:', err.message);
+    return null;
+  }
+}
+
+// ===== CONTENT =====
+const SPAM_PHRASES = [
+  /\bcrypto(currency)?\b/i, /\bbitcoin\b/i, /\bforex\b/i, /\bcasino\b/i, /\bviagra\b/i, /\bcialis\b/i,
+  /\bSEO (services|agency|ranking)\b/i, /\bbacklinks?\b/i, /\bguest post/i, /\bfirst page of google\b/i,
+  /\bloan offer\b/i, /\binvestment opportunity\b/i, /\bclick here\b/i, /\bunsubscribe\b/i
+];
+const SHORTENERS = /\b(bit\.ly|tinyurl\.com|t\.co|goo\.gl|ow\.ly|is\.gd|cutt\.ly)\//i;
+
+// -> [reasons] with a weight each, for free text someone typed
+export function contentSignals(text) {
+  const value = String(text || '');
+  const signals = [];
+  const links = (value.match(/https?:\/\/|www\./gi) || []).length;
+  if (links > 2) signals.push(['many-links', 2]);
+  else if (links > 0) signals.push(['links', 1]);
+  if (SHORTENERS.test(value)) signals.push(['link-shortener', 2]);
+  if (/\[url=|<a\s+href=/i.test(value)) signals.push(['link-markup', 3]);
+
+  const phrases = SPAM_PHRASES.filter(pattern => pattern.test(value)).length;
+  if (phrases) signals.push(['spam-phrases', Math.min(phrases, 3)]);
+
+  const letters = value.replace(/[^a-z]/gi, '');
+  if (letters.length >= 20 && letters.replace(/[^A-Z]/g, '').length / letters.length > 0.7) signals.push(['shouting', 1]);
+  return signals;
+}
+
+// ===== PUTTING IT TOGETHER =====
+const TOKEN_WEIGHTS = { missing: 2, invalid: 5, 'too-fast': 3 };
+
+// -> { score, reasons, spam, expired, captcha }
+//   expired: the form token is stale - ask the visitor to reload, don't score it
+//   captcha: why the CAPTCHA failed (the visitor can retry), or null
+export async function screenSubmission(form, body = {}, { ip, text, now = Date.now() } = {}) {
+  const signals = [];
+  if (String(body[HONEYPOT_FIELD] || '').trim()) signals.push(['honeypot', 5]);
+
+  const token = checkFormToken(body.formToken, form, now);
+  if (token && token !== 'expired') signals.push([`token-${token}`, TOKEN_WEIGHTS[token]]);
+  if (text != null) signals.push(...contentSignals(text));
+
+  const score = signals.reduce((sum, [, weight]) => sum + weight, 0);
+  return {
+    score,
+    reasons: signals.map(([reason]) => reason),
+    spam: score >= config.threshold,
+    expired: token === 'expired',
+    captcha: await verifyCaptcha(body, ip)
+  };
+}
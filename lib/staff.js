@@ -0,0 +1,108 @@
+// lib/staff.js - staff accounts, password login and dashboard sessions
+//
+// Passwords are scrypt hashes ("scrypt$<salt>$<hash>"); session tokens are
+// random and only their SHA-256 is stored, so a leaked database can't be
+// replayed as a login.
+import crypto from 'crypto';
+import { promisify } from 'util';
+import { run, get, all } from '../database.js';
+
+const scrypt = promisify(crypto.scrypt);
+
+// Each role can do everything the roles before it can
+export const STAFF_ROLES = ['viewer', 'staff', 'admin'];
+
+export const SESSION_TTL_HOURS = Number(process.env.STAFF_SESSION_TTL_HOURS) || 12;
+
+export function hasRole(user, role) {
+  return STAFF_ROLES.indexOf(user?.role) >= STAFF_ROLES.indexOf(role);
+}
+
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = await scrypt(password, salt, 64);
+  return `scrypt$${salt}$${hash.toString('hex')}`;
+}
+
+export async function verifyPassword(password, stored) {
+  const [scheme, salt, expected] = String(stored).split('$');
+  if (scheme !== 'scrypt' || !salt || !expected) return false;
+  const hash = await scrypt(String(password), salt, 64);
+  return crypto.timingSafeEqual(hash, Buffer.from(expected, 'hex'));
+}
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Without the password hash - safe to send to the dashboard
+export function toPublicStaff(user) {
+  const { id, email, name, role, active, lastLoginAt, createdAt } = user;
+  return { id, email, name, role, active: !!active, lastLoginAt, createdAt };
+}
+
+export async function createStaffUser({ email, name, role = 'staff', password }) {
+  const { id } = await run(
+    'INSERT INTO staff_users (email, name, role, passwordHash) VALUES (?, ?, ?, ?)',
+    [String(email).trim().toLowerCase(), name, role, await hashPassword(password)]
+  );
+  return getStaffUser(id);
+}
+
+export function getStaffUser(id) {
+  return get('SELECT * FROM staff_users WHERE id = ?', [id]);
+}
+
+export function getStaffUserByEmail(email) {
+  return get('SELECT * FROM staff_users WHERE email = ?', [String(email || '').trim().toLowerCase()]);
+}
+
+export function listStaffUsers() {
+  return all('SELECT * FROM staff_users ORDER BY name');
+}
+
+export async function countStaffUsers() {
+  const { count } = await get('SELECT COUNT(*) AS count FROM staff_users');
+  return count;
+}
+
+export async function updateStaffUser(id, { role, active, password, name }) {
+  if (role !== undefined) await run('UPDATE staff_users SET role = ? WHERE id = ?', [role, id]);
+  if (name !== undefined) await run('UPDATE staff_users SET name = ? WHERE id = ?', [name, id]);
+  if (password !== undefined) await run('UPDATE staff_users SET passwordHash = ? WHERE id = ?', [await hashPassword(password), id]);
+  if (active !== undefined) {
+    await run('UPDATE staff_users SET active = ? WHERE id = ?', [active ? 1 : 0, id]);
+    // Deactivating someone signs them out everywhere
+    if (!active) await run('DELETE FROM staff_sessions WHERE userId = ?', [id]);
+  }
+  return getStaffUser(id);
+}
+
+// Returns { user, token } or null. Unknown email and wrong password look the same.
+export async function login(email, password) {
+  const user = await get('SELECT * FROM staff_users WHERE email = ? AND active = 1', [String(email || '').trim().toLowerCase()]);
+  if (!user || !(await verifyPassword(password || '', user.passwordHash))) return null;
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  const now = new Date();
+  await run(
+    'INSERT INTO staff_sessions (tokenHash, userId, expiresAt, createdAt) VALUES (?, ?, ?, ?)',
+    [hashToken(token), user.id, new Date(now.getTime() + SESSION_TTL_HOURS * 3600000).toISOString(), now.toISOString()]
+  );
+  await run('UPDATE staff_users SET lastLoginAt = ? WHERE id = ?', [now.toISOString(), user.id]);
+  // Opportunistic cleanup of sessions nobody will use again
+  await run('DELETE FROM staff_sessions WHERE expiresAt < ?', [now.toISOString()]);
+  return { user, token };
+}
+
+// The active staff member a session token belongs to, or null
+export async function userForSession(token) {
+  if (!token) return null;
+  return get(
+    `SELECT u.* FROM staff_sessions s JOIN staff_users u ON u.id = s.userId
+     WHERE s.tokenHash = ? AND s.expiresAt > ? AND u.active = 1`,
+    [hashToken(token), new Date().toISOString()]
+  );
+}
+
+export async function logout(token) {
+  if (token) await run('DELETE FROM staff_sessions WHERE tokenHash = ?', [hashToken(token)]);
+}
@@ -0,0 +1,115 @@
+// lib/stripe.js - card payments through a Stripe-style hosted checkout
+//
+// Talks to the REST API directly (no SDK). STRIPE_API_BASE can point at a
+// local stand-in; webhooks are verified with STRIPE_WEBHOOK_SECRET.
+import crypto from 'crypto';
+import fetch from 'node-fetch';
+
+const config = {
+  apiBase: (process.env.STRIPE_API_BASE || 'https://api.stripe.com').replace(/\/$/, ''),
+  secretKey: process.env.STRIPE_SECRET_KEY,
+  webhookSecret: process.env.STRIPE_WEBHOOK_SECRET,
+  // How old a signed webhook may be before it's treated as a replay
+  toleranceSeconds: 5 * 60,
+  timeoutMs: 15 * 1000
+};
+
+// Currencies Stripe charges in whole units rather than cents
+const ZERO_DECIMAL = ['JPY', 'KRW', 'UGX', 'RWF'];
+
+export function isCardConfigured() {
+  return !!(config.secretKey && config.webhookSecret);
+}
+
+export function toMinorUnits(amount, currency) {
+  return Math.round(ZERO_DECIMAL.includes(currency.toUpperCase()) ? amount : amount * 100);
+}
+
+// Flatten nested params into Stripe's form encoding: line_items[0][price_data][currency]=usd
+function formEncode(params, prefix = '', out = new URLSearchParams()) {
+  for (const [key, value] of Object.entries(params)) {
+    if (value == null) continue;
+    const name = prefix ? `${prefix}[${key}]` : key;
+    if (typeof value === 'object') formEncode(value, name, out);
+    else out.append(name, String(value));
+  }
+  return out;
+}
+
+export async function createCheckoutSession({ payment, booking, productName, successUrl, cancelUrl }) {
+  const response = await fetch(`${config.apiBase}/v1/checkout/sessions`, {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${config.secretKey}`,
+      'Content-Type': 'application/x-www-form-urlencoded',
+      // Retrying the same payment row never creates a second session
+      'Idempotency-Key': `payment-${payment.id}`
+    },
+    body: formEncode({
+      mode: 'payment',
+      success_url: successUrl,
+      cancel_url: cancelUrl,
+      customer_email: booking.email,
+      client_reference_id: booking.reference,
+      metadata: { paymentId: payment.id, bookingReference: booking.reference },
+      line_items: [{
+        quantity: 1,
+        price_data: {
+          currency: payment.currency.toLowerCase(),
+          unit_amount: toMinorUnits(payment.amount, payment.currency),
+          product_data: { name: productName }
+        }
+      }]
+    }),
+    signal: AbortSignal.timeout(config.timeoutMs)
+  });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) throw new Error(data.error?.message || `Checkout request failed (${response.status})`);
+  return { id: data.id, url: data.url };
+}
+
+// Check a Stripe-Signature header ("t=<ts>,v1=<hex>[,v1=...]") against the raw body.
+// Returns the parsed event, or throws if the signature is missing, wrong or stale.
+export function verifyWebhook(rawBody, signatureHeader, now = Date.now()) {
+  if (!rawBody || !signatureHeader) throw new Error('Missing signature');
+
+  const parts = signatureHeader.split(',').map(p => p.trim().split('='));
+  const timestamp = Number(parts.find(([k]) => k === 't')?.[1]);
+  const signatures = parts.filter(([k]) => k === 'v1').map(([, v]) => v);
+  if (!timestamp || signatures.length === 0) throw new Error('Malformed signature header');
+  if (Math.abs(now / 1000 - timestamp) > config.toleranceSeconds) throw new Error('Signature timestamp outside tolerance');
+
+  const expected = crypto.createHmac('sha256', config.webhookSecret).update(`${timestamp}.${rawBody}`).digest('hex');
+  const valid = signatures.some(sig => sig.length === expected.length && crypto.timingSafeEqual(Buffer.from(sig), Buffer.from(expected)));
+  if (!valid) throw new Error('Signature mismatch');
+
+  return JSON.parse(rawBody.toString('utf8'));
+}
+
+// Map a webhook event to a payment outcome. Returns null for events we ignore.
+export function parseEvent(event) {
+  const session = event?.data?.object;
+  if (!session || session.object !== 'checkout.session') return null;
+
+  const base = {
+    sessionId: session.id,
+    paymentId: Number(session.metadata?.paymentId) || null,
+    amountMinor: session.amount_total,
+    currency: session.currency?.toUpperCase(),
+    receipt: session.payment_intent || null
+  };
+
+  switch (event.type) {
+    case 'checkout.session.completed':
+      // Delayed methods complete unpaid and settle through async_payment_* later
+      return session.payment_status === 'paid' ? { ...base, status: 'succeeded', resultDesc: 'Card payment completed' } : null;
+    case 'checkout.session.async_payment_succeeded':
+      return { ...base, status: 'succeeded', resultDesc: 'Card payment completed' };
+    case 'checkout.session.async_payment_failed':
+      return { ...base, status: 'failed', resultDesc: 'Card payment failed' };
+    case 'checkout.session.expired':
+      return { ...base, status: 'cancelled', resultDesc: 'Checkout expired' };
+    default:
+      return null;
+  }
+}
@@ -0,0 +1,120 @@
+// lib/tickets.js - contact messages as support tickets
+//
+// Each contact topic has a routing rule: which inbox hears about new messages
+// and who they're assigned to. Both come from the environment, e.g.
+//   CONTACT_ROUTE_PARTNERSHIP=partners@bestie.co.ke
+//   CONTACT_ASSIGNEE_PROGRAMS=wanjiru@bestie.co.ke   (a staff account email)
+// Topics without a rule go to the staff inbox, unassigned.
+//
+// Every ticket has a thread id - the Message-ID of the auto-reply - and staff
+// replies go out with In-Reply-To / References pointing back at it, so the
+// customer's mail client keeps the conversation together and their answers
+// come back with the ids we can match (see lib/inbound.js).
+//
+// With INBOUND_EMAIL_ADDRESS set, customer emails also carry a plus-addressed
+// Reply-To naming the ticket or booking - reply+c12.<sig>@, reply+OMI-ABC123.<sig>@ -
+// signed with INBOUND_EMAIL_SECRET so nobody can post into a ticket by guessing.
+import crypto from 'crypto';
+import { CONTACT_SUBJECTS } from '../js/shared/schemas.js';
+
+const config = {
+  siteUrl: (process.env.SITE_URL || 'https://bestie.co.ke').replace(/\/$/, ''),
+  // Right-hand side of the Message-IDs we generate
+  mailDomain: process.env.MAIL_DOMAIN,
+  // Where customers' answers to staff replies should go (defaults to the sender)
+  replyTo: process.env.CONTACT_REPLY_TO || null,
+  // The mailbox the inbound email webhook receives (see POST /api/inbound/email)
+  inboundAddress: (process.env.INBOUND_EMAIL_ADDRESS || '').trim().toLowerCase() || null,
+  inboundSecret: process.env.INBOUND_EMAIL_SECRET
+};
+
+const TOPIC_LABELS = {
+  general: 'General Inquiry',
+  programs: 'Program Information',
+  booking: 'Booking Questions',
+  partnership: 'Partnership Opportunities',
+  feedback: 'Feedback',
+  other: 'Other'
+};
+
+// slug -> { label, routeTo, assignee }, one per topic on the contact form
+export const CONTACT_TOPICS = Object.fromEntries(CONTACT_SUBJECTS.map(slug => [slug, {
+  label: TOPIC_LABELS[slug] || slug,
+  routeTo: process.env[`CONTACT_ROUTE_${slug.toUpperCase()}`] || null,
+  assignee: (process.env[`CONTACT_ASSIGNEE_${slug.toUpperCase()}`] || '').trim().toLowerCase() || null
+}]));
+
+export const topicLabel = (subject) => CONTACT_TOPICS[subject]?.label || subject;
+
+// -> { routeTo, assignee } for a topic; nulls mean the defaults
+export function routeFor(subject) {
+  const { routeTo = null, assignee = null } = CONTACT_TOPICS[subject] || {};
+  return { routeTo, assignee };
+}
+
+// "Program Information [Ticket #12]" - the tag also lets staff find it by subject
+export const ticketSubject = (contact) => `${topicLabel(contact.subject)} [Ticket #${contact.id}]`;
+
+function mailDomain() {
+  if (config.mailDomain) return config.mailDomain;
+  try {
+    return new URL(config.siteUrl).hostname;
+  } catch (err) {
+    return 'bestie.co.ke';
+  }
+}
+
+// A fresh RFC 5322 Message-ID, angle brackets included
+export function newMessageId(contactId) {
+  return `<contact-${contactId}.${crypto.randomBytes(8).toString('hex')}@${mailDomain()}>`;
+}
+
+// Headers that thread a new message under everything already in the conversation
+export function threadHeaders(contact, messages = []) {
+  const ids = [contact.threadId, ...messages.map(m => m.messageId)].filter(Boolean);
+  const replyTo = ticketReplyTo(contact);
+  return {
+    inReplyTo: ids[ids.length - 1] || undefined,
+    references: ids.length ? ids : undefined,
+    ...(replyTo ? { replyTo } : {})
+  };
+}
+
+// ===== REPLY ADDRESSES =====
+const tagSignature = (tag) => crypto.createHmac('sha256', config.inboundSecret).update(tag.toLowerCase()).digest('hex').slice(0, 10);
+
+export const isInboundConfigured = () => !!(config.inboundAddress && config.inboundSecret);
+
+// reply+<tag>.<sig>@domain, or null when inbound email is off
+function replyAddress(tag) {
+  if (!isInboundConfigured()) return null;
+  const [local, domain] = config.inboundAddress.split('@');
+  return `${local}+${tag}.${tagSignature(tag)}@${domain}`;
+}
+
+export const contactReplyAddress = (contact) => replyAddress(`c${contact.id}`);
+export const bookingReplyAddress = (booking) => replyAddress(booking.reference);
+
+// Where a customer's reply about this ticket should go
+export const ticketReplyTo = (contact) => contactReplyAddress(contact) || config.replyTo;
+
+// -> { contactId } | { reference } | null for one of our reply addresses
+export function parseReplyAddress(address) {
+  if (!isInboundConfigured()) return null;
+  const match = String(address || '').trim().toLowerCase().match(/^([^@+\s]+)\+([a-z0-9-]+)\.([a-f0-9]{10})@(\S+)$/);
+  if (!match || `${match[1]}@${match[4]}` !== config.inboundAddress) return null;
+
+  const [, , tag, signature] = match;
+  const expected = tagSignature(tag);
+  if (!crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) return null;
+  if (/^c\d+$/.test(tag)) return { contactId: Number(tag.slice(1)) };
+  return { reference: tag.toUpperCase() };
+}
+
+// Shared secret the mail provider's webhook presents
+export function isValidInboundToken(token) {
+  if (!config.inboundSecret || typeof token !== 'string') return false;
+  const a = Buffer.from(token);
+  const b = Buffer.from(config.inboundSecret);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
@@ -0,0 +1,44 @@
+// lib/whatsapp.js - WhatsApp Business (Cloud API) client
+//
+// Messages we start - confirmations, reminders - must use templates approved
+// in WhatsApp Manager. Free text is only allowed within 24 hours of the
+// customer writing to us, so this client only sends templates.
+//
+// Point WHATSAPP_API_BASE at scripts/mock-messaging.js to run locally.
+import fetch from 'node-fetch';
+
+const config = {
+  baseUrl: (process.env.WHATSAPP_API_BASE || 'https://graph.facebook.com/v19.0').replace(/\/$/, ''),
+  token: process.env.WHATSAPP_TOKEN,
+  phoneNumberId: process.env.WHATSAPP_PHONE_NUMBER_ID,
+  // Must match the language the templates were approved in
+  language: process.env.WHATSAPP_TEMPLATE_LANGUAGE || 'en',
+  timeoutMs: 15 * 1000
+};
+
+export function isWhatsAppConfigured() {
+  return !!(config.token && config.phoneNumberId);
+}
+
+// { to: E.164 number, template, parameters: [body values in order] } -> { messageId }
+export async function sendWhatsAppTemplate({ to, template, parameters = [] }) {
+  if (!isWhatsAppConfigured()) throw new Error('WhatsApp not configured');
+
+  const components = parameters.length
+    ? [{ type: 'body', parameters: parameters.map(text => ({ type: 'text', text: String(text) })) }]
+    : [];
+  const response = await fetch(`${config.baseUrl}/${config.phoneNumberId}/messages`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${config.token}`, 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      messaging_product: 'whatsapp',
+      to: to.replace(/^\+/, ''),
+      type: 'template',
+      template: { name: template, language: { code: config.language }, components }
+    }),
+    signal: AbortSignal.timeout(config.timeoutMs)
+  });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) throw new Error(`WhatsApp responded ${response.status}: ${data.error?.message || 'unknown error'}`);
+  return { messageId: data.messages?.[0]?.id };
+}
@@ -0,0 +1,27 @@
+// scripts/create-staff.js - add a staff account for the /admin dashboard
+//
+// Run:   npm run staff:create -- <email> "<name>" <viewer|staff|admin>
+// The password is read from STAFF_PASSWORD so it doesn't end up in shell history.
+import dotenv from 'dotenv';
+dotenv.config();
+
+import { initDatabase } from '../database.js';
+import { STAFF_ROLES, createStaffUser } from '../lib/staff.js';
+
+const [email, name, role = 'staff'] = process.argv.slice(2);
+const password = process.env.STAFF_PASSWORD;
+
+if (!email || !name || !STAFF_ROLES.includes(role) || !password || password.length < 10) {
+  console.error(`Usage: STAFF_PASSWORD=<10+ chars> npm run staff:create -- <email> "<name>" <${STAFF_ROLES.join('|')}>`);
+  process.exit(1);
+}
+
+await initDatabase();
+try {
+  const user = await createStaffUser({ email, name, role, password });
+  console.log(`✅ Created ${user.role} account for ${user.email}`);
+  process.exit(0);
+} catch (err) {
+  console.error('❌ Could not create account:', err.message);
+  process.exit(1);
+}
@@ -0,0 +1,88 @@
+// scripts/mock-daraja.js - local stand-in for the Safaricom Daraja API
+//
+// Run:   npm run mock:daraja
+// Then start the server with MPESA_BASE_URL=http://localhost:4010 and any
+// values for the other MPESA_* variables. Each STK push is "completed" after
+// MOCK_DARAJA_DELAY_MS and the result is POSTed to the push's CallBackURL.
+//
+// MOCK_DARAJA_RESULT picks the outcome: success (default), cancel, fail, or
+// silent (never call back - exercises the status query fallback).
+import express from 'express';
+import crypto from 'crypto';
+import fetch from 'node-fetch';
+
+const PORT = Number(process.env.MOCK_DARAJA_PORT) || 4010;
+const DELAY_MS = Number(process.env.MOCK_DARAJA_DELAY_MS) || 3000;
+const RESULT = process.env.MOCK_DARAJA_RESULT || 'success';
+
+const RESULTS = {
+  success: { ResultCode: 0, ResultDesc: 'The service request is processed successfully.' },
+  cancel: { ResultCode: 1032, ResultDesc: 'Request cancelled by user' },
+  fail: { ResultCode: 1, ResultDesc: 'The balance is insufficient for the transaction' }
+};
+
+const app = express();
+app.use(express.json());
+
+// CheckoutRequestID -> settled result, for stkpushquery
+const pushes = new Map();
+
+app.get('/oauth/v1/generate', (req, res) => {
+  if (!req.get('Authorization')?.startsWith('Basic ')) return res.status(401).json({ errorMessage: 'Missing credentials' });
+  res.json({ access_token: crypto.randomBytes(12).toString('hex'), expires_in: '3599' });
+});
+
+app.post('/mpesa/stkpush/v1/processrequest', (req, res) => {
+  const { Amount, PhoneNumber, CallBackURL, Password, Timestamp } = req.body;
+  if (!Password || !Timestamp || !CallBackURL || !(Amount > 0)) {
+    return res.status(400).json({ errorCode: '400.002.02', errorMessage: 'Bad Request - Invalid request body' });
+  }
+
+  const merchantRequestId = `mock-${crypto.randomBytes(4).toString('hex')}`;
+  const checkoutRequestId = `ws_CO_${Date.now()}${crypto.randomBytes(2).toString('hex')}`;
+  pushes.set(checkoutRequestId, null);
+
+  res.json({
+    MerchantRequestID: merchantRequestId,
+    CheckoutRequestID: checkoutRequestId,
+    ResponseCode: '0',
+    ResponseDescription: 'Success. Request accepted for processing',
+    CustomerMessage: 'Success. Request accepted for processing'
+  });
+
+  setTimeout(async () => {
+    const result = RESULTS[RESULT] || RESULTS.success;
+    pushes.set(checkoutRequestId, result);
+    if (RESULT === 'silent') return;
+
+    const stkCallback = { MerchantRequestID: merchantRequestId, CheckoutRequestID: checkoutRequestId, ...result };
+    if (result.ResultCode === 0) {
+      stkCallback.CallbackMetadata = {
+        Item: [
+          { Name: 'Amount', Value: Amount },
+          { Name: 'MpesaReceiptNumber', Value: `MOCK${crypto.randomBytes(3).toString('hex').toUpperCase()}` },
+          { Name: 'TransactionDate', Value: Number(Timestamp) },
+          { Name: 'PhoneNumber', Value: Number(PhoneNumber) }
+        ]
+      };
+    }
+
+    try {
+      const response = await fetch(CallBackURL, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ Body: { stkCallback } }) });
+      console.log(`📨 Callback for ${checkoutRequestId} -> ${response.status}`);
+    } catch (err) {
+      console.error(`❌ Callback for ${checkoutRequestId} failed:`, err.message);
+    }
+  }, DELAY_MS);
+});
+
+app.post('/mpesa/stkpushquery/v1/query', (req, res) => {
+  const { CheckoutRequestID } = req.body;
+  if (!pushes.has(CheckoutRequestID)) return res.status(404).json({ errorCode: '404.001.03', errorMessage: 'Invalid CheckoutRequestID' });
+
+  const result = pushes.get(CheckoutRequestID);
+  if (!result) return res.status(500).json({ errorCode: '500.001.1001', errorMessage: 'The transaction is being processed' });
+  res.json({ ResponseCode: '0', ResponseDescription: 'The service request has been accepted successsfully', CheckoutRequestID, ...result });
+});
+
+app.listen(PORT, () => console.log(`🧪 Mock Daraja listening on http://localhost:${PORT} (result: ${RESULT})`));
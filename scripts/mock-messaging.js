@@ -0,0 +1,65 @@
+// scripts/mock-messaging.js - local stand-in for Africa's Talking SMS and the WhatsApp Cloud API
+//
+// Run:   npm run mock:messaging
+// Then start the server with
+//   AT_USERNAME=sandbox AT_API_KEY=any AT_BASE_URL=http://localhost:4020
+//   WHATSAPP_TOKEN=any WHATSAPP_PHONE_NUMBER_ID=123 WHATSAPP_API_BASE=http://localhost:4020
+// Every message is accepted and logged. Numbers ending in 000 are rejected
+// the way the real APIs reject an invalid number.
+// GET http://localhost:4020/messages lists what has arrived.
+import http from 'http';
+
+const PORT = Number(process.env.MOCK_MESSAGING_PORT) || 4020;
+
+const messages = [];
+
+function readBody(req) {
+  return new Promise(resolve => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => resolve(body));
+  });
+}
+
+function send(res, status, data) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(data));
+}
+
+function record(channel, to, content) {
+  const message = { id: messages.length + 1, receivedAt: new Date().toISOString(), channel, to, ...content };
+  messages.push(message);
+  console.log(`📲 #${message.id} ${channel} -> ${to}: ${content.message || `${content.template}(${content.parameters.join(' | ')})`}`);
+  return message;
+}
+
+http.createServer(async (req, res) => {
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+
+  if (req.method === 'GET' && url.pathname === '/messages') return send(res, 200, { count: messages.length, messages });
+
+  // Africa's Talking: form-encoded username, to, message, from?
+  if (req.method === 'POST' && url.pathname === '/version1/messaging') {
+    const form = new URLSearchParams(await readBody(req));
+    if (!req.headers.apikey) return send(res, 401, { error: 'Missing apiKey header' });
+    const to = form.get('to');
+    if (to.endsWith('000')) {
+      return send(res, 201, { SMSMessageData: { Message: 'Sent to 0/1 Total Cost: 0', Recipients: [{ statusCode: 403, number: to, status: 'InvalidPhoneNumber', cost: '0', messageId: 'None' }] } });
+    }
+    const message = record('sms', to, { message: form.get('message'), from: form.get('from') });
+    return send(res, 201, { SMSMessageData: { Message: 'Sent to 1/1 Total Cost: KES 0.8000', Recipients: [{ statusCode: 101, number: to, status: 'Success', cost: 'KES 0.8000', messageId: `ATXid_mock${message.id}` }] } });
+  }
+
+  // WhatsApp Cloud API: POST /{phone-number-id}/messages with a template
+  const whatsapp = url.pathname.match(/^\/([^/]+)\/messages$/);
+  if (req.method === 'POST' && whatsapp) {
+    const body = JSON.parse((await readBody(req)) || '{}');
+    if (!/^Bearer .+/.test(req.headers.authorization || '')) return send(res, 401, { error: { message: 'Invalid OAuth access token', code: 190 } });
+    if (String(body.to).endsWith('000')) return send(res, 400, { error: { message: '(#131026) Message undeliverable', code: 131026 } });
+    const parameters = body.template?.components?.[0]?.parameters?.map(p => p.text) || [];
+    const message = record('whatsapp', body.to, { template: body.template?.name, language: body.template?.language?.code, parameters });
+    return send(res, 200, { messaging_product: 'whatsapp', contacts: [{ input: body.to, wa_id: body.to }], messages: [{ id: `wamid.mock${message.id}` }] });
+  }
+
+  send(res, 404, { error: 'Not found' });
+}).listen(PORT, () => console.log(`📡 Mock SMS / WhatsApp listening on ${PORT} - received: http://localhost:${PORT}/messages`));
@@ -0,0 +1,122 @@
+// scripts/mock-smtp.js - local stand-in for the SMTP server
+//
+// Run:   npm run mock:smtp
+// Then start the server with SMTP_HOST=127.0.0.1 SMTP_PORT=2525 and any
+// EMAIL_USER / EMAIL_PASS. Every message is accepted (any login works), logged,
+// and written to MOCK_SMTP_DIR as an .eml file you can open in a mail client.
+// GET http://localhost:2526/messages lists what has arrived.
+import net from 'net';
+import http from 'http';
+import fs from 'fs';
+import path from 'path';
+
+const PORT = Number(process.env.MOCK_SMTP_PORT) || 2525;
+const HTTP_PORT = Number(process.env.MOCK_SMTP_HTTP_PORT) || 2526;
+const DIR = process.env.MOCK_SMTP_DIR || path.join(process.cwd(), '.mail');
+
+const messages = [];
+
+function saveMessage({ from, to, data }) {
+  const subject = (data.match(/^Subject: (.*)$/mi) || [])[1] || '(no subject)';
+  const message = { id: messages.length + 1, receivedAt: new Date().toISOString(), from, to, subject, size: data.length };
+  messages.push(message);
+
+  fs.mkdirSync(DIR, { recursive: true });
+  fs.writeFileSync(path.join(DIR, `${String(message.id).padStart(4, '0')}.eml`), data);
+  console.log(`📬 #${message.id} ${from} -> ${to.join(', ')}: ${subject}`);
+}
+
+const server = net.createServer(socket => {
+  let buffer = '';
+  let envelope = { from: null, to: [] };
+  let inData = false;
+  let data = '';
+  let authLogin = 0;
+
+  const reply = line => socket.write(`${line}\r\n`);
+  reply('220 mock-smtp ready');
+
+  socket.on('data', chunk => {
+    buffer += chunk.toString('utf8');
+    let index;
+    while ((index = buffer.indexOf('\r\n')) !== -1) {
+      const line = buffer.slice(0, index);
+      buffer = buffer.slice(index + 2);
+
+      if (inData) {
+        if (line === '.') {
+          inData = false;
+          saveMessage({ ...envelope, data });
+          envelope = { from: null, to: [] };
+          data = '';
+          reply('250 OK: queued');
+        } else {
+          // Undo dot-stuffing
+          data += `${line.startsWith('..') ? line.slice(1) : line}\r\n`;
+        }
+        continue;
+      }
+
+      // AUTH LOGIN sends the username and password on their own lines
+      if (authLogin > 0) {
+        authLogin = authLogin === 1 ? 2 : 0;
+        reply(authLogin === 2 ? '334 UGFzc3dvcmQ6' : '235 Authentication successful');
+        continue;
+      }
+
+      const [command] = line.split(' ');
+      switch (command.toUpperCase()) {
+        case 'EHLO':
+          socket.write('250-mock-smtp\r\n250-AUTH PLAIN LOGIN\r\n250-8BITMIME\r\n250 SMTPUTF8\r\n');
+          break;
+        case 'HELO':
+          reply('250 mock-smtp');
+          break;
+        case 'AUTH':
+          if (/^AUTH LOGIN/i.test(line)) {
+            authLogin = 1;
+            reply('334 VXNlcm5hbWU6');
+          } else {
+            reply('235 Authentication successful');
+          }
+          break;
+        case 'MAIL':
+          envelope.from = (line.match(/<(.*)>/) || [])[1] || '';
+          reply('250 OK');
+          break;
+        case 'RCPT':
+          envelope.to.push((line.match(/<(.*)>/) || [])[1] || '');
+          reply('250 OK');
+          break;
+        case 'DATA':
+          inData = true;
+          reply('354 End data with <CR><LF>.<CR><LF>');
+          break;
+        case 'RSET':
+          envelope = { from: null, to: [] };
+          reply('250 OK');
+          break;
+        case 'NOOP':
+          reply('250 OK');
+          break;
+        case 'QUIT':
+          reply('221 Bye');
+          socket.end();
+          break;
+        default:
+          reply('502 Command not implemented');
+      }
+    }
+  });
+
+  socket.on('error', () => {});
+});
+
+server.listen(PORT, () => console.log(`📮 Mock SMTP listening on ${PORT}, saving to ${DIR}`));
+
+http.createServer((req, res) => {
+  res.setHeader('Content-Type', 'application/json');
+  if (req.url === '/messages') return res.end(JSON.stringify({ count: messages.length, messages }));
+  res.statusCode = 404;
+  res.end(JSON.stringify({ error: 'Not found' }));
+}).listen(HTTP_PORT, () => console.log(`🔎 Received messages: http://localhost:${HTTP_PORT}/messages`));
@@ -0,0 +1,72 @@
+// scripts/send-inbound.js - post an inbound email fixture to the server
+//
+// Run:   npm run inbound:send -- <fixture> [--contact 12 | --booking OMI-ABC123]
+//          [--from guest@example.com] [--in-reply-to "<id@host>"] [--subject "..."]
+// Fixtures live in scripts/fixtures/inbound: .eml files go as raw MIME, .json
+// files as a provider webhook, .multipart files as a multipart/form-data webhook
+// (the boundary is the file's first line). {{to}}, {{from}}, {{subject}},
+// {{inReplyTo}} and {{messageId}} are filled in - a fresh Message-ID each run,
+// so the server doesn't drop a resend as a duplicate. --contact / --booking address the mail
+// to that ticket's or booking's signed reply address, so run this with the
+// server's INBOUND_EMAIL_ADDRESS and INBOUND_EMAIL_SECRET.
+// SERVER_URL defaults to http://localhost:$PORT.
+import dotenv from 'dotenv';
+dotenv.config();
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import fetch from 'node-fetch';
+import { contactReplyAddress, bookingReplyAddress } from '../lib/tickets.js';
+
+const SERVER_URL = (process.env.SERVER_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/$/, '');
+const FIXTURES = path.join(path.dirname(new URL(import.meta.url).pathname), 'fixtures', 'inbound');
+
+const [fixture, ...rest] = process.argv.slice(2);
+const options = {};
+for (let i = 0; i < rest.length; i += 2) options[rest[i].replace(/^--/, '')] = rest[i + 1];
+
+const file = fixture && [fixture, path.join(FIXTURES, fixture)].find(candidate => fs.existsSync(candidate));
+if (!file || !process.env.INBOUND_EMAIL_SECRET) {
+  console.error('Usage: INBOUND_EMAIL_ADDRESS=... INBOUND_EMAIL_SECRET=... npm run inbound:send -- <fixture> [--contact <id> | --booking <reference>] [--from <email>] [--in-reply-to "<message-id>"] [--subject "<subject>"]');
+  console.error(`Fixtures: ${fs.readdirSync(FIXTURES).join(', ')}`);
+  process.exit(1);
+}
+
+const to = (options.contact && contactReplyAddress({ id: Number(options.contact) }))
+  || (options.booking && bookingReplyAddress({ reference: options.booking.toUpperCase() }))
+  || process.env.INBOUND_EMAIL_ADDRESS
+  || 'reply@bestie.co.ke';
+const values = {
+  to,
+  from: options.from || 'guest@example.com',
+  subject: options.subject || (options.contact ? `Re: We've received your message [Ticket #${options.contact}]` : options.booking ? `Re: Booking received (${options.booking.toUpperCase()})` : 'Hello'),
+  inReplyTo: options['in-reply-to'] || '',
+  messageId: `<fixture-${crypto.randomBytes(6).toString('hex')}@example.com>`
+};
+
+const json = file.endsWith('.json');
+const multipart = file.endsWith('.multipart');
+// JSON fixtures need the values escaped as JSON string content
+let body = fs.readFileSync(file, 'utf8').replace(/\{\{(\w+)\}\}/g, (match, key) => {
+  const value = values[key] ?? '';
+  return json ? JSON.stringify(value).slice(1, -1) : value;
+});
+// Form data is CRLF on the wire
+if (multipart) body = body.replace(/\r?\n/g, '\r\n');
+const contentType = json ? 'application/json'
+  : multipart ? `multipart/form-data; boundary=${body.slice(2, body.indexOf('\r\n'))}`
+    : 'message/rfc822';
+
+try {
+  const response = await fetch(`${SERVER_URL}/api/inbound/email`, {
+    method: 'POST',
+    headers: { 'Content-Type': contentType, Authorization: `Bearer ${process.env.INBOUND_EMAIL_SECRET}` },
+    body
+  });
+  console.log(`${response.status} ${await response.text()}`);
+  process.exit(response.ok ? 0 : 1);
+} catch (err) {
+  console.error('❌ Could not reach the server:', err.message);
+  process.exit(1);
+}
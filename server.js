@@ -13,6 +13,35 @@ import nodemailer from 'nodemailer';
 import helmet from 'helmet';
 import rateLimit from 'express-rate-limit';
 import cors from 'cors';
+import { initDatabase } from './database.js';
+import { BOOKING_STATUSES, canTransition, assignMissingReferences, createBooking, getBooking, getBookingByReference, updateBooking, cancelBooking, searchBookings, addBookingNote, listBookingNotes, toPublicBooking } from './lib/bookings.js';
+import { CONTACT_STATUSES, createContact, getContact, getContactForBooking, searchContacts, releaseContact, updateContact, addContactMessage, listContactMessages, hasMessageId } from './lib/contacts.js';
+import { CONTACT_TOPICS, routeFor, topicLabel, ticketSubject, newMessageId, threadHeaders, ticketReplyTo, contactReplyAddress, bookingReplyAddress, isInboundConfigured, isValidInboundToken } from './lib/tickets.js';
+import { parseInbound, parseFormData, replyText, matchReply } from './lib/inbound.js';
+import { listPrograms, getProgram } from './lib/catalog.js';
+import { quoteBooking, formatQuote } from './lib/pricing.js';
+import { SUPPORTED_CURRENCIES, isSupportedCurrency, resolveCurrency, resolveLocale, formatMoney } from './lib/money.js';
+import { getMonthAvailability, checkAvailability, setSession, clearSession, withSessionLock, isValidDate, isValidMonth, AVAILABILITY_ERRORS } from './lib/availability.js';
+import { today } from './lib/dates.js';
+import { bookingPolicy } from './lib/policy.js';
+import { createPayment, getPayment, getPaymentByProviderRef, getPendingPayment, listPaymentsForBooking, updatePayment, settlePayment, claimEvent, completeEvent, releaseEvent, toPublicPayment } from './lib/payments.js';
+import { isCardConfigured, createCheckoutSession, verifyWebhook, parseEvent, toMinorUnits } from './lib/stripe.js';
+import { isMpesaConfigured, isValidCallbackToken, callbackUrl, toKesAmount, stkPush, queryStkStatus, parseCallback, statusForResult } from './lib/mpesa.js';
+import { normalizeKenyanMobile, normalizePhone } from './lib/phone.js';
+import { DISCOUNT_TYPES, normalizeCode, getPromoByCode, listPromos, createPromo, createVoucher, setPromoActive, resolvePromo, redeemPromo, attachRedemption, releaseRedemption, toPublicPromo } from './lib/promotions.js';
+import { STAFF_ROLES, SESSION_TTL_HOURS, hasRole, login, logout, userForSession, createStaffUser, listStaffUsers, countStaffUsers, getStaffUser, getStaffUserByEmail, updateStaffUser, toPublicStaff } from './lib/staff.js';
+import { LINK_TTL_MINUTES, CUSTOMER_SESSION_TTL_DAYS, issueLoginToken, redeemLoginToken, customerForSession, logoutCustomer, updateCustomer, listCustomerBookings, toPublicCustomer } from './lib/customers.js';
+import { enqueue, registerHandler, startOutboxWorker, listDeadLetters, replay, outboxStats } from './lib/outbox.js';
+import { TEMPLATES, renderTemplate, bookingConfirmation, bookingChanged, bookingReminder, feedbackRequest, paymentReminder, contactAutoReply, ticketReply, signInLink } from './lib/emails.js';
+import { scheduleForBooking, rescheduleBooking, scheduleUpcoming, runDue, startScheduler, listScheduled, schedulerStats } from './lib/scheduler.js';
+import { validateBooking, validateContact, validateProfile, isValidEmail } from './js/shared/schemas.js';
+import { CHANNELS, configuredChannels, parseChannels, getPreferences, savePreferences, channelMessages } from './lib/messaging.js';
+import { FORMS, HONEYPOT_FIELD, SCREENING_FIELDS, issueFormToken, captchaConfig, captchaSources, screenSubmission } from './lib/spam.js';
+import { idempotent } from './lib/idempotency.js';
+import { REPORTS, REPORT_BASES, runReport } from './lib/reports.js';
+import { PRIVACY_NOTICE_VERSION, RETENTION, recordConsent, exportPersonalData, upcomingBookings, eraseEmail, logPrivacyRequest, runRetention, startRetention } from './lib/privacy.js';
+import { toCsv, toXlsx } from './lib/spreadsheet.js';
+import { DIAGNOSTICS_ENABLED, DEBUG_WEBHOOK_URL, sendDebugPayload, readinessReport, checkDatabase, describeUrl } from './lib/diagnostics.js';
 
 // ===== ENVIRONMENT VARIABLES =====
 const NODE_ENV = process.env.NODE_ENV || 'development';
@@ -21,11 +50,18 @@ const emailUser = process.env.EMAIL_USER;
 const emailPass = process.env.EMAIL_PASS;
 const webhookUrl = process.env.WEBHOOK_URL || 'https://script.google.com/macros/s/AKfycbydzRV0e-FgFj30vMq-0ZgrcHaAeL0JUCkl7Ssn4WqwMjPlFku-3RJSs9c5LnjXOR_zyQ/exec';
 const PUBLIC_URL = process.env.PUBLIC_URL || process.env.RAILWAY_PUBLIC_DOMAIN || `http://localhost:${PORT}`;
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN;
+// Where the pages send their API calls (js/api.js). Empty means the origin that
+// served the page; set it when the site is hosted apart from this server.
+const API_BASE_URL = (process.env.API_BASE_URL || '').replace(/\/+$/, '');
 
 // ===== EXPRESS APP SETUP =====
 const app = express();
 app.set('trust proxy', 1); // 1 proxy hop
 
+// gtag.js and the hosts it reports to
+const ANALYTICS_SOURCES = ['https://www.googletagmanager.com', 'https://*.google-analytics.com', 'https://*.analytics.google.com'];
+
 // Security & performance
 app.use(helmet({
   contentSecurityPolicy: {
@@ -33,7 +69,10 @@ app.use(helmet({
       defaultSrc: ["'self'"],
       styleSrc: ["'self'", "'unsafe-inline'", "https://fonts.googleapis.com"],
       fontSrc: ["'self'", "https://fonts.gstatic.com"],
-      scriptSrc: ["'self'", "'unsafe-inline'"],
+      // Google Analytics only loads once a visitor accepts cookies (js/consent.js)
+      scriptSrc: ["'self'", "'unsafe-inline'", ...captchaSources(), ...ANALYTICS_SOURCES],
+      frameSrc: ["'self'", ...captchaSources()],
+      connectSrc: ["'self'", ...(API_BASE_URL ? [new URL(API_BASE_URL).origin] : []), ...ANALYTICS_SOURCES],
       imgSrc: ["'self'", "data:", "https:"]
     }
   },
@@ -50,7 +89,8 @@ app.use(cors({
     'http://127.0.0.1:3000',
     PUBLIC_URL
   ],
-  credentials: true
+  credentials: true,
+  exposedHeaders: ['Idempotent-Replayed']
 }));
 
 // Rate limiting
@@ -63,7 +103,8 @@ app.use(rateLimit({
 }));
 
 // Middleware
-app.use(express.json({ limit: '10mb' }));
+// Keep the raw body around for webhook signature checks
+app.use(express.json({ limit: '10mb', verify: (req, res, buf) => { req.rawBody = buf; } }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Paths
@@ -108,112 +149,1323 @@ if (emailUser && emailPass) {
 
 // ===== ROUTES =====
 
-// Health check
-app.get('/health', (req, res) => {
-  res.json({
-    status: 'OK',
-    timestamp: new Date().toISOString(),
-    uptime: process.uptime(),
-    memory: process.memoryUsage(),
-    environment: NODE_ENV,
-    emailConfigured: !!transporter
-  });
-});
+// Liveness probe for the platform - deliberately says nothing about config.
+// The detailed readiness report is GET /health/ready (admin only).
+app.get('/health', (req, res) => res.json({ status: 'OK', timestamp: new Date().toISOString() }));
 
 // Pages
 app.get('/', (req, res) => res.sendFile(path.join(__dirname, 'public', 'index.html')));
 app.get('/contact.html', (req, res) => res.sendFile(path.join(__dirname, 'public', 'contact.html')));
 app.get('/tickets.html', (req, res) => res.sendFile(path.join(__dirname, 'public', 'tickets.html')));
+app.get('/manage.html', (req, res) => res.sendFile(path.join(__dirname, 'public', 'manage.html')));
+app.get('/account.html', (req, res) => res.sendFile(path.join(__dirname, 'public', 'account.html')));
+app.get('/privacy.html', (req, res) => res.sendFile(path.join(__dirname, 'public', 'privacy.html')));
+app.get('/admin', (req, res) => res.sendFile(path.join(__dirname, 'public', 'admin.html')));
+
+// Browser config - every page loads /config.js before js/api.js
+const clientConfig = () => ({ apiBaseUrl:API_BASE_URL, environment:NODE_ENV });
+app.get('/config.js', (req, res) => {
+  res.type('application/javascript').set('Cache-Control', 'no-cache');
+  res.send(`window.OMI_CONFIG = ${JSON.stringify(clientConfig())};\n`);
+});
+app.get('/api/config', (req, res) => res.json({ success:true, ...clientConfig() }));
 
 // Test
-app.get('/test', (req, res) => res.json({ message: 'Server works!', environment: NODE_ENV, emailConfigured: !!transporter }));
+app.get('/test', (req, res) => res.json({ message: 'Server works!' }));
 
-// Test email
-app.get('/test-email', async (req, res) => {
-  if (!transporter) return res.status(503).json({ success: false, error: 'Email not configured' });
+// ===== OUTBOX HANDLERS =====
+registerHandler('sheets', async (data) => {
+  const response = await fetch(webhookUrl, { method:'POST', headers:{'Content-Type':'application/json'}, body:JSON.stringify(data) });
+  if (!response.ok) throw new Error(`Webhook responded ${response.status}`);
+});
+
+registerHandler('email', async (mail) => {
+  if (!transporter) throw new Error('Email not configured');
+  await transporter.sendMail({ from:`BESTIE <${emailUser}>`, to:emailUser, ...mail });
+});
+
+// Queue an email to the staff inbox (skipped when SMTP isn't configured at all)
+async function notifyStaff(mail) {
+  if (emailUser && emailPass) await enqueue('email', mail);
+}
+
+// SMS / WhatsApp adapters deliver through the outbox under their channel name
+for (const [name, channel] of Object.entries(CHANNELS)) registerHandler(name, channel.send);
+
+// Queue a templated email to a customer (see lib/emails.js). Returns the outbox id, or null.
+async function emailCustomer(to, mail) {
+  return emailUser && emailPass ? enqueue('email', { to, ...mail }) : null;
+}
+
+// Queue a booking update by email plus any SMS / WhatsApp the customer opted
+// into (see lib/messaging.js). Returns the outbox ids - empty if nothing could go.
+// Email replies come back to the booking's reply address when inbound email is on.
+async function notifyCustomer(booking, message, mail) {
+  const ids = [];
+  const replyTo = bookingReplyAddress(booking);
+  if (emailUser && emailPass) ids.push(await enqueue('email', { to:booking.email, ...(replyTo ? { replyTo } : {}), ...mail }));
+  for (const { channel, payload } of await channelMessages(message, booking)) ids.push(await enqueue(channel, payload));
+  return ids;
+}
+
+// Reminders, follow-ups and nudges planned by lib/scheduler.js
+const SCHEDULED_EMAILS = {
+  'reminder-7d': (booking) => bookingReminder({ booking, daysBefore:7 }),
+  'reminder-1d': (booking) => bookingReminder({ booking, daysBefore:1 }),
+  feedback: (booking) => feedbackRequest({ booking }),
+  'payment-due': (booking) => paymentReminder({ booking }),
+  'payment-final': (booking) => paymentReminder({ booking, final:true })
+};
+
+// null when no channel can reach the customer - the scheduler skips the message
+async function sendScheduled(kind, booking) {
+  const [outboxId] = await notifyCustomer(booking, kind, SCHEDULED_EMAILS[kind](booking));
+  return outboxId ?? null;
+}
+
+// Queue a saved record for Google Sheets + admin email
+async function fanOut(sheetsData, mail) {
+  await enqueue('sheets', sheetsData);
+  await notifyStaff({ text:JSON.stringify(sheetsData,null,2), ...mail });
+}
+
+// Operator-only routes. Disabled entirely when ADMIN_TOKEN is not set.
+function requireAdminToken(req, res, next) {
+  if (!ADMIN_TOKEN) return res.status(503).json({ success:false, error:'Admin access not configured' });
+  const header = req.get('Authorization') || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7) : req.get('X-Admin-Token');
+  if (token !== ADMIN_TOKEN) return res.status(401).json({ success:false, error:'Unauthorized' });
+  next();
+}
+
+// Locale for server-formatted amounts: ?locale= wins, then Accept-Language
+const requestLocale = (req, currency) => resolveLocale([req.query.locale, ...req.acceptsLanguages()], currency);
+
+// Program catalog (?currency=KES|USD|EUR)
+app.get('/api/programs', (req,res) => {
+  const currency = resolveCurrency(req.query.currency);
+  res.json({ success:true, currency, currencies:SUPPORTED_CURRENCIES, programs:listPrograms(currency, requestLocale(req, currency)) });
+});
 
+app.get('/api/programs/:slug', (req,res) => {
+  const currency = resolveCurrency(req.query.currency);
+  const program = getProgram(req.params.slug, currency, requestLocale(req, currency));
+  if (!program) return res.status(404).json({ success:false, error:'Program not found' });
+  res.json({ success:true, currency, currencies:SUPPORTED_CURRENCIES, program });
+});
+
+// A promo code sent with a quote or booking: {} when none was entered
+const promoFor = (code, context) => normalizeCode(code) ? resolvePromo(code, context) : {};
+
+// Itemized price for a prospective booking - the booking form shows this as-is
+app.post('/api/quote', async (req,res) => {
   try {
-    const info = await transporter.sendMail({
-      from: `"BESTIE" <${emailUser}>`,
-      to: emailUser,
-      subject: 'Test Email from BESTIE Server',
-      html: `<p>Test email sent from BESTIE server at ${new Date().toISOString()}</p>`
+    const { program, date, participants, children, currency } = req.body;
+    if (currency && !isSupportedCurrency(currency)) return res.status(400).json({ success:false, error:`Unsupported currency. Use one of ${SUPPORTED_CURRENCIES.join(', ')}` });
+
+    const { promo, error:promoError } = await promoFor(req.body.promoCode, { program, currency:resolveCurrency(currency), email:req.body.email });
+    const { quote, error, field } = quoteBooking({ program, date, participants:participants ?? 1, children, currency:resolveCurrency(currency), promo });
+    if (error) return res.status(400).json({ success:false, error, field });
+    // An unusable code still gets a price, just without the discount
+    res.json({ success:true, quote:formatQuote(quote, requestLocale(req, quote.currency)), ...(promoError && { promoError }) });
+  } catch(err) { res.status(500).json({ success:false, error: err.message }); }
+});
+
+// ===== PROMO CODES & GIFT VOUCHERS =====
+// Check a code against the booking being built and show what it takes off
+app.post('/api/promo/validate', async (req,res) => {
+  try {
+    const { code, program, date, participants, children, currency, email } = req.body;
+    if (!normalizeCode(code)) return res.status(400).json({ success:false, error:'Please enter a code', field:'promoCode' });
+    if (currency && !isSupportedCurrency(currency)) return res.status(400).json({ success:false, error:`Unsupported currency. Use one of ${SUPPORTED_CURRENCIES.join(', ')}` });
+
+    const { promo, error:promoError } = await resolvePromo(code, { program, currency:resolveCurrency(currency), email });
+    if (promoError) return res.status(422).json({ success:false, valid:false, error:promoError, field:'promoCode' });
+
+    const { quote, error, field } = quoteBooking({ program, date, participants:participants ?? 1, children, currency:resolveCurrency(currency), promo });
+    if (error) return res.status(400).json({ success:false, error, field });
+    res.json({ success:true, valid:true, promo:toPublicPromo(promo), quote:formatQuote(quote, requestLocale(req, quote.currency)) });
+  } catch(err) { res.status(500).json({ success:false, error: err.message }); }
+});
+
+app.get('/api/promo', requireAdminToken, async (req,res) => {
+  try {
+    const promos = await listPromos({ kind:req.query.kind });
+    res.json({ success:true, count:promos.length, promos });
+  } catch(err) { res.status(500).json({ success:false, error: err.message }); }
+});
+
+// Create a campaign code: { code, discountType: percent|fixed, value, currency?, programs?, startsAt?, expiresAt?, maxUses?, maxUsesPerEmail? }
+app.post('/api/promo', requireAdminToken, async (req,res) => {
+  try {
+    const { code, discountType, value, currency, programs } = req.body;
+    if (!/^[A-Z0-9-]{3,32}$/.test(normalizeCode(code))) return res.status(400).json({ success:false, error:'code must be 3-32 letters, digits or dashes' });
+    if (!DISCOUNT_TYPES.includes(discountType)) return res.status(400).json({ success:false, error:`discountType must be one of ${DISCOUNT_TYPES.join(', ')}` });
+    if (!(Number(value) > 0) || (discountType === 'percent' && Number(value) > 100)) return res.status(400).json({ success:false, error:'value must be a positive amount (at most 100 for percent)' });
+    if (discountType === 'fixed' && !isSupportedCurrency(currency)) return res.status(400).json({ success:false, error:`Fixed-amount codes need a currency: ${SUPPORTED_CURRENCIES.join(', ')}` });
+    if (programs != null && !(Array.isArray(programs) && programs.every(slug => getProgram(slug)))) return res.status(400).json({ success:false, error:'programs must be a list of program slugs' });
+    if (await getPromoByCode(code)) return res.status(409).json({ success:false, error:'That code already exists' });
+
+    const promo = await createPromo({ ...req.body, value:Number(value), currency:discountType === 'fixed' ? currency.toUpperCase() : null, kind:'promo' });
+    res.status(201).json({ success:true, promo });
+  } catch(err) { res.status(500).json({ success:false, error: err.message }); }
+});
+
+// Issue a single-use gift voucher: { amount, currency, expiresAt?, purchaserEmail?, recipientName? }
+app.post('/api/vouchers', requireAdminToken, async (req,res) => {
+  try {
+    const { amount, currency } = req.body;
+    if (!(Number(amount) > 0)) return res.status(400).json({ success:false, error:'amount must be positive' });
+    if (!isSupportedCurrency(currency)) return res.status(400).json({ success:false, error:`currency must be one of ${SUPPORTED_CURRENCIES.join(', ')}` });
+
+    const voucher = await createVoucher({ ...req.body, amount:Number(amount), currency:currency.toUpperCase() });
+    res.status(201).json({ success:true, voucher });
+  } catch(err) { res.status(500).json({ success:false, error: err.message }); }
+});
+
+app.post('/api/promo/:code/deactivate', requireAdminToken, async (req,res) => {
+  try {
+    const promo = await setPromoActive(req.params.code, false);
+    if (!promo) return res.status(404).json({ success:false, error:'Code not found' });
+    res.json({ success:true, promo });
+  } catch(err) { res.status(500).json({ success:false, error: err.message }); }
+});
+
+// Session availability for a month (defaults to the current month in Kenya)
+app.get('/api/programs/:slug/availability', async (req,res) => {
+  try {
+    const month = req.query.month || today().slice(0, 7);
+    if (!isValidMonth(month)) return res.status(400).json({ success:false, error:'month must be YYYY-MM' });
+
+    const availability = await getMonthAvailability(req.params.slug, month);
+    if (!availability) return res.status(404).json({ success:false, error:'Program not found' });
+    res.json({ success:true, ...availability });
+  } catch(err) { res.status(500).json({ success:false, error: err.message }); }
+});
+
+// Close a session date or change its capacity
+app.put('/api/programs/:slug/sessions/:date', requireAdminToken, async (req,res) => {
+  try {
+    const { slug, date } = req.params;
+    if (!getProgram(slug)) return res.status(404).json({ success:false, error:'Program not found' });
+    if (!isValidDate(date)) return res.status(400).json({ success:false, error:'date must be YYYY-MM-DD' });
+
+    const { capacity, closed, note } = req.body;
+    if (capacity != null && !(Number.isInteger(capacity) && capacity >= 0)) return res.status(400).json({ success:false, error:'capacity must be a whole number' });
+
+    const session = await setSession(slug, date, { capacity, closed:!!closed, note });
+    res.json({ success:true, session });
+  } catch(err) { res.status(500).json({ success:false, error: err.message }); }
+});
+
+app.delete('/api/programs/:slug/sessions/:date', requireAdminToken, async (req,res) => {
+  try {
+    await clearSession(req.params.slug, req.params.date);
+    res.json({ success:true });
+  } catch(err) { res.status(500).json({ success:false, error: err.message }); }
+});
+
+// ===== SPAM & ABUSE =====
+// Forms fetch a signed token when the page loads (see lib/spam.js); it also
+// tells them whether to render a CAPTCHA and what the honeypot input is called
+app.get('/api/forms/:form/token', (req,res) => {
+  if (!FORMS.includes(req.params.form)) return res.status(404).json({ success:false, error:'Unknown form' });
+  res.json({ success:true, token:issueFormToken(req.params.form), honeypot:HONEYPOT_FIELD, captcha:captchaConfig() });
+});
+
+// Stricter than the global limiter: per IP over 15 minutes, and per email
+// address over an hour so one inbox can't be flooded from many IPs. The IP
+// limits stay generous because mobile carriers put many customers behind one IP.
+function formLimiters({ perIp, perEmail }) {
+  const message = { success:false, error:'Too many submissions. Please wait a while and try again.' };
+  return [
+    rateLimit({ windowMs:15 * 60 * 1000, max:perIp, message, standardHeaders:true, legacyHeaders:false }),
+    rateLimit({
+      windowMs:60 * 60 * 1000,
+      max:perEmail,
+      message,
+      keyGenerator:(req) => `email:${String(req.body.email).trim().toLowerCase()}`,
+      skip:(req) => !req.body?.email,
+      standardHeaders:true,
+      legacyHeaders:false
+    })
+  ];
+}
+const contactLimiters = formLimiters({ perIp:10, perEmail:3 });
+const bookingLimiters = formLimiters({ perIp:20, perEmail:5 });
+
+// Double clicks and overlapping handlers used to create duplicate bookings and
+// Sheets rows. Forms send an Idempotency-Key; submissions that match on these
+// fields within a few minutes also get the first response back (lib/idempotency.js).
+// Runs before the limiters so replays don't count against the visitor.
+const sameText = (value) => String(value ?? '').trim().toLowerCase().replace(/\s+/g, ' ');
+const contactDuplicates = idempotent('contact', {
+  ignore:SCREENING_FIELDS,
+  fingerprint:(body) => body.email && [sameText(body.email), sameText(body.subject), sameText(body.message)].join('|')
+});
+const bookingDuplicates = idempotent('book', {
+  ignore:SCREENING_FIELDS,
+  fingerprint:(body) => body.email && [sameText(body.email), sameText(body.program), sameText(body.date), Number(body.participants) || 0, Number(body.children) || 0].join('|')
+});
+
+// Failures the visitor can fix themselves; null when the submission may go on
+function screeningError(res, screening) {
+  if (screening.expired) return res.status(400).json({ success:false, error:'This form has expired. Please try again.', code:'form-expired' });
+  if (screening.captcha) return invalid(res, { captcha:'Please complete the "I\'m not a robot" check' });
+  return null;
+}
+
+// Field-level validation failure: { errors: { field: message } } (see js/shared/schemas.js).
+// `error` repeats the first message for clients that only show one.
+function invalid(res, errors) {
+  return res.status(422).json({ success:false, error:Object.values(errors)[0], errors });
+}
+
+// Apply the topic's routing rule (lib/tickets.js) to a ticket
+async function routeContact(contact) {
+  const route = routeFor(contact.subject);
+  const assignee = route.assignee && !contact.assigneeId ? await getStaffUserByEmail(route.assignee) : null;
+  return updateContact(contact.id, { routedTo:route.routeTo || emailUser || null, assigneeId:assignee?.active ? assignee.id : undefined });
+}
+
+// Staff emails about a ticket: replying goes to the customer and, with inbound
+// email on, copies the answer into the ticket's thread
+const ticketMail = (contact, mail) => ({
+  ...(contact.routedTo ? { to:contact.routedTo } : {}),
+  replyTo:[contact.email, contactReplyAddress(contact)].filter(Boolean),
+  ...mail
+});
+
+// Route a saved message by topic, pass it on to Sheets + that topic's inbox,
+// and auto-reply to the sender - the auto-reply starts the thread
+async function deliverContact(contact) {
+  contact = await routeContact(contact);
+  const { name, email, subject, message } = contact;
+  const sheetsData = { type:'contact', name, email, subject, message, timestamp:new Date().toISOString(), contactId:contact.id, source:'bestie.co.ke' };
+  await fanOut(sheetsData, ticketMail(contact, { subject:`Contact Form: ${name} - ${ticketSubject(contact)}` }));
+  const replyTo = ticketReplyTo(contact);
+  await emailCustomer(email, { ...contactAutoReply({ contact }), messageId:contact.threadId, ...(replyTo ? { replyTo } : {}) });
+}
+
+// The customer wrote back: tell whoever has the ticket
+async function notifyTicketReply(contact, body) {
+  const assignee = contact.assigneeId && await getStaffUser(contact.assigneeId);
+  await notifyStaff(ticketMail(contact, {
+    ...(assignee?.active ? { to:assignee.email } : {}),
+    subject:`Customer reply: ${ticketSubject(contact)}`,
+    text:`${contact.name} <${contact.email}> wrote:\n\n${body}\n\nAnswer from the dashboard: ${PUBLIC_URL}/admin`
+  }));
+}
+
+// Contact endpoint
+app.post('/api/contact', contactDuplicates, contactLimiters, async (req,res) => {
+  try {
+    const { values, errors } = validateContact(req.body);
+    if (errors) return invalid(res, errors);
+    const { name, email, subject, message } = values;
+
+    const screening = await screenSubmission('contact', req.body, { ip:req.ip, text:`${subject}\n${message}` });
+    if (screeningError(res, screening)) return;
+    // Likely spam is kept for staff to review but nobody is emailed. The sender
+    // sees the usual success so bots learn nothing.
+    if (screening.spam) {
+      const contact = await createContact({ name, email, subject, message, status:'quarantined', spamScore:screening.score, spamReasons:screening.reasons });
+      await recordConsent({ email, contactId:contact.id, purposes:['privacy'], source:'contact' });
+      console.warn(`🚫 Contact #${contact.id} quarantined (score ${screening.score}: ${screening.reasons.join(', ')})`);
+      return res.json({ success:true, contactId:contact.id });
+    }
+
+    const contact = await createContact({ name, email, subject, message, spamScore:screening.score, spamReasons:screening.reasons.length ? screening.reasons : null });
+    await recordConsent({ email, contactId:contact.id, purposes:['privacy'], source:'contact' });
+    await deliverContact(contact);
+    res.json({ success:true, contactId:contact.id });
+  } catch(err) { res.status(500).json({ success:false, error: err.message }); }
+});
+
+// Replies by email (lib/inbound.js), posted by the mail provider as raw MIME
+// (message/rfc822) or its parsed webhook as JSON or multipart/form-data, with
+// INBOUND_EMAIL_SECRET as ?token= or a bearer token. A reply joins its ticket's
+// thread; a reply to a booking email joins that booking's ticket, opening one the
+// first time. Staff answering from their own mail client are recorded as replies.
+app.post('/api/inbound/email', express.text({ type:['message/rfc822', 'text/plain'], limit:'10mb' }), express.raw({ type:'multipart/form-data', limit:'10mb' }), async (req,res) => {
+  try {
+    const header = req.get('Authorization') || '';
+    if (!isValidInboundToken(req.query.token || (header.startsWith('Bearer ') ? header.slice(7) : null))) return res.status(401).json({ success:false, error:'Invalid token' });
+
+    const mail = parseInbound(Buffer.isBuffer(req.body) ? parseFormData(req.body, req.get('Content-Type')) : req.body);
+    if (!mail.from) return res.status(400).json({ success:false, error:'No sender address' });
+    // Anything dropped on purpose still gets a 2xx so the provider doesn't retry it
+    if (mail.automatic) return res.json({ success:true, ignored:'automatic' });
+    if (await hasMessageId(mail.messageId)) return res.json({ success:true, duplicate:true });
+
+    const body = replyText(mail);
+    const match = await matchReply(mail);
+    if (!match) {
+      await notifyStaff({ replyTo:mail.from.address, subject:`Unmatched email: ${mail.subject || '(no subject)'}`, text:`From: ${mail.from.address}\nTo: ${mail.recipients.join(', ')}\n\n${body}` });
+      return res.status(202).json({ success:true, matched:false });
+    }
+
+    let contact = match.contact || await getContactForBooking(match.booking.id);
+    if (!contact) {
+      const { booking } = match;
+      contact = await createContact({ name:`${booking.firstName} ${booking.lastName}`, email:booking.email, subject:'booking', message:body, bookingId:booking.id, threadId:mail.messageId });
+      contact = await routeContact(contact);
+      await notifyTicketReply(contact, body);
+      return res.status(201).json({ success:true, matched:true, via:match.via, contactId:contact.id });
+    }
+
+    const staff = await getStaffUserByEmail(mail.from.address);
+    const author = staff?.active ? staff : null;
+    const message = await addContactMessage(contact.id, { direction:author ? 'out' : 'in', authorId:author?.id, authorName:author?.name || mail.from.name || contact.name, body, messageId:mail.messageId, inReplyTo:mail.inReplyTo });
+    // Quarantined tickets collect replies quietly until someone releases them
+    if (contact.status !== 'quarantined') {
+      contact = await updateContact(contact.id, { status:author ? 'waiting' : contact.status === 'received' ? 'received' : 'open' });
+      if (!author) await notifyTicketReply(contact, body);
+    }
+    res.status(201).json({ success:true, matched:true, via:match.via, contactId:contact.id, message });
+  } catch(err) { res.status(500).json({ success:false, error: err.message }); }
+});
+
+// Booking endpoint
+app.post('/book', bookingDuplicates, bookingLimiters, async (req,res) => {
+  try {
+    const { values, errors } = validateBooking(req.body, { programs:listPrograms().map(p => p.slug), today:today() });
+    if (errors) return invalid(res, errors);
+
+    // Bookings hold seats, so suspected bots are turned away rather than quarantined
+    const screening = await screenSubmission('booking', req.body, { ip:req.ip });
+    if (screeningError(res, screening)) return;
+    if (screening.spam) {
+      console.warn(`🚫 Booking refused as automated (score ${screening.score}: ${screening.reasons.join(', ')})`);
+      return res.status(400).json({ success:false, error:'Sorry, we couldn\'t accept this booking. Please reload the page and try again, or contact us.', code:'rejected' });
+    }
+    // phone comes back in E.164
+    const { program, date, participants, children, firstName, lastName, email, phone, specialRequirements } = values;
+    const channels = parseChannels(req.body.channels);
+
+    if (req.body.currency && !isSupportedCurrency(req.body.currency)) return res.status(400).json({ success:false, error:`Unsupported currency. Use one of ${SUPPORTED_CURRENCIES.join(', ')}` });
+    const { promo, error:promoError } = await promoFor(req.body.promoCode, { program, currency:resolveCurrency(req.body.currency), email });
+    if (promoError) return invalid(res, { promoCode:promoError });
+    const { quote, error, field } = quoteBooking({ program, date, participants, children, currency:resolveCurrency(req.body.currency), promo });
+    if (error) return field ? invalid(res, { [field]:error }) : res.status(400).json({ success:false, error });
+    // The customer confirmed a total on screen - refuse if it no longer matches ours
+    const { quotedTotal } = req.body;
+    if (quotedTotal != null && quotedTotal !== '' && Number(quotedTotal) !== quote.total) {
+      return res.status(409).json({ success:false, error:'Prices have changed since you started. Please review your booking total.', totalPrice:quote.total, currency:quote.currency });
+    }
+
+    // Check seats and insert under a per-session lock so the last spots can't be double-sold
+    const result = await withSessionLock(program, date, async () => {
+      const day = await checkAvailability(program, date, quote.participants);
+      if (day.status !== 'available') return { day };
+      // Claim the code first so a limited code (or a voucher) can't be spent twice
+      const promoDiscount = promo && quote.discounts.find(d => d.promoCode === promo.code);
+      const redemptionId = promo && await redeemPromo(promo, { email, amount:promoDiscount.amount, currency:quote.currency });
+      if (promo && !redemptionId) return { promoError:'That code has just been used up' };
+      try {
+        const booking = await createBooking({ program, date, participants:quote.participants, children:quote.children, firstName, lastName, email, phone, specialRequirements:specialRequirements||'None', totalPrice:quote.total, currency:quote.currency, priceBreakdown:quote, promoCode:quote.promoCode });
+        if (redemptionId) await attachRedemption(redemptionId, booking.id);
+        return { booking };
+      } catch (err) {
+        if (redemptionId) await releaseRedemption(redemptionId);
+        throw err;
+      }
     });
-    res.json({ success: true, messageId: info.messageId });
-  } catch (err) {
-    res.status(500).json({ success: false, error: err.message });
+    if (result.promoError) return invalid(res, { promoCode:result.promoError });
+    if (!result.booking) {
+      const { status, error } = AVAILABILITY_ERRORS[result.day.status];
+      return res.status(status).json({ success:false, error, reason:result.day.status, remaining:result.day.remaining });
+    }
+
+    const { booking } = result;
+    const bookingId = booking.id;
+    await recordConsent({ email, bookingId, purposes:specialRequirements ? ['privacy', 'health'] : ['privacy'], source:'booking' });
+
+    const sheetsData = { type:'booking', reference:booking.reference, program, programName:quote.programName, date, participants:booking.participants, children:booking.children, totalPrice:booking.totalPrice, currency:booking.currency, promoCode:booking.promoCode, firstName, lastName, email, phone:booking.phone, specialRequirements:booking.specialRequirements, timestamp:new Date().toISOString(), bookingId, source:'bestie.co.ke' };
+    await fanOut(sheetsData, { replyTo:email, subject:`Booking Request: ${quote.programName}` });
+    // Older pages don't send channels - leave any saved choice alone
+    if (req.body.channels !== undefined) await savePreferences(email, { phone, channels });
+    await notifyCustomer(booking, 'confirmation', bookingConfirmation({ booking }));
+    await scheduleForBooking(booking);
+
+    res.json({ success:true, bookingId, reference:booking.reference, status:booking.status, totalPrice:booking.totalPrice, currency:booking.currency, totalFormatted:formatMoney(booking.totalPrice, booking.currency, requestLocale(req, booking.currency)) });
+  } catch(err) { res.status(500).json({ success:false, error: err.message }); }
+});
+
+// ===== MANAGE MY BOOKING =====
+// Customers identify themselves with reference + the email they booked with.
+// A mismatch looks exactly like a missing booking so references can't be probed.
+async function findOwnedBooking(reference, email) {
+  if (!reference || !email) return null;
+  const booking = await getBookingByReference(reference);
+  if (!booking || booking.email.trim().toLowerCase() !== String(email).trim().toLowerCase()) return null;
+  return booking;
+}
+
+// Bookings made before multi-currency pricing were all quoted in USD
+const bookingCurrency = (booking) => booking.currency || 'USD';
+
+const bookingView = (booking, req) => ({
+  booking:{ ...toPublicBooking(booking), totalFormatted:booking.totalPrice != null ? formatMoney(booking.totalPrice, bookingCurrency(booking), requestLocale(req, bookingCurrency(booking))) : null },
+  policy:bookingPolicy(booking)
+});
+
+app.get('/api/bookings/:ref', async (req,res) => {
+  try {
+    const booking = await findOwnedBooking(req.params.ref, req.query.email);
+    if (!booking) return res.status(404).json({ success:false, error:'Booking not found. Check your reference and email.' });
+    res.json({ success:true, ...bookingView(booking, req) });
+  } catch(err) { res.status(500).json({ success:false, error: err.message }); }
+});
+
+app.patch('/api/bookings/:ref', async (req,res) => {
+  try {
+    const booking = await findOwnedBooking(req.params.ref, req.body.email);
+    if (!booking) return res.status(404).json({ success:false, error:'Booking not found. Check your reference and email.' });
+
+    const policy = bookingPolicy(booking);
+    if (!policy.canModify) return res.status(409).json({ success:false, error:`Bookings can only be changed online up to ${policy.modificationCutoffDays} days before the program. Please contact us.` });
+
+    const date = req.body.date || booking.date;
+    const participants = req.body.participants != null ? Number(req.body.participants) : booking.participants;
+    const children = req.body.children != null ? Number(req.body.children) : Math.min(booking.children, participants);
+    if (!Number.isInteger(participants) || participants < 1) return res.status(400).json({ success:false, error:'participants must be a positive whole number' });
+    const headcountChanged = participants !== booking.participants || children !== booking.children;
+    if (headcountChanged && !policy.canChangeParticipants) return res.status(409).json({ success:false, error:'Paid bookings can\'t change the number of participants online. Please contact us.' });
+    if (date === booking.date && !headcountChanged) return res.json({ success:true, ...bookingView(booking, req) });
+
+    // Re-price as of the original booking time so early-bird discounts are kept,
+    // along with any code redeemed when booking (its use was already counted).
+    // A paid booking keeps the price it was paid at - a new total here would
+    // have no payment or refund behind it.
+    const promo = booking.promoCode ? await getPromoByCode(booking.promoCode) : null;
+    const { quote, error } = quoteBooking({ program:booking.program, date, participants, children, currency:bookingCurrency(booking), bookedAt:new Date(`${booking.createdAt.replace(' ', 'T')}Z`), promo });
+    if (error) return res.status(400).json({ success:false, error });
+    const result = await withSessionLock(booking.program, date, async () => {
+      // Seats this booking already holds on its current date count towards the new request
+      const needed = date === booking.date ? Math.max(participants - booking.participants, 0) : participants;
+      const day = await checkAvailability(booking.program, date, needed);
+      if (day.status !== 'available') return { day };
+      const price = booking.status === 'paid' ? {} : { totalPrice:quote.total, currency:quote.currency, priceBreakdown:quote };
+      const inviteSequence = (booking.inviteSequence || 0) + (date !== booking.date ? 1 : 0);
+      return { booking: await updateBooking(booking.id, { date, participants, children:quote.children, inviteSequence, ...price }) };
+    });
+    if (!result.booking) {
+      const { status, error } = AVAILABILITY_ERRORS[result.day.status];
+      return res.status(status).json({ success:false, error, reason:result.day.status, remaining:result.day.remaining });
+    }
+
+    const updated = result.booking;
+    if (updated.date !== booking.date) await rescheduleBooking(updated);
+    await notifyCustomer(updated, 'change', bookingChanged({ booking:updated, previous:booking }));
+    await notifyStaff({ replyTo:updated.email, subject:`Booking Changed: ${updated.reference}`, text:`Booking ${updated.reference} was changed by the customer.\n\nFrom: ${booking.date}, ${booking.participants} participant(s)\nTo: ${updated.date}, ${updated.participants} participant(s)\nNew total: ${updated.totalPrice} ${updated.currency}` });
+    res.json({ success:true, ...bookingView(updated, req) });
+  } catch(err) { res.status(500).json({ success:false, error: err.message }); }
+});
+
+// How the booker wants updates. Applies to all their bookings (keyed by email).
+app.get('/api/bookings/:ref/preferences', async (req,res) => {
+  try {
+    const booking = await findOwnedBooking(req.params.ref, req.query.email);
+    if (!booking) return res.status(404).json({ success:false, error:'Booking not found. Check your reference and email.' });
+    const prefs = await getPreferences(booking.email);
+    res.json({ success:true, phone:prefs.phone || normalizePhone(booking.phone), channels:prefs.channels, available:configuredChannels() });
+  } catch(err) { res.status(500).json({ success:false, error: err.message }); }
+});
+
+// { email, channels: ['sms', 'whatsapp'], phone? }
+app.put('/api/bookings/:ref/preferences', async (req,res) => {
+  try {
+    const booking = await findOwnedBooking(req.params.ref, req.body.email);
+    if (!booking) return res.status(404).json({ success:false, error:'Booking not found. Check your reference and email.' });
+
+    const phone = req.body.phone ? normalizePhone(req.body.phone) : normalizePhone(booking.phone);
+    if (req.body.phone && !phone) return invalid(res, { phone:'Please enter a valid phone number, e.g. 0712 345 678 or +254 712 345 678' });
+    const channels = parseChannels(req.body.channels);
+    if (channels.length && !phone) return invalid(res, { phone:'Add a phone number to get updates by SMS or WhatsApp' });
+
+    const prefs = await savePreferences(booking.email, { phone, channels });
+    res.json({ success:true, ...prefs, available:configuredChannels() });
+  } catch(err) { res.status(500).json({ success:false, error: err.message }); }
+});
+
+app.post('/api/bookings/:ref/cancel', async (req,res) => {
+  try {
+    const booking = await findOwnedBooking(req.params.ref, req.body.email);
+    if (!booking) return res.status(404).json({ success:false, error:'Booking not found. Check your reference and email.' });
+
+    const policy = bookingPolicy(booking);
+    if (!policy.canCancel) return res.status(409).json({ success:false, error:`This booking can't be cancelled (status: ${booking.status}).` });
+
+    const cancelled = await cancelBooking(booking.id, { reason:req.body.reason || null, refundPercent:policy.refundPercent });
+    await notifyStaff({ replyTo:cancelled.email, subject:`Booking Cancelled: ${cancelled.reference}`, text:`Booking ${cancelled.reference} (${cancelled.program}, ${cancelled.date}) was cancelled by the customer.\n\nRefund due: ${policy.refundPercent}% of ${cancelled.totalPrice} ${cancelled.currency}\nReason: ${cancelled.cancellationReason || 'Not given'}` });
+    res.json({ success:true, ...bookingView(cancelled, req) });
+  } catch(err) { res.status(500).json({ success:false, error: err.message }); }
+});
+
+// ===== CUSTOMER ACCOUNTS =====
+// Passwordless: POST /api/account/login emails a one-time link (lib/customers.js)
+// to account.html#token=... - the token rides in the fragment, which mail link
+// scanners don't send anywhere, and the page trades it for a session cookie.
+const CUSTOMER_COOKIE = 'omi_customer';
+const accountLimiters = formLimiters({ perIp:10, perEmail:3 });
+
+const LINK_ERRORS = {
+  invalid:'That sign-in link isn\'t valid. Please ask for a new one.',
+  expired:'That sign-in link has expired. Please ask for a new one.',
+  used:'That sign-in link has already been used. Please ask for a new one.'
+};
+
+const requireCustomer = async (req,res,next) => {
+  try {
+    const customer = await customerForSession(readCookie(req, CUSTOMER_COOKIE));
+    if (!customer) return res.status(401).json({ success:false, error:'Please sign in' });
+    req.customer = customer;
+    next();
+  } catch(err) { next(err); }
+};
+
+// { email }. The same answer whether or not the address has booked with us.
+app.post('/api/account/login', accountLimiters, async (req,res) => {
+  try {
+    const email = String(req.body.email || '').trim().toLowerCase();
+    if (!isValidEmail(email)) return invalid(res, { email:'Please enter a valid email address' });
+    if (!transporter) return res.status(503).json({ success:false, error:'Sign-in links can\'t be sent right now. Please try again later.' });
+
+    // Sent straight away rather than through the outbox, so the link isn't stored
+    const url = `${PUBLIC_URL}/account.html#token=${issueLoginToken(email)}`;
+    await transporter.sendMail({ from:`BESTIE <${emailUser}>`, to:email, ...signInLink({ url, expiresInMinutes:LINK_TTL_MINUTES }) });
+    res.json({ success:true });
+  } catch(err) { res.status(500).json({ success:false, error: err.message }); }
+});
+
+// { token } from the link -> session cookie
+app.post('/api/account/verify', accountLimiters, async (req,res) => {
+  try {
+    const result = await redeemLoginToken(req.body.token);
+    if (result.error) return res.status(400).json({ success:false, error:LINK_ERRORS[result.error], code:result.error });
+
+    // Lax, not strict: the first visit arrives from a link in the customer's inbox
+    res.cookie(CUSTOMER_COOKIE, result.token, { httpOnly:true, sameSite:'lax', secure:NODE_ENV === 'production', maxAge:CUSTOMER_SESSION_TTL_DAYS * 86400000, path:'/' });
+    res.json({ success:true, customer:toPublicCustomer(result.customer) });
+  } catch(err) { res.status(500).json({ success:false, error: err.message }); }
+});
+
+app.post('/api/account/logout', async (req,res) => {
+  try {
+    await logoutCustomer(readCookie(req, CUSTOMER_COOKIE));
+    res.clearCookie(CUSTOMER_COOKIE, { path:'/' });
+    res.json({ success:true });
+  } catch(err) { res.status(500).json({ success:false, error: err.message }); }
+});
+
+// customer is null when nobody is signed in - the booking form asks on every visit
+app.get('/api/account', async (req,res) => {
+  try {
+    const customer = await customerForSession(readCookie(req, CUSTOMER_COOKIE));
+    res.json({ success:true, customer:customer ? toPublicCustomer(customer) : null });
+  } catch(err) { res.status(500).json({ success:false, error: err.message }); }
+});
+
+// { firstName, lastName, phone, specialRequirements } - pre-fills the booking form
+app.put('/api/account', requireCustomer, async (req,res) => {
+  try {
+    const { values, errors } = validateProfile(req.body);
+    if (errors) return invalid(res, errors);
+
+    const changes = Object.fromEntries(Object.entries(values).map(([key, value]) => [key, value || null]));
+    const customer = await updateCustomer(req.customer.id, changes);
+    res.json({ success:true, customer:toPublicCustomer(customer) });
+  } catch(err) { res.status(500).json({ success:false, error: err.message }); }
+});
+
+// Every booking made with the account's email, newest program date first
+app.get('/api/account/bookings', requireCustomer, async (req,res) => {
+  try {
+    const bookings = await listCustomerBookings(req.customer);
+    res.json({ success:true, bookings:bookings.map(booking => ({ ...bookingView(booking, req), programName:getProgram(booking.program)?.name || booking.program })) });
+  } catch(err) { res.status(500).json({ success:false, error: err.message }); }
+});
+
+// Everything we hold about the signed-in customer, as a JSON download
+app.get('/api/account/export', requireCustomer, async (req,res) => {
+  try {
+    const data = await exportPersonalData(req.customer.email);
+    await logPrivacyRequest(req.customer.email, 'export');
+    res.attachment(`bestie-my-data-${today()}.json`).json(data);
+  } catch(err) { res.status(500).json({ success:false, error: err.message }); }
+});
+
+// { confirm: true }. Anonymizes the customer's bookings and messages and closes
+// the account (lib/privacy.js) - refused while a booking is still to come.
+app.post('/api/account/erase', requireCustomer, async (req,res) => {
+  try {
+    if (req.body.confirm !== true) return res.status(400).json({ success:false, error:'Please confirm that you want your data erased' });
+    const upcoming = await upcomingBookings(req.customer.email);
+    if (upcoming.length) {
+      const references = upcoming.map(booking => booking.reference);
+      return res.status(409).json({ success:false, error:`You have upcoming bookings (${references.join(', ')}). Please cancel them first, or ask again after your visit.`, upcoming:references });
+    }
+
+    const { erased, references, contactIds } = await eraseEmail(req.customer.email);
+    await logPrivacyRequest(req.customer.email, 'erasure', erased);
+    // Nothing that identifies the person - only where their copies live
+    await notifyStaff({
+      subject:'Data erasure completed',
+      text:`A customer erased their data from their account.
+
+Please also delete their rows from the Google Sheet and any emails about them in the inbox:
+Bookings: ${references.join(', ') || 'none'}
+Contact messages: ${contactIds.map(id => `#${id}`).join(', ') || 'none'}`
+    });
+    res.clearCookie(CUSTOMER_COOKIE, { path:'/' });
+    res.json({ success:true, erased });
+  } catch(err) { res.status(500).json({ success:false, error: err.message }); }
+});
+
+// ===== M-PESA PAYMENTS =====
+const PAYABLE_STATUSES = ['pending', 'confirmed'];
+
+// Tell staff and the customer about a payment that just succeeded. Money that
+// arrives for a booking cancelled in the meantime, or already paid by another
+// attempt, doesn't confirm anything - staff are asked to refund it instead.
+async function announcePayment(payment, description, detail) {
+  const booking = await getBooking(payment.bookingId);
+  const paidTwice = (await listPaymentsForBooking(booking.id)).some(other => other.id !== payment.id && other.status === 'succeeded');
+  if (booking.status !== 'paid' || paidTwice) {
+    const why = paidTwice ? 'the booking was already paid' : `the booking is ${booking.status}`;
+    await notifyStaff({ replyTo:booking.email, subject:`Refund Needed: ${booking.reference}`, text:`${description} received for booking ${booking.reference}, but ${why}. Please refund the customer.\n${detail}` });
+    return;
+  }
+  await notifyStaff({ replyTo:booking.email, subject:`Payment Received: ${booking.reference}`, text:`${description} received for booking ${booking.reference}.\n${detail}` });
+  await notifyCustomer(booking, 'confirmation', bookingConfirmation({ booking }));
+}
+
+// M-Pesa charges KES only. Bookings priced in USD or EUR are re-quoted in KES
+// from the catalog - as of when they were made, with the same code - so the
+// customer pays the KES price we list, not a converted one. -> { amount } | { error }
+async function mpesaAmount(booking) {
+  const currency = bookingCurrency(booking);
+  if (currency === 'KES') return { amount:toKesAmount(booking.totalPrice) };
+
+  const promo = booking.promoCode ? await getPromoByCode(booking.promoCode) : null;
+  // A fixed amount off only means something in the currency it was issued in
+  if (promo?.discountType === 'fixed' && promo.currency !== 'KES') return { error:`This booking used a code worth a fixed amount in ${currency}, so it can only be paid by card.` };
+  const { quote, error } = quoteBooking({ program:booking.program, date:booking.date, participants:booking.participants, children:booking.children, currency:'KES', bookedAt:new Date(`${booking.createdAt.replace(' ', 'T')}Z`), promo });
+  if (error) return { error };
+  return { amount:toKesAmount(quote.total) };
+}
+
+// A prompt with no callback after this long is checked with Daraja directly
+const STK_QUERY_AFTER_MS = 30 * 1000;
+// Bookings with a push being sent right now - a second click waits for it
+const stkInFlight = new Set();
+
+// Start an STK push for a booking: the customer gets a PIN prompt on their phone.
+// A prompt that's still open is handed back rather than sent again, so
+// pressing Pay twice can't charge twice.
+app.post('/api/payments/mpesa/stk', async (req,res) => {
+  try {
+    if (!isMpesaConfigured()) return res.status(503).json({ success:false, error:'M-Pesa payments are not available right now' });
+
+    const { reference, email, phone } = req.body;
+    const booking = await findOwnedBooking(reference, email);
+    if (!booking) return res.status(404).json({ success:false, error:'Booking not found. Check your reference and email.' });
+    if (!PAYABLE_STATUSES.includes(booking.status)) return res.status(409).json({ success:false, error:`This booking can't be paid (status: ${booking.status}).` });
+
+    const msisdn = normalizeKenyanMobile(phone || booking.phone);
+    if (!msisdn) return res.status(400).json({ success:false, error:'Please enter a valid Safaricom number, e.g. 0712 345 678' });
+
+    const { amount, error } = await mpesaAmount(booking);
+    if (error) return res.status(409).json({ success:false, error });
+
+    if (stkInFlight.has(booking.id)) return res.status(409).json({ success:false, error:'A payment request is already on its way to your phone.' });
+    stkInFlight.add(booking.id);
+    try {
+      let pending = await getPendingPayment(booking.id, 'mpesa');
+      if (pending && Date.now() - new Date(pending.createdAt).getTime() > STK_QUERY_AFTER_MS) {
+        const result = await queryStkStatus(pending.providerRef).catch(err => { console.warn('⚠️ STK query failed:', err.message); return null; });
+        if (result) pending = await applyMpesaResult(pending, result);
+      }
+      if (pending?.status === 'pending') {
+        return res.json({ success:true, checkoutRequestId:pending.providerRef, message:'We already sent a payment request to your phone.', payment:toPublicPayment(pending) });
+      }
+      if (pending?.status === 'succeeded') return res.status(409).json({ success:false, error:'This booking has already been paid.' });
+
+      const push = await stkPush({ phone:msisdn, amount, accountReference:booking.reference, description:'OMI Booking', callbackUrl:callbackUrl(PUBLIC_URL) });
+      const payment = await createPayment({ bookingId:booking.id, provider:'mpesa', amount, currency:'KES', phone:msisdn, providerRef:push.checkoutRequestId, merchantRequestId:push.merchantRequestId });
+      res.json({ success:true, checkoutRequestId:push.checkoutRequestId, message:push.customerMessage, payment:toPublicPayment(payment) });
+    } finally {
+      stkInFlight.delete(booking.id);
+    }
+  } catch(err) {
+    console.error('❌ STK push failed:', err.message);
+    res.status(502).json({ success:false, error:'Could not reach M-Pesa. Please try again.' });
   }
 });
 
-// Debug Booking
-app.get('/debug-booking', async (req, res) => {
-  const testData = { type:'booking', program:'Debug', firstName:'Debug', lastName:'User', email:'debug@test.com', date:new Date().toISOString().split('T')[0], participants:1, phone:'+254712345678', specialRequirements:'Debug test', timestamp:new Date().toISOString(), source:'bestie.co.ke' };
+// Apply a settled M-Pesa result to its payment (and the booking when paid)
+async function applyMpesaResult(payment, result) {
+  let status = statusForResult(result.resultCode);
+  let resultDesc = result.resultDesc;
+  // Never mark a booking paid for less than we asked for
+  if (status === 'succeeded' && result.amount != null && result.amount < payment.amount) {
+    status = 'failed';
+    resultDesc = `Amount mismatch: paid ${result.amount}, expected ${payment.amount}`;
+  }
+
+  const settled = await settlePayment(payment.id, { status, receipt:result.receipt || null, resultCode:result.resultCode, resultDesc, raw:result.raw || null });
+  if (settled.changed) {
+    console.log(`💰 M-Pesa payment #${payment.id} ${status}: ${resultDesc}`);
+    if (status === 'succeeded') await announcePayment(payment, `M-Pesa payment of KES ${payment.amount}`, `Receipt: ${result.receipt}`);
+  }
+  return settled.payment;
+}
+
+// Daraja result callback. Always acknowledged so Safaricom doesn't keep retrying.
+app.post('/api/payments/mpesa/callback/:token', async (req,res) => {
+  if (!isValidCallbackToken(req.params.token)) return res.status(403).json({ ResultCode:1, ResultDesc:'Rejected' });
+
   try {
-    const response = await fetch(webhookUrl, { method:'POST', headers:{'Content-Type':'application/json'}, body:JSON.stringify(testData) });
-    const responseText = await response.text();
-    res.json({ success: response.ok, status: response.status, response: responseText });
+    const result = parseCallback(req.body);
+    const payment = result && await getPaymentByProviderRef('mpesa', result.checkoutRequestId);
+    if (!payment) {
+      console.warn('⚠️ M-Pesa callback for unknown checkout request:', result?.checkoutRequestId);
+    } else {
+      await applyMpesaResult(payment, { ...result, raw:JSON.stringify(req.body) });
+    }
   } catch(err) {
-    res.status(500).json({ success:false, error: err.message });
+    console.error('❌ M-Pesa callback error:', err.message);
   }
+  res.json({ ResultCode:0, ResultDesc:'Accepted' });
 });
 
-// Debug Contact
-app.get('/debug-contact', async (req, res) => {
-  const testData = { type:'contact', name:'Debug Contact', email:'contact@test.com', subject:'Debug', message:'Debug message', timestamp:new Date().toISOString(), source:'bestie.co.ke' };
+// Polled by the tickets page while the customer completes the prompt
+app.get('/api/payments/mpesa/:checkoutRequestId', async (req,res) => {
   try {
-    const response = await fetch(webhookUrl, { method:'POST', headers:{'Content-Type':'application/json'}, body:JSON.stringify(testData) });
-    const responseText = await response.text();
-    res.json({ success: response.ok, status: response.status, response: responseText });
+    let payment = await getPaymentByProviderRef('mpesa', req.params.checkoutRequestId);
+    if (!payment) return res.status(404).json({ success:false, error:'Payment not found' });
+
+    // If the callback is late, ask Daraja directly
+    if (payment.status === 'pending' && Date.now() - new Date(payment.createdAt).getTime() > STK_QUERY_AFTER_MS) {
+      const result = await queryStkStatus(payment.providerRef).catch(err => { console.warn('⚠️ STK query failed:', err.message); return null; });
+      if (result) payment = await applyMpesaResult(payment, result);
+    }
+
+    res.json({ success:true, payment:toPublicPayment(payment) });
+  } catch(err) { res.status(500).json({ success:false, error: err.message }); }
+});
+
+// ===== CARD PAYMENTS =====
+// Start a hosted card checkout for a booking and hand back the redirect URL
+app.post('/api/payments/card/checkout', async (req,res) => {
+  try {
+    if (!isCardConfigured()) return res.status(503).json({ success:false, error:'Card payments are not available right now' });
+
+    const { reference, email } = req.body;
+    const booking = await findOwnedBooking(reference, email);
+    if (!booking) return res.status(404).json({ success:false, error:'Booking not found. Check your reference and email.' });
+    if (!PAYABLE_STATUSES.includes(booking.status)) return res.status(409).json({ success:false, error:`This booking can't be paid (status: ${booking.status}).` });
+
+    const payment = await createPayment({ bookingId:booking.id, provider:'card', amount:booking.totalPrice, currency:bookingCurrency(booking) });
+    const manageUrl = `${PUBLIC_URL}/manage.html?ref=${encodeURIComponent(booking.reference)}&email=${encodeURIComponent(booking.email)}`;
+    const program = getProgram(booking.program);
+    const session = await createCheckoutSession({
+      payment,
+      booking,
+      productName:`${program ? program.name : booking.program} - ${booking.reference}`,
+      successUrl:`${manageUrl}&payment=success`,
+      cancelUrl:`${manageUrl}&payment=cancelled`
+    });
+    await updatePayment(payment.id, { providerRef:session.id });
+
+    res.json({ success:true, url:session.url, payment:toPublicPayment(payment) });
   } catch(err) {
-    res.status(500).json({ success:false, error: err.message });
+    console.error('❌ Card checkout failed:', err.message);
+    res.status(502).json({ success:false, error:'Could not start card checkout. Please try again.' });
   }
 });
 
-// Contact endpoint
-app.post('/api/contact', async (req,res) => {
-  const contactId = `contact_${Date.now()}`;
+// Signed provider webhook. Each event id is applied at most once.
+app.post('/api/payments/card/webhook', async (req,res) => {
+  if (!isCardConfigured()) return res.status(503).json({ received:false });
+
+  let event;
   try {
-    const { name, email, subject, message } = req.body;
-    if (!name||!email||!subject||!message) return res.status(400).json({ success:false, error:'Missing fields' });
+    event = verifyWebhook(req.rawBody, req.get('Stripe-Signature'));
+  } catch(err) {
+    console.warn('⚠️ Rejected card webhook:', err.message);
+    return res.status(400).json({ received:false, error:'Invalid signature' });
+  }
 
-    const sheetsData = { type:'contact', name, email, subject, message, timestamp:new Date().toISOString(), contactId, source:'bestie.co.ke' };
-    
-    const promises = [fetch(webhookUrl, { method:'POST', headers:{'Content-Type':'application/json'}, body:JSON.stringify(sheetsData) })];
+  const outcome = parseEvent(event);
+  if (!outcome) return res.json({ received:true, ignored:true });
+  if (!await claimEvent('card', event.id, event.type)) return res.json({ received:true, duplicate:true });
 
-    if (transporter) {
-      promises.push(transporter.sendMail({ from:`BESTIE <${emailUser}>`, to:emailUser, replyTo:email, subject:`Contact Form: ${name}`, text:JSON.stringify(sheetsData,null,2) }));
+  try {
+    const payment = outcome.paymentId ? await getPayment(outcome.paymentId) : await getPaymentByProviderRef('card', outcome.sessionId);
+    if (!payment || payment.provider !== 'card') {
+      console.warn('⚠️ Card webhook for unknown payment:', outcome.sessionId);
+      await completeEvent('card', event.id, null);
+      return res.json({ received:true, ignored:true });
     }
 
-    await Promise.allSettled(promises);
-    res.json({ success:true, contactId });
-  } catch(err) { res.status(500).json({ success:false, error: err.message, contactId }); }
+    let { status, resultDesc } = outcome;
+    if (status === 'succeeded' && (outcome.currency !== payment.currency || outcome.amountMinor < toMinorUnits(payment.amount, payment.currency))) {
+      status = 'failed';
+      resultDesc = `Amount mismatch: paid ${outcome.amountMinor} ${outcome.currency}`;
+    }
+
+    const settled = await settlePayment(payment.id, { status, receipt:outcome.receipt, resultCode:event.type, resultDesc, raw:req.rawBody.toString('utf8') });
+    await completeEvent('card', event.id, payment.id);
+    if (settled.changed && status === 'succeeded') await announcePayment(payment, `Card payment of ${payment.amount} ${payment.currency}`, `Payment intent: ${outcome.receipt}`);
+    res.json({ received:true });
+  } catch(err) {
+    // Let the provider retry this event
+    await releaseEvent('card', event.id).catch(() => {});
+    console.error('❌ Card webhook error:', err.message);
+    res.status(500).json({ received:false });
+  }
 });
 
-// Booking endpoint
-app.post('/book', async (req,res) => {
-  const bookingId = `book_${Date.now()}`;
+// ===== STAFF DASHBOARD =====
+const STAFF_COOKIE = 'omi_staff';
+
+function readCookie(req, name) {
+  const pair = (req.get('Cookie') || '').split(';').map(c => c.trim().split('=')).find(([key]) => key === name);
+  return pair ? decodeURIComponent(pair.slice(1).join('=')) : null;
+}
+
+// Dashboard routes: a signed-in staff member with at least `role`.
+// The operator ADMIN_TOKEN counts as an admin so scripts keep working.
+const requireStaff = (role = 'viewer') => async (req,res,next) => {
+  try {
+    const header = req.get('Authorization') || '';
+    const bearer = header.startsWith('Bearer ') ? header.slice(7) : null;
+    if (ADMIN_TOKEN && bearer === ADMIN_TOKEN) {
+      req.staff = { id:null, name:'Operator', email:null, role:'admin' };
+      return next();
+    }
+    const user = await userForSession(readCookie(req, STAFF_COOKIE) || bearer);
+    if (!user) return res.status(401).json({ success:false, error:'Please sign in' });
+    if (!hasRole(user, role)) return res.status(403).json({ success:false, error:'You don\'t have access to do that' });
+    req.staff = user;
+    next();
+  } catch(err) { next(err); }
+};
+
+// Slow down password guessing on top of the global limiter
+const loginLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  message: { success:false, error: 'Too many sign-in attempts. Try again later.' },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// Everything staff see about a booking, including fields customers don't
+const adminBooking = (booking) => ({
+  id:booking.id,
+  ...toPublicBooking(booking),
+  updatedAt:booking.updatedAt,
+  cancellationReason:booking.cancellationReason,
+  totalFormatted:booking.totalPrice != null ? formatMoney(booking.totalPrice, bookingCurrency(booking)) : null
+});
+
+app.post('/api/admin/login', loginLimiter, async (req,res) => {
+  try {
+    const session = await login(req.body.email, req.body.password);
+    if (!session) return res.status(401).json({ success:false, error:'Incorrect email or password' });
+
+    res.cookie(STAFF_COOKIE, session.token, { httpOnly:true, sameSite:'strict', secure:NODE_ENV === 'production', maxAge:SESSION_TTL_HOURS * 3600000, path:'/' });
+    res.json({ success:true, user:toPublicStaff(session.user) });
+  } catch(err) { res.status(500).json({ success:false, error: err.message }); }
+});
+
+app.post('/api/admin/logout', async (req,res) => {
+  try {
+    await logout(readCookie(req, STAFF_COOKIE));
+    res.clearCookie(STAFF_COOKIE, { path:'/' });
+    res.json({ success:true });
+  } catch(err) { res.status(500).json({ success:false, error: err.message }); }
+});
+
+app.get('/api/admin/me', requireStaff(), (req,res) => {
+  res.json({ success:true, user:req.staff.id ? toPublicStaff(req.staff) : req.staff, roles:STAFF_ROLES });
+});
+
+// ?q=&program=&status=&from=&to=&page=
+app.get('/api/admin/bookings', requireStaff(), async (req,res) => {
+  try {
+    const { q, program, status, from, to } = req.query;
+    if (status && !BOOKING_STATUSES.includes(status)) return res.status(400).json({ success:false, error:`status must be one of ${BOOKING_STATUSES.join(', ')}` });
+    if ((from && !isValidDate(from)) || (to && !isValidDate(to))) return res.status(400).json({ success:false, error:'from and to must be YYYY-MM-DD' });
+
+    const limit = Math.min(Number(req.query.limit) || 50, 200);
+    const page = Math.max(Number(req.query.page) || 1, 1);
+    const { bookings, total } = await searchBookings({ q, program, status, from, to, limit, offset:(page - 1) * limit });
+    res.json({ success:true, total, page, limit, bookings:bookings.map(adminBooking) });
+  } catch(err) { res.status(500).json({ success:false, error: err.message }); }
+});
+
+app.get('/api/admin/bookings/:id', requireStaff(), async (req,res) => {
+  try {
+    const booking = await getBooking(Number(req.params.id));
+    if (!booking) return res.status(404).json({ success:false, error:'Booking not found' });
+
+    const [notes, payments, messages, preferences] = await Promise.all([listBookingNotes(booking.id), listPaymentsForBooking(booking.id), listScheduled(booking.id), getPreferences(booking.email)]);
+    res.json({ success:true, booking:adminBooking(booking), policy:bookingPolicy(booking), notes, payments:payments.map(toPublicPayment), messages, preferences });
+  } catch(err) { res.status(500).json({ success:false, error: err.message }); }
+});
+
+// Confirm, complete or cancel: { status, reason?, refundPercent? }
+app.post('/api/admin/bookings/:id/status', requireStaff('staff'), async (req,res) => {
+  try {
+    const booking = await getBooking(Number(req.params.id));
+    if (!booking) return res.status(404).json({ success:false, error:'Booking not found' });
+
+    const { status, reason } = req.body;
+    if (!canTransition(booking.status, status)) return res.status(409).json({ success:false, error:`Can't change a ${booking.status} booking to ${status}` });
+
+    let updated;
+    if (status === 'cancelled') {
+      // Staff may waive the policy (e.g. a refund we owe after cancelling ourselves)
+      const refundPercent = req.body.refundPercent != null ? Number(req.body.refundPercent) : bookingPolicy(booking).refundPercent;
+      if (!(refundPercent >= 0 && refundPercent <= 100)) return res.status(400).json({ success:false, error:'refundPercent must be between 0 and 100' });
+      updated = await cancelBooking(booking.id, { reason:reason || null, refundPercent });
+    } else {
+      updated = await updateBooking(booking.id, { status });
+      if (status === 'confirmed') await notifyCustomer(updated, 'confirmation', bookingConfirmation({ booking:updated }));
+    }
+
+    // Status changes leave a trail in the notes
+    await addBookingNote(booking.id, { authorId:req.staff.id, authorName:req.staff.name, body:`Status changed from ${booking.status} to ${status}${reason ? `: ${reason}` : ''}` });
+    res.json({ success:true, booking:adminBooking(updated), notes:await listBookingNotes(booking.id) });
+  } catch(err) { res.status(500).json({ success:false, error: err.message }); }
+});
+
+app.post('/api/admin/bookings/:id/notes', requireStaff('staff'), async (req,res) => {
+  try {
+    const booking = await getBooking(Number(req.params.id));
+    if (!booking) return res.status(404).json({ success:false, error:'Booking not found' });
+
+    const body = String(req.body.body || '').trim();
+    if (!body) return res.status(400).json({ success:false, error:'Note can\'t be empty' });
+    if (body.length > 5000) return res.status(400).json({ success:false, error:'Note is too long' });
+
+    const note = await addBookingNote(booking.id, { authorId:req.staff.id, authorName:req.staff.name, body });
+    res.status(201).json({ success:true, note });
+  } catch(err) { res.status(500).json({ success:false, error: err.message }); }
+});
+
+// Contact tickets. Filters: q, status (or 'active'), assignee (staff id, 'me'
+// or 'none') and subject (topic). `topics` carries the labels for the filters.
+app.get('/api/admin/contacts', requireStaff(), async (req,res) => {
+  try {
+    const limit = Math.min(Number(req.query.limit) || 50, 200);
+    const page = Math.max(Number(req.query.page) || 1, 1);
+    const status = req.query.status === 'active' || CONTACT_STATUSES.includes(req.query.status) ? req.query.status : undefined;
+    const assignee = req.query.assignee === 'me' ? req.staff.id || undefined : req.query.assignee === 'none' ? 'none' : Number(req.query.assignee) || undefined;
+    const subject = CONTACT_TOPICS[req.query.subject] ? req.query.subject : undefined;
+    const { contacts, total } = await searchContacts({ q:req.query.q, status, assignee, subject, limit, offset:(page - 1) * limit });
+    res.json({ success:true, total, page, limit, contacts, topics:Object.fromEntries(Object.entries(CONTACT_TOPICS).map(([slug, topic]) => [slug, topic.label])) });
+  } catch(err) { res.status(500).json({ success:false, error: err.message }); }
+});
+
+// One ticket with its reply thread, plus who it can be assigned to
+app.get('/api/admin/contacts/:id', requireStaff(), async (req,res) => {
+  try {
+    const contact = await getContact(Number(req.params.id));
+    if (!contact) return res.status(404).json({ success:false, error:'Message not found' });
+
+    const [messages, staff, booking] = await Promise.all([listContactMessages(contact.id), listStaffUsers(), contact.bookingId && getBooking(contact.bookingId)]);
+    const assignee = staff.find(u => u.id === contact.assigneeId);
+    res.json({ success:true, contact:{ ...contact, topic:topicLabel(contact.subject), assigneeName:assignee?.name || null, bookingReference:booking?.reference || null }, messages, staff:staff.filter(u => u.active).map(toPublicStaff) });
+  } catch(err) { res.status(500).json({ success:false, error: err.message }); }
+});
+
+// Change a ticket's status and/or assignee (assigneeId null unassigns)
+app.patch('/api/admin/contacts/:id', requireStaff('staff'), async (req,res) => {
+  try {
+    const contact = await getContact(Number(req.params.id));
+    if (!contact) return res.status(404).json({ success:false, error:'Message not found' });
+    if (contact.status === 'quarantined') return res.status(409).json({ success:false, error:'Release this message from quarantine first' });
+
+    const { status, assigneeId } = req.body;
+    if (status !== undefined && (!CONTACT_STATUSES.includes(status) || status === 'quarantined')) return res.status(400).json({ success:false, error:'Unknown status' });
+    if (assigneeId != null) {
+      const assignee = await getStaffUser(Number(assigneeId));
+      if (!assignee?.active) return res.status(400).json({ success:false, error:'Unknown staff member' });
+    }
+
+    const updated = await updateContact(contact.id, { status, assigneeId:assigneeId === undefined ? undefined : assigneeId && Number(assigneeId) });
+    res.json({ success:true, contact:updated });
+  } catch(err) { res.status(500).json({ success:false, error: err.message }); }
+});
+
+// Email a reply to the customer, threaded under their ticket. The ticket then
+// waits on the customer (or takes `status`), and goes to the replier if nobody had it.
+app.post('/api/admin/contacts/:id/replies', requireStaff('staff'), async (req,res) => {
+  try {
+    const contact = await getContact(Number(req.params.id));
+    if (!contact) return res.status(404).json({ success:false, error:'Message not found' });
+    if (contact.status === 'quarantined') return res.status(409).json({ success:false, error:'Release this message from quarantine first' });
+
+    const body = String(req.body.body || '').trim();
+    const status = req.body.status || 'waiting';
+    if (!body) return invalid(res, { body:'Please write a reply' });
+    if (body.length > 10000) return invalid(res, { body:'Replies can be at most 10000 characters' });
+    if (!CONTACT_STATUSES.includes(status) || status === 'quarantined') return res.status(400).json({ success:false, error:'Unknown status' });
+    if (!emailUser || !emailPass) return res.status(503).json({ success:false, error:'Email is not configured, so replies can\'t be sent' });
+
+    const thread = await listContactMessages(contact.id);
+    const headers = threadHeaders(contact, thread);
+    const messageId = newMessageId(contact.id);
+    const outboxId = await emailCustomer(contact.email, { ...ticketReply({ contact, reply:{ body, authorName:req.staff.name } }), ...headers, messageId });
+
+    const message = await addContactMessage(contact.id, { direction:'out', authorId:req.staff.id, authorName:req.staff.name, body, messageId, inReplyTo:headers.inReplyTo, outboxId });
+    const updated = await updateContact(contact.id, { status, assigneeId:contact.assigneeId || req.staff.id || undefined });
+    res.status(201).json({ success:true, message, contact:updated });
+  } catch(err) { res.status(500).json({ success:false, error: err.message }); }
+});
+
+// "Not spam": deliver a quarantined message as if it had just arrived
+app.post('/api/admin/contacts/:id/release', requireStaff('staff'), async (req,res) => {
   try {
-    const { program, date, participants, firstName, lastName, email, phone, specialRequirements } = req.body;
-    if (!program || !date || !firstName || !lastName || !email) return res.status(400).json({ success:false, error:'Missing required fields' });
+    const contact = await releaseContact(Number(req.params.id));
+    if (!contact) return res.status(404).json({ success:false, error:'No quarantined message with that id' });
 
-    const sheetsData = { type:'booking', program, date, participants:Number(participants)||1, firstName, lastName, email, phone:phone||'Not provided', specialRequirements:specialRequirements||'None', timestamp:new Date().toISOString(), bookingId, source:'bestie.co.ke' };
+    await deliverContact(contact);
+    res.json({ success:true, contact });
+  } catch(err) { res.status(500).json({ success:false, error: err.message }); }
+});
 
-    const promises = [fetch(webhookUrl, { method:'POST', headers:{'Content-Type':'application/json'}, body:JSON.stringify(sheetsData) })];
+// Customer email templates and previews. ?bookingId= / ?contactId= render a real
+// record instead of the sample; ?format=text|ics shows the other parts.
+app.get('/api/admin/emails', requireStaff(), (req,res) => {
+  res.json({ success:true, templates:Object.entries(TEMPLATES).map(([name, t]) => ({ name, description:t.description })) });
+});
+
+app.get('/api/admin/emails/:template/preview', requireStaff(), async (req,res) => {
+  try {
+    if (!TEMPLATES[req.params.template]) return res.status(404).json({ success:false, error:'Template not found' });
 
-    if (transporter) {
-      promises.push(transporter.sendMail({ from:`BESTIE <${emailUser}>`, to:emailUser, replyTo:email, subject:`Booking Request: ${program}`, text:JSON.stringify(sheetsData,null,2) }));
+    let context;
+    if (req.query.bookingId) {
+      const booking = await getBooking(Number(req.query.bookingId));
+      if (!booking) return res.status(404).json({ success:false, error:'Booking not found' });
+      context = { booking };
+    } else if (req.query.contactId) {
+      const contact = await getContact(Number(req.query.contactId));
+      if (!contact) return res.status(404).json({ success:false, error:'Contact not found' });
+      context = { contact };
     }
 
-    await Promise.allSettled(promises);
-    res.json({ success:true, bookingId });
-  } catch(err) { res.status(500).json({ success:false, error: err.message, bookingId }); }
+    // Variants: ?daysBefore=1 for the day-before reminder, ?final=true for the last payment nudge
+    if (req.query.daysBefore) context = { ...context, daysBefore:Number(req.query.daysBefore) };
+    if (req.query.final) context = { ...context, final:req.query.final === 'true' };
+
+    const mail = renderTemplate(req.params.template, context);
+    const format = req.query.format || 'html';
+    if (format === 'text') return res.type('text/plain').send(`Subject: ${mail.subject}\n\n${mail.text}`);
+    if (format === 'ics') {
+      const invite = mail.attachments?.find(a => a.filename.endsWith('.ics'));
+      if (!invite) return res.status(404).json({ success:false, error:'This email has no calendar invite' });
+      return res.type('text/calendar').send(invite.content);
+    }
+    res.type('html').send(mail.html);
+  } catch(err) { res.status(500).json({ success:false, error: err.message }); }
+});
+
+// Reports - ?from=&to= (YYYY-MM-DD, inclusive; default the last 12 months),
+// ?basis=booked|program for which date a booking counts under, ?format=json|csv|xlsx
+const REPORT_FORMATS = ['json', 'csv', 'xlsx'];
+
+// First day of the month, eleven months before `date`
+function reportStart(date) {
+  const start = new Date(`${date}T00:00:00Z`);
+  start.setUTCDate(1);
+  start.setUTCMonth(start.getUTCMonth() - 11);
+  return start.toISOString().slice(0, 10);
+}
+
+app.get('/api/admin/reports', requireStaff(), (req,res) => {
+  res.json({ success:true, reports:Object.entries(REPORTS).map(([name, r]) => ({ name, title:r.title, description:r.description })), bases:REPORT_BASES, formats:REPORT_FORMATS });
+});
+
+app.get('/api/admin/reports/:name', requireStaff(), async (req,res) => {
+  try {
+    if (!REPORTS[req.params.name]) return res.status(404).json({ success:false, error:'Report not found' });
+    const { basis = 'booked', format = 'json' } = req.query;
+    const to = req.query.to || today();
+    const from = req.query.from || reportStart(to);
+    if (!isValidDate(from) || !isValidDate(to)) return res.status(400).json({ success:false, error:'from and to must be YYYY-MM-DD' });
+    if (from > to) return res.status(400).json({ success:false, error:'from must not be after to' });
+    if (!REPORT_BASES.includes(basis)) return res.status(400).json({ success:false, error:`basis must be one of ${REPORT_BASES.join(', ')}` });
+    if (!REPORT_FORMATS.includes(format)) return res.status(400).json({ success:false, error:`format must be one of ${REPORT_FORMATS.join(', ')}` });
+
+    const report = await runReport(req.params.name, { from, to, basis });
+    const filename = `${report.name}_${from}_${to}`;
+    if (format === 'csv') return res.attachment(`${filename}.csv`).type('text/csv; charset=utf-8').send(toCsv(report));
+    if (format === 'xlsx') return res.attachment(`${filename}.xlsx`).send(toXlsx(report));
+    res.json({ success:true, ...report });
+  } catch(err) { res.status(500).json({ success:false, error: err.message }); }
+});
+
+// Run the retention job now (it also runs daily); ?dryRun=1 only counts
+app.post('/api/admin/privacy/retention', requireStaff('admin'), async (req,res) => {
+  try {
+    const dryRun = ['1', 'true'].includes(String(req.query.dryRun));
+    res.json({ success:true, dryRun, retention:RETENTION, counts:await runRetention({ dryRun }) });
+  } catch(err) { res.status(500).json({ success:false, error: err.message }); }
+});
+
+// Staff accounts (admins only)
+app.get('/api/admin/staff', requireStaff('admin'), async (req,res) => {
+  try {
+    const users = await listStaffUsers();
+    res.json({ success:true, users:users.map(toPublicStaff) });
+  } catch(err) { res.status(500).json({ success:false, error: err.message }); }
+});
+
+app.post('/api/admin/staff', requireStaff('admin'), async (req,res) => {
+  try {
+    const { email, name, role = 'staff', password } = req.body;
+    if (!email || !name || !password) return res.status(400).json({ success:false, error:'email, name and password are required' });
+    if (!STAFF_ROLES.includes(role)) return res.status(400).json({ success:false, error:`role must be one of ${STAFF_ROLES.join(', ')}` });
+    if (String(password).length < 10) return res.status(400).json({ success:false, error:'Password must be at least 10 characters' });
+
+    const user = await createStaffUser({ email, name, role, password });
+    res.status(201).json({ success:true, user:toPublicStaff(user) });
+  } catch(err) {
+    if (/UNIQUE constraint failed/.test(err.message)) return res.status(409).json({ success:false, error:'A staff member with that email already exists' });
+    res.status(500).json({ success:false, error: err.message });
+  }
+});
+
+app.patch('/api/admin/staff/:id', requireStaff('admin'), async (req,res) => {
+  try {
+    const user = await getStaffUser(Number(req.params.id));
+    if (!user) return res.status(404).json({ success:false, error:'Staff member not found' });
+
+    const { role, active, password, name } = req.body;
+    if (role !== undefined && !STAFF_ROLES.includes(role)) return res.status(400).json({ success:false, error:`role must be one of ${STAFF_ROLES.join(', ')}` });
+    if (password !== undefined && String(password).length < 10) return res.status(400).json({ success:false, error:'Password must be at least 10 characters' });
+    // Admins can't demote or deactivate themselves - another admin has to
+    if (user.id === req.staff.id && (active === false || (role && role !== 'admin'))) return res.status(409).json({ success:false, error:'You can\'t remove your own admin access' });
+
+    const updated = await updateStaffUser(user.id, { role, active, password, name });
+    res.json({ success:true, user:toPublicStaff(updated) });
+  } catch(err) { res.status(500).json({ success:false, error: err.message }); }
+});
+
+// Outbox dead letters
+app.get('/api/outbox/dead', requireAdminToken, async (req,res) => {
+  try {
+    const deliveries = await listDeadLetters({ limit: Math.min(Number(req.query.limit) || 100, 500) });
+    res.json({ success:true, count:deliveries.length, deliveries });
+  } catch(err) { res.status(500).json({ success:false, error: err.message }); }
+});
+
+app.post('/api/outbox/:id/replay', requireAdminToken, async (req,res) => {
+  try {
+    const delivery = await replay(Number(req.params.id));
+    if (!delivery) return res.status(404).json({ success:false, error:'Delivery not found' });
+    if (delivery.status === 'delivered') return res.status(409).json({ success:false, error:'Delivery already succeeded' });
+    res.json({ success:true, id:delivery.id, status:delivery.status });
+  } catch(err) { res.status(500).json({ success:false, error: err.message }); }
+});
+
+// ===== OPERATOR DIAGNOSTICS =====
+// Admin only, and switched off in production unless DIAGNOSTICS_ENABLED=true.
+// When off the routes look like any other missing route.
+const requireDiagnostics = [
+  (req,res,next) => DIAGNOSTICS_ENABLED ? next() : res.status(404).json({ success:false, error:'Route not found', path:req.originalUrl }),
+  requireStaff('admin')
+];
+
+// Detailed readiness: 200 when the database answers, 503 otherwise
+app.get('/health/ready', requireStaff('admin'), async (req,res) => {
+  try {
+    const report = await readinessReport({
+      database: checkDatabase,
+      outbox: async () => ({ deliveries:await outboxStats() }),
+      scheduler: async () => ({ messages:await schedulerStats() }),
+      email: async () => {
+        if (!emailUser || !emailPass) return { configured:false };
+        if (!transporter) throw new Error('SMTP transporter failed verification');
+        await transporter.verify();
+        return { configured:true, user:emailUser };
+      },
+      sheets: async () => ({ host:describeUrl(webhookUrl) }),
+      payments: async () => ({ mpesa:isMpesaConfigured(), card:isCardConfigured() }),
+      messaging: async () => ({ channels:configuredChannels() })
+    });
+    res.status(report.status === 'not-ready' ? 503 : 200).json({
+      ...report,
+      timestamp:new Date().toISOString(),
+      environment:NODE_ENV,
+      uptime:process.uptime(),
+      memory:process.memoryUsage(),
+      diagnosticsEnabled:DIAGNOSTICS_ENABLED
+    });
+  } catch(err) { res.status(500).json({ success:false, error: err.message }); }
+});
+
+// Send a test email to the staff inbox
+app.post('/test-email', requireDiagnostics, async (req, res) => {
+  if (!transporter) return res.status(503).json({ success: false, error: 'Email not configured' });
+
+  try {
+    const info = await transporter.sendMail({
+      from: `"BESTIE" <${emailUser}>`,
+      to: emailUser,
+      subject: 'Test Email from BESTIE Server',
+      html: `<p>Test email sent from BESTIE server at ${new Date().toISOString()} by ${req.staff.name}</p>`
+    });
+    res.json({ success: true, messageId: info.messageId });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Debug Booking / Contact - fake rows go to the sandbox webhook only
+app.post('/debug-booking', requireDiagnostics, async (req, res) => {
+  if (!DEBUG_WEBHOOK_URL) return res.status(503).json({ success:false, error:'Set DEBUG_WEBHOOK_URL to a sandbox sheet to use this' });
+  try {
+    const result = await sendDebugPayload('booking');
+    res.json({ success: result.ok, status: result.status, response: result.response, target: describeUrl(DEBUG_WEBHOOK_URL) });
+  } catch(err) {
+    res.status(500).json({ success:false, error: err.message });
+  }
+});
+
+app.post('/debug-contact', requireDiagnostics, async (req, res) => {
+  if (!DEBUG_WEBHOOK_URL) return res.status(503).json({ success:false, error:'Set DEBUG_WEBHOOK_URL to a sandbox sheet to use this' });
+  try {
+    const result = await sendDebugPayload('contact');
+    res.json({ success: result.ok, status: result.status, response: result.response, target: describeUrl(DEBUG_WEBHOOK_URL) });
+  } catch(err) {
+    res.status(500).json({ success:false, error: err.message });
+  }
 });
 
-// Check Web App URL
-app.get('/check-url', async (req,res) => {
+// Send scheduled messages now. `now` (ISO time) runs the scheduler as if it
+// were that moment - lets staff rehearse reminders against a test inbox.
+app.post('/api/admin/scheduler/run', requireDiagnostics, async (req,res) => {
   try {
-    const response = await fetch(webhookUrl);
-    res.json({ success: response.ok, status: response.status });
+    const now = req.body.now ? new Date(req.body.now) : new Date();
+    if (isNaN(now)) return res.status(400).json({ success:false, error:'now must be an ISO date/time' });
+    const result = await runDue({ now, send:sendScheduled });
+    res.json({ success:true, now:now.toISOString(), ...result });
+  } catch(err) { res.status(500).json({ success:false, error: err.message }); }
+});
+
+// Check the live Web App URL answers (read-only GET, writes nothing)
+app.get('/check-url', requireDiagnostics, async (req,res) => {
+  try {
+    const response = await fetch(webhookUrl, { signal: AbortSignal.timeout(10000) });
+    res.json({ success: response.ok, status: response.status, host: describeUrl(webhookUrl) });
   } catch(err) { res.status(500).json({ success:false, error: err.message }); }
 });
 
@@ -224,19 +1476,50 @@ app.use('*', (req,res) => res.status(404).json({ success:false, error:'Route not
 app.use((err, req,res,next) => res.status(500).json({ success:false, error:'Internal server error', details:err.message }));
 
 // ===== START SERVER =====
+await initDatabase();
+await assignMissingReferences();
+startOutboxWorker();
+
+// Plan messages for bookings made before the scheduler existed (idempotent),
+// then send due ones every few minutes - only when there's a way to send them
+await scheduleUpcoming();
+if ((emailUser && emailPass) || configuredChannels().length) startScheduler({ send:sendScheduled });
+else console.warn('⚠️ No email, SMS or WhatsApp configured - reminders stay queued until one is');
+
+// Anonymize records past their retention period, now and then daily
+startRetention();
+
+// First deploy: create the initial admin from ADMIN_EMAIL / ADMIN_PASSWORD
+if (process.env.ADMIN_EMAIL && process.env.ADMIN_PASSWORD && await countStaffUsers() === 0) {
+  await createStaffUser({ email:process.env.ADMIN_EMAIL, name:process.env.ADMIN_NAME || 'Admin', role:'admin', password:process.env.ADMIN_PASSWORD });
+  console.log(`👤 Created admin account for ${process.env.ADMIN_EMAIL}`);
+}
+
 app.listen(PORT, '0.0.0.0', () => {
   console.log(`
 🚀 BESTIE Server running in ${NODE_ENV} mode
 📍 Port: ${PORT}
 🌐 Public URL: ${PUBLIC_URL}
+🔌 API base for pages: ${API_BASE_URL || 'same origin'}
 📧 Email: ${emailUser || 'Not configured'}
-✅ Health: ${PUBLIC_URL}/health
+💬 SMS / WhatsApp: ${configuredChannels().map(name => CHANNELS[name].label).join(', ') || 'Not configured'}
+✅ Health: ${PUBLIC_URL}/health (readiness: ${PUBLIC_URL}/health/ready, admin)
 📊 Test: ${PUBLIC_URL}/test
-📧 Test email: ${PUBLIC_URL}/test-email
-🧪 Booking test: ${PUBLIC_URL}/debug-booking
-📧 Contact test: ${PUBLIC_URL}/debug-contact
-🔗 URL check: ${PUBLIC_URL}/check-url
+🩺 Diagnostics: ${DIAGNOSTICS_ENABLED ? `POST /test-email, /debug-booking, /debug-contact, GET /check-url (admin, sandbox: ${describeUrl(DEBUG_WEBHOOK_URL) || 'not set'})` : 'disabled'}
 📨 Contacts API: POST ${PUBLIC_URL}/api/contact
+📥 Inbound email: ${isInboundConfigured() ? `POST ${PUBLIC_URL}/api/inbound/email` : 'disabled (set INBOUND_EMAIL_ADDRESS and INBOUND_EMAIL_SECRET)'}
+🎫 Contact routing: ${Object.entries(CONTACT_TOPICS).filter(([, topic]) => topic.routeTo || topic.assignee).map(([slug, topic]) => `${slug} -> ${[topic.routeTo, topic.assignee && `@${topic.assignee}`].filter(Boolean).join(' ')}`).join(', ') || 'all topics to the staff inbox'}
 📅 Bookings API: POST ${PUBLIC_URL}/book
+🔎 Manage booking: ${PUBLIC_URL}/manage.html
+👤 Customer accounts: ${PUBLIC_URL}/account.html${emailUser && emailPass ? '' : ' (sign-in links need email configured)'}
+🔐 Privacy: notice ${PRIVACY_NOTICE_VERSION}, retention ${RETENTION.bookingMonths} months for bookings (health details ${RETENTION.healthDays} days), ${RETENTION.contactMonths} for contacts
+🗂️ Programs API: GET ${PUBLIC_URL}/api/programs
+🧾 Quotes API: POST ${PUBLIC_URL}/api/quote
+🎟️ Promo codes: POST ${PUBLIC_URL}/api/promo/validate
+📱 M-Pesa STK: POST ${PUBLIC_URL}/api/payments/mpesa/stk
+💳 Card checkout: POST ${PUBLIC_URL}/api/payments/card/checkout
+🛠️ Staff dashboard: ${PUBLIC_URL}/admin
+📈 Reports: GET ${PUBLIC_URL}/api/admin/reports/{${Object.keys(REPORTS).join(',')}} (json, csv, xlsx)
+📮 Outbox dead letters: GET ${PUBLIC_URL}/api/outbox/dead
   `);
 });
\ No newline at end of file